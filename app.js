@@ -1,16 +1,48 @@
 "use strict";
 
 /**
- * Combined app.js
- * - Module A: Schema Form Builder (schemaFiles -> dynamic form -> JSON preview + minimal validation)
- * - Module B: Repo File Viewer (optional; only activates if viewer DOM exists)
+ * Combined app.js (needs schema-core.js loaded first: validator, schema registry, file mapping, linter;
+ * the viewer also uses pack-fs.js for local folders and .zip packs, texture-core.js for PNG previews,
+ * model-core.js for 3D model previews, block-families.js for the block builder)
+ * - Module A: Schema Form Builder (bundled schemas/ -> dynamic form -> JSON preview + draft-07 validation);
+ *   id suggestions from the viewer's open pack, tick/second and 0..1 widgets, live if/then fields, random samples
+ * - Module B: Repo File Viewer (optional; only activates if viewer DOM exists) + pack lint report + block builder
+ *   + translations + alchemy id graph
+ * - Shell: view routing between the viewer, the schema editor (?view=editor), the lint report (?view=lint),
+ *   the block family builder (?view=builder), the language file grid (?view=lang) and the alchemy ids (?view=alchemy)
  *
  * Design goals:
  * - No global name collisions (modules are scoped).
  * - Activates features only when required DOM nodes exist.
- * - Avoids duplicate IDs conflicts (e.g., #copyBtn) by detecting which UI is present.
+ * - Each module owns its own controls (#copyBtn = viewer, #schemaCopyBtn = editor).
  */
 
+/* ------------------------------ Shared: core ------------------------------ */
+
+// schema-core.js also runs under Node (tools/cli.js); see its header
+const {
+  tryJsonParse, toArray, jsonPointerEscape, jsonPointerUnescape, jsonPointerJoin, jsonPointerLines,
+  schemaRegex, validateJsonSchema, formatSchemaError, formatOneOfBranch, oneOfBranchLabel,
+  detectOneOfBranch, createSchemaRegistry, schemaForFile, suggestFilePath, PACK_LINT_RULES,
+  groupLintIssues, lintPack, resourceId, SOUNDS_JSON, soundEventTable, soundEntryWeight, expandSoundEvent,
+  pickSound, resourcePath, LANG_JSON, LANG_REFERENCE, diffLocales, neededTranslationKeys, ALCHEMY_JSON, packIdIndex,
+  packTags, alchemyGraph, generateSample
+} = SchemaCore;
+
+// texture-core.js: PNG decoding, .png.mcmeta animation timing and atlas sources (viewer image preview, atlas report)
+const {
+  decodePng, animationLayout, frameAt, cropPixels, framePixels, blendPixels, atlasSprites, stitchAtlas, palettePermute
+} = TextureCore;
+
+// model-core.js: parent chains, #texture variables, the software model renderer and blockstate matching
+const {
+  DISPLAY_CONTEXTS, resolveModel, resolveTexture, flattenModel, modelQuads, renderModel, blockstateProperties,
+  matchBlockstate, blockstateCoverage
+} = ModelCore;
+
+// block-families.js: blockstates and models for stairs, slabs, doors, fences, trapdoors and buttons
+const { BLOCK_FAMILIES, buildBlockFamily } = BlockFamilies;
+
 /* ------------------------------ Shared utils ------------------------------ */
 
 const qs = (sel, root = document) => root.querySelector(sel);
@@ -37,16 +69,128 @@ function escapeHtml(s) {
   });
 }
 
-function tryJsonParse(text) {
-  try {
-    return { ok: true, value: JSON.parse(text) };
-  } catch (e) {
-    return { ok: false, error: e };
+/* ----------------------- Shared: syntax highlighting ---------------------- */
+
+/**
+ * Regex tokenizers, one rule list per language: [token class, regex]. Rules are
+ * tried in order at each position, so earlier rules win (comments before strings,
+ * keys before strings). Regexes must not contain capturing groups.
+ */
+const HIGHLIGHT_RULES = {
+  json: [
+    ["key", /"(?:[^"\\\n]|\\.)*"(?=\s*:)/],
+    ["str", /"(?:[^"\\\n]|\\.)*"/],
+    ["num", /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/],
+    ["kw", /\b(?:true|false|null)\b/],
+    ["punc", /[{}[\],:]/]
+  ],
+  js: [
+    ["com", /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+    ["str", /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\[\s\S])*`/],
+    ["num", /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+    ["kw", /\b(?:const|let|var|function|return|if|else|for|while|do|switch|case|default|break|continue|new|class|extends|super|this|typeof|instanceof|in|of|try|catch|finally|throw|async|await|yield|import|export|from|null|undefined|true|false|delete|void)\b/],
+    ["fn", /\b[A-Za-z_$][\w$]*(?=\s*\()/]
+  ],
+  css: [
+    ["com", /\/\*[\s\S]*?\*\//],
+    ["str", /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/],
+    ["kw", /@[\w-]+|!important\b/],
+    ["key", /--?[\w-]+(?=\s*:(?!:)[^{};]*[;}])|\b[a-z-]+(?=\s*:(?!:)[^{};]*[;}])/],
+    ["fn", /\b[\w-]+(?=\()/],
+    ["num", /#[\da-fA-F]{3,8}\b|(?<![\w-])-?\d*\.?\d+(?:%|[a-zA-Z]+)?/]
+  ],
+  glsl: [
+    ["com", /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+    ["kw", /^[ \t]*#[ \t]*\w+/m],
+    ["type", /\b(?:void|bool|int|uint|float|double|[biud]?vec[234]|mat[234](?:x[234])?|sampler(?:[123]D|Cube|2DArray)|struct)\b/],
+    ["kw", /\b(?:uniform|in|out|inout|const|attribute|varying|layout|precision|highp|mediump|lowp|flat|smooth|if|else|for|while|do|return|break|continue|discard|true|false)\b/],
+    ["num", /\b\d+(?:\.\d*)?(?:[eE][+-]?\d+)?[fFuU]?\b|\.\d+\b/],
+    ["fn", /\b[A-Za-z_]\w*(?=\s*\()/]
+  ]
+};
+
+const HIGHLIGHT_LANGS = {
+  json: "json", mcmeta: "json",
+  js: "js", mjs: "js", cjs: "js",
+  css: "css",
+  glsl: "glsl", fsh: "glsl", vsh: "glsl", vert: "glsl", frag: "glsl"
+};
+
+const highlightRegexCache = new Map();
+
+function highlightLanguageFor(path) {
+  const ext = String(path || "").split("/").pop().split(".").pop().toLowerCase();
+  return HIGHLIGHT_LANGS[ext] || null;
+}
+
+/**
+ * Highlight `text` as `lang` (plain when null) and split it into lines of HTML;
+ * tokens spanning lines (block comments, template strings) are closed and reopened.
+ */
+function highlightLines(text, lang) {
+  const lines = [""];
+  const push = (cls, s) => {
+    s.split("\n").forEach((part, k) => {
+      if (k) lines.push("");
+      if (part) lines[lines.length - 1] += cls ? `<span class="tok-${cls}">${escapeHtml(part)}</span>` : escapeHtml(part);
+    });
+  };
+
+  const rules = HIGHLIGHT_RULES[lang];
+  if (!rules) {
+    push(null, text);
+    return lines;
+  }
+  if (!highlightRegexCache.has(lang)) {
+    const flags = rules.some(([, re]) => re.multiline) ? "gm" : "g";
+    highlightRegexCache.set(lang, new RegExp(rules.map(([, re]) => `(${re.source})`).join("|"), flags));
+  }
+
+  const re = highlightRegexCache.get(lang);
+  re.lastIndex = 0;
+  let last = 0;
+  for (let m; (m = re.exec(text)); ) {
+    if (!m[0]) {
+      re.lastIndex++;
+      continue;
+    }
+    push(null, text.slice(last, m.index));
+    const group = m.findIndex((g, k) => k > 0 && g !== undefined);
+    push(rules[group - 1][0], m[0]);
+    last = re.lastIndex;
   }
+  push(null, text.slice(last));
+  return lines;
 }
 
-function toArray(x) {
-  return Array.isArray(x) ? x : (x == null ? [] : [x]);
+/* -------------------------- Shared: schema loading ------------------------ */
+
+/**
+ * Load every schema listed in a manifest ({ "schemas": ["rel/path.schema.json", ...] }).
+ * Resolves to { schemas: Map(name -> document), failed: [{ name, error }] }; only a
+ * missing manifest rejects.
+ */
+async function fetchSchemaSet(base = "./schemas/", manifestName = "manifest.json") {
+  const res = await fetch(base + manifestName, { cache: "no-store" });
+  if (!res.ok) throw new Error(`manifest ${res.status}`);
+  const manifest = await res.json();
+
+  const schemas = new Map();
+  const failed = [];
+  await Promise.all(toArray(manifest.schemas).map(async (name) => {
+    try {
+      const r = await fetch(base + name, { cache: "no-store" });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const parsed = tryJsonParse(await r.text());
+      if (!parsed.ok) throw parsed.error;
+      schemas.set(name, parsed.value);
+    } catch (e) {
+      failed.push({ name, error: e?.message || String(e) });
+    }
+  }));
+  // keep manifest order (Promise.all settles in any order)
+  const ordered = new Map(toArray(manifest.schemas).filter((n) => schemas.has(n)).map((n) => [n, schemas.get(n)]));
+  return { schemas: ordered, failed };
 }
 
 /* -------------------------- Module A: Schema UI --------------------------- */
@@ -63,10 +207,15 @@ function toArray(x) {
   const errorsRoot = qs("#errors");
 
   const defaultsBtn = qs("#defaultsBtn");
+  const sampleBtn = qs("#sampleBtn");
   const clearBtn = qs("#clearBtn");
-  const copyBtn = qs("#copyBtn");       // may conflict with viewer; guarded
+  const copyBtn = qs("#schemaCopyBtn");
   const downloadBtn = qs("#downloadBtn");
   const resetBtn = qs("#loadExample");
+  const importFile = qs("#importFile");
+  const importText = qs("#importText");
+  const importBtn = qs("#importBtn");
+  const importStatus = qs("#importStatus");
 
   const hasSchemaUi =
     !!schemaFilesInput &&
@@ -77,15 +226,50 @@ function toArray(x) {
 
   if (!hasSchemaUi) return;
 
+  const CONFIG = {
+    SCHEMA_BASE: "./schemas/",
+    SCHEMA_MANIFEST: "manifest.json" // { "schemas": ["blockstate.schema.json", "models/item/generated.schema.json", ...] }
+  };
+
   const state = {
     schemas: new Map(), // filename -> schemaObject
+    registry: createSchemaRegistry(), // $id / file name -> schemaObject (cross-file $ref)
     activeSchemaName: null,
-    activeOneOfIndex: 0,
+    activeOneOfIndex: null, // null = detect the root oneOf branch from state.values
     values: {}, // in-progress values tree
     // keep oneOf selections out of output tree to avoid polluting JSON
-    inlineOneOf: new Map() // pathKey -> index
+    inlineOneOf: new Map(), // pathKey -> index
+    packIds: new Map(), // kind -> Set of ids the viewer's open pack defines (id suggestions)
+    // rebuilt by every render():
+    idLists: new Map(), // suggestion kinds -> <datalist>
+    gates: [], // objects with if/then/else: { schemaRoot, conditionals, path, results } as last rendered
+    live: [] // read-outs that follow the values (status effect summaries)
   };
 
+  const TICKS_PER_SECOND = 20;
+
+  // id fields that suggest one kind of pack id, by property name; other id fields suggest every id
+  const ID_FIELD_KINDS = {
+    container: ["alchemy:container"],
+    effect: ["effect"],
+    item: ["item"],
+    icon: ["item"],
+    return_item_id: ["item"],
+    block_id: ["block"],
+    burst_sound: ["sound"],
+    tags: ["tag"],
+    station_tags: ["tag"],
+    preferred_container_tags: ["tag"]
+  };
+
+  const VANILLA_EFFECTS = [
+    "speed", "slowness", "haste", "mining_fatigue", "strength", "instant_health", "instant_damage", "jump_boost",
+    "nausea", "regeneration", "resistance", "fire_resistance", "water_breathing", "invisibility", "blindness",
+    "night_vision", "hunger", "weakness", "poison", "wither", "health_boost", "absorption", "saturation", "glowing",
+    "levitation", "luck", "unluck", "slow_falling", "conduit_power", "dolphins_grace", "bad_omen",
+    "hero_of_the_village", "darkness", "trial_omen", "raid_omen", "wind_charged", "weaving", "oozing", "infested"
+  ].map((e) => `minecraft:${e}`);
+
   function pathKey(path) {
     // stable key for meta maps
     return path.map(String).join("/");
@@ -116,25 +300,39 @@ function toArray(x) {
     if (parent && typeof parent === "object") delete parent[path[path.length - 1]];
   }
 
-  function jsonPointerGet(root, pointer) {
-    const p = pointer.startsWith("#") ? pointer.slice(1) : pointer;
-    const parts = p
-      .split("/")
-      .filter(Boolean)
-      .map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"));
-    return deepGet(root, parts);
+  function rebuildRegistry() {
+    state.registry = createSchemaRegistry();
+    for (const [name, schema] of state.schemas) state.registry.add(name, schema);
   }
 
   function resolveSchema(schemaRoot, node) {
-    if (!node || typeof node !== "object") return node;
-    if (node.$ref && typeof node.$ref === "string" && node.$ref.startsWith("#/")) {
-      const target = jsonPointerGet(schemaRoot, node.$ref);
-      if (!target) return node;
-      const { $ref, ...rest } = node;
-      // referenced schema + local overrides (local wins)
-      return { ...target, ...rest };
+    if (!node || typeof node !== "object" || typeof node.$ref !== "string") return node;
+
+    // follow ref chains (local or cross-file); local overrides win over targets
+    let root = schemaRoot;
+    let cur = node;
+    let overrides = {};
+    const seen = new Set();
+    while (cur && typeof cur === "object" && typeof cur.$ref === "string") {
+      const { $ref, ...rest } = cur;
+      overrides = { ...rest, ...overrides };
+      if (seen.has(cur)) return { ...overrides, $ref, __unresolved: "circular $ref chain" };
+      seen.add(cur);
+
+      const hit = state.registry.resolveRef(root, $ref);
+      if (!hit) return { ...overrides, $ref, __unresolved: "schema not loaded or pointer not found" };
+      root = hit.root;
+      cur = hit.node;
     }
-    return node;
+
+    const target = root === schemaRoot ? cur : state.registry.portable(cur, root);
+    return target && typeof target === "object" ? { ...target, ...overrides } : target;
+  }
+
+  function refTarget(schemaRoot, node) {
+    if (!node || typeof node !== "object" || typeof node.$ref !== "string") return null;
+    const hit = state.registry.resolveRef(schemaRoot, node.$ref);
+    return hit ? hit.node : null;
   }
 
   function mergeSchemas(a, b) {
@@ -144,26 +342,140 @@ function toArray(x) {
       out.properties = { ...(a.properties || {}), ...(b.properties || {}) };
     if (a.required || b.required)
       out.required = Array.from(new Set([...(a.required || []), ...(b.required || [])]));
+    // every member's if/then/else is kept (a spread would leave only the last one)
+    const conditionals = [...conditionalsOf(a), ...conditionalsOf(b)];
+    if (conditionals.length) {
+      delete out.if;
+      delete out.then;
+      delete out.else;
+      out.__conditionals = conditionals;
+    }
     // naive merge of dependentRequired / etc could be added later
     return out;
   }
 
+  function conditionalsOf(node) {
+    if (Array.isArray(node.__conditionals)) return node.__conditionals;
+    return node.if !== undefined && (node.then || node.else) ? [{ if: node.if, then: node.then, else: node.else }] : [];
+  }
+
+  /**
+   * `base` narrowed by a then/else branch: properties are overlaid one level at
+   * a time (so a branch pinning carbonation.level keeps the rest of carbonation),
+   * requirements add up and a `const` becomes a one-value enum for the widgets.
+   */
+  function overlaySchema(schemaRoot, base, extra) {
+    const { properties, const: only, ...rest } = extra;
+    const out = mergeSchemas(base, rest);
+    if (only !== undefined) out.enum = [only];
+    if (properties && typeof properties === "object") {
+      out.properties = { ...(base.properties || {}) };
+      for (const [k, v] of Object.entries(properties)) {
+        const own = base.properties?.[k];
+        out.properties[k] = own ? overlaySchema(schemaRoot, effectiveNode(schemaRoot, own), effectiveNode(schemaRoot, v)) : v;
+      }
+    }
+    return out;
+  }
+
+  function detectBranch(schemaRoot, node, value) {
+    if (value === undefined) return 0;
+    return detectOneOfBranch(schemaRoot, node, buildFinalOutput(value), { resolveRef: state.registry.resolveRef });
+  }
+
+  function rootOneOfIndex(schema) {
+    const idx = state.activeOneOfIndex ?? detectBranch(schema, schema, state.values);
+    return Math.max(0, Math.min(idx, schema.oneOf.length - 1));
+  }
+
   function pickRootSchema(schema) {
     if (Array.isArray(schema.oneOf) && schema.oneOf.length) {
-      const idx = state.activeOneOfIndex ?? 0;
-      const clamped = Math.max(0, Math.min(idx, schema.oneOf.length - 1));
-      return resolveSchema(schema, schema.oneOf[clamped]);
+      return oneOfOption(schema, schema, rootOneOfIndex(schema));
     }
     return schema;
   }
 
+  function effectiveNode(schemaRoot, node0) {
+    let node = resolveSchema(schemaRoot, node0);
+    // allOf composition (minimal): own keywords + every allOf member
+    if (node && Array.isArray(node.allOf) && node.allOf.length) {
+      const { allOf, ...own } = node;
+      node = allOf
+        .map((x) => resolveSchema(schemaRoot, x))
+        .reduce((acc, cur) => mergeSchemas(acc, cur), own);
+    }
+    return node;
+  }
+
+  function oneOfOption(schemaRoot, node, idx) {
+    // keywords next to oneOf (shared properties, type, ...) apply to every branch
+    const { oneOf, ...base } = node;
+    const clamped = Math.max(0, Math.min(idx, oneOf.length - 1));
+    return mergeSchemas(base, resolveSchema(schemaRoot, oneOf[clamped]));
+  }
+
   function schemaTitle(schema) {
     return schema.title || schema.$id || "(untitled schema)";
   }
 
-  function guessOutputName(schemaName) {
-    const n = schemaName.replace(/\.schema\.json$/i, ".json");
-    return n === schemaName ? "output.json" : n;
+  function suggestOutputPath(schemaName, sourceName, doc) {
+    // keep a full pack path as-is; a bare file name is placed where the mapping expects it
+    const src = String(sourceName || "").replace(/\\/g, "/");
+    if (src.includes("/")) return src;
+    const name = src ? src.replace(/\.(json|mcmeta)$/i, "") : undefined;
+    return suggestFilePath(schemaName, { name, doc });
+  }
+
+  /** Which of `conditionals` hold for `value` (their `if` validates). */
+  function conditionalResults(schemaRoot, conditionals, value) {
+    return conditionals.map((c) => validateAgainst(state.registry.portable(c.if, schemaRoot), value).length === 0);
+  }
+
+  /**
+   * An object node with the then/else branches that hold for the current data
+   * applied. Fields that only a branch names are `hidden` while no applied
+   * branch names them; the results are recorded so a change that flips an
+   * `if` re-renders the form.
+   */
+  function gateObject(schemaRoot, node, path) {
+    const conditionals = conditionalsOf(node);
+    const hidden = new Set();
+    if (!conditionals.length) return { node, hidden };
+
+    const results = conditionalResults(schemaRoot, conditionals, buildFinalOutput(deepGet(state.values, path) ?? {}));
+    state.gates.push({ schemaRoot, conditionals, path, results: results.join() });
+
+    const required = new Set(node.required || []);
+    const shown = new Set();
+    let out = node;
+    conditionals.forEach((c, i) => {
+      for (const [branch, applies] of [[c.then, results[i]], [c.else, !results[i]]]) {
+        const b = resolveSchema(schemaRoot, branch);
+        if (!b || typeof b !== "object") continue;
+        const named = [...(b.required || []), ...Object.keys(b.properties || {}).filter((k) => !node.properties?.[k])];
+        for (const k of named) {
+          if (required.has(k)) continue;
+          if (applies) shown.add(k);
+          else hidden.add(k);
+        }
+        if (applies) out = overlaySchema(schemaRoot, out, b);
+      }
+    });
+    for (const k of shown) hidden.delete(k);
+    return { node: out, hidden };
+  }
+
+  function gatesChanged() {
+    return state.gates.some((g) =>
+      conditionalResults(g.schemaRoot, g.conditionals, buildFinalOutput(deepGet(state.values, g.path) ?? {})).join() !== g.results);
+  }
+
+  /** Last property name on `path` (array indices and the extras bucket skipped). */
+  function fieldName(path) {
+    for (let i = path.length - 1; i >= 0; i--) {
+      if (typeof path[i] === "string" && path[i] !== "__additionalProperties") return path[i];
+    }
+    return "";
   }
 
   function inferType(node) {
@@ -195,6 +507,9 @@ function toArray(x) {
 
   function render() {
     const schemaName = state.activeSchemaName;
+    state.idLists.clear();
+    state.gates = [];
+    state.live = [];
     if (!schemaName) {
       formRoot.textContent = "Load schemas to begin.";
       formRoot.classList.add("muted");
@@ -212,20 +527,44 @@ function toArray(x) {
       schema.title ? `<div><strong>${escapeHtml(schema.title)}</strong></div>` : "",
       schema.description ? `<div>${escapeHtml(schema.description)}</div>` : "",
       schema.$id ? `<div class="hint">$id: <code>${escapeHtml(schema.$id)}</code></div>` : "",
-      schema.$schema ? `<div class="hint">$schema: <code>${escapeHtml(schema.$schema)}</code></div>` : ""
+      schema.$schema ? `<div class="hint">$schema: <code>${escapeHtml(schema.$schema)}</code></div>` : "",
+      ...state.registry.unresolvedRefs(schema).map((u) =>
+        `<div class="warnItem">Unresolved $ref <code>${escapeHtml(u.ref)}</code> at <code>${escapeHtml(u.at)}</code> (not validated; load the referenced schema)</div>`)
     ].filter(Boolean).join("");
 
     renderOneOfPicker(schema);
 
+    // a live if/then re-render rebuilds the field being typed in: find it again afterwards
+    const active = document.activeElement;
+    const focus = formRoot.contains(active) && active.dataset.path != null
+      ? { path: active.dataset.path, nth: qsa("[data-path]", formRoot).filter((el) => el.dataset.path === active.dataset.path).indexOf(active), caret: caretOf(active) }
+      : null;
+
     formRoot.classList.remove("muted");
     formRoot.innerHTML = "";
     const form = document.createElement("div");
     form.appendChild(renderNode(schema, root, [], { label: schemaTitle(schema), required: true }));
     formRoot.appendChild(form);
 
+    if (focus) {
+      const el = qsa("[data-path]", formRoot).filter((x) => x.dataset.path === focus.path)[focus.nth];
+      if (el) {
+        el.focus();
+        if (focus.caret != null) el.setSelectionRange?.(focus.caret, focus.caret);
+      }
+    }
+
     updatePreviewAndValidate();
   }
 
+  function caretOf(el) {
+    try {
+      return el.selectionStart; // number inputs throw
+    } catch {
+      return null;
+    }
+  }
+
   function renderOneOfPicker(schema) {
     if (!oneOfPicker) return;
 
@@ -237,6 +576,7 @@ function toArray(x) {
       label.className = "field";
       label.innerHTML = `<span>Schema variant (oneOf)</span>`;
 
+      const active = rootOneOfIndex(schema);
       const sel = document.createElement("select");
       schema.oneOf.forEach((opt, i) => {
         const resolved = resolveSchema(schema, opt);
@@ -248,7 +588,7 @@ function toArray(x) {
            `option ${i + 1}`);
         o.value = String(i);
         o.textContent = `${i + 1}: ${title}`;
-        if (i === state.activeOneOfIndex) o.selected = true;
+        if (i === active) o.selected = true;
         sel.appendChild(o);
       });
 
@@ -260,20 +600,93 @@ function toArray(x) {
       });
 
       label.appendChild(sel);
+      if (state.activeOneOfIndex == null) {
+        const hint = document.createElement("div");
+        hint.className = "hint";
+        hint.textContent = "Detected from current data";
+        label.appendChild(hint);
+      }
       oneOfPicker.appendChild(label);
     } else {
       oneOfPicker.style.display = "none";
     }
   }
 
+  // ref targets currently being rendered (guards recursive schemas without data)
+  const renderTrail = [];
+
   function renderNode(schemaRoot, node0, path, ctx) {
-    let node = resolveSchema(schemaRoot, node0);
+    const target = refTarget(schemaRoot, node0);
+    if (target && renderTrail.includes(target) && deepGet(state.values, path) === undefined) {
+      return renderRecursionStub(schemaRoot, node0, path, ctx);
+    }
+    if (target) renderTrail.push(target);
+    try {
+      return renderNodeBody(schemaRoot, node0, path, ctx);
+    } finally {
+      if (target) renderTrail.pop();
+    }
+  }
 
-    // allOf composition (minimal)
-    if (Array.isArray(node.allOf) && node.allOf.length) {
-      node = node.allOf
-        .map((x) => resolveSchema(schemaRoot, x))
-        .reduce((acc, cur) => mergeSchemas(acc, cur), {});
+  function renderRecursionStub(schemaRoot, node0, path, ctx) {
+    const fs = document.createElement("fieldset");
+    const lg = document.createElement("legend");
+    lg.textContent = ctx.label || "value";
+    fs.appendChild(lg);
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn smallBtn";
+    btn.textContent = `Add (recursive ${node0.$ref})`;
+    btn.addEventListener("click", () => {
+      deepSet(state.values, path, defaultFor(node0, schemaRoot));
+      render();
+    });
+    fs.appendChild(btn);
+    return fs;
+  }
+
+  function renderRawJson(path, ctx, hintText, className) {
+    const input = document.createElement("textarea");
+    const cur = deepGet(state.values, path);
+    input.value = cur === undefined ? "" : JSON.stringify(cur, null, 2);
+
+    input.addEventListener("input", () => {
+      if (input.value.trim() === "") {
+        deepSet(state.values, path, undefined);
+        updatePreviewAndValidate();
+        return;
+      }
+      const parsed = tryJsonParse(input.value);
+      input.classList.toggle("invalid", !parsed.ok);
+      if (!parsed.ok) return;
+      deepSet(state.values, path, parsed.value);
+      updatePreviewAndValidate();
+    });
+
+    const wrap = fieldWrap(ctx.label || "value", ctx.required, input, hintText);
+    wrap.classList.add(className);
+    return wrap;
+  }
+
+  function extraKeyReason(node, key) {
+    const patterns = Object.keys(node.patternProperties || {}).map(schemaRegex).filter(Boolean);
+    if (patterns.some((re) => re.test(key))) return "extension key (patternProperties)";
+    if (node.additionalProperties === false) return "not allowed by the schema";
+    return "free-form key (no field in the schema)";
+  }
+
+  function valueFitsType(type, v) {
+    if (type === "object") return !!v && typeof v === "object" && !Array.isArray(v);
+    if (type === "array") return Array.isArray(v);
+    if (type === "integer" || type === "number") return typeof v === "number";
+    return typeof v === type;
+  }
+
+  function renderNodeBody(schemaRoot, node0, path, ctx) {
+    const node = effectiveNode(schemaRoot, node0);
+    if (node && node.__unresolved) {
+      return renderRawJson(path, ctx, `Raw JSON: ${node.__unresolved} (${node.$ref})`, "unresolved");
     }
 
     // inline oneOf (field-level)
@@ -282,6 +695,13 @@ function toArray(x) {
     }
 
     const type = inferType(node);
+
+    // imported data the widget cannot show is kept verbatim instead of being dropped
+    const cur = deepGet(state.values, path);
+    if (cur !== undefined && !valueFitsType(type, cur)) {
+      return renderRawJson(path, ctx, `Not representable as ${type}; kept as raw JSON`, "unrepresented");
+    }
+
     if (type === "object") return renderObject(schemaRoot, node, path, ctx);
     if (type === "array") return renderArray(schemaRoot, node, path, ctx);
     if (type === "boolean") return renderBoolean(schemaRoot, node, path, ctx);
@@ -289,7 +709,8 @@ function toArray(x) {
     return renderString(schemaRoot, node, path, ctx);
   }
 
-  function renderObject(schemaRoot, node, path, ctx) {
+  function renderObject(schemaRoot, node0, path, ctx) {
+    const { node, hidden } = gateObject(schemaRoot, node0, path);
     const fs = document.createElement("fieldset");
     const lg = document.createElement("legend");
     lg.textContent = ctx.label || "object";
@@ -341,7 +762,7 @@ function toArray(x) {
           }
         });
 
-        const valNode = renderNode(schemaRoot, ap, [...path, k], { label: "Value", required: true });
+        const valNode = renderNode(schemaRoot, node.additionalProperties, [...path, k], { label: "Value", required: true });
 
         const del = document.createElement("button");
         del.type = "button";
@@ -364,14 +785,36 @@ function toArray(x) {
       return fs;
     }
 
+    if (["effect", "duration", "amplifier"].every((k) => props[k])) {
+      // status effect: a one-line summary that follows the fields
+      fs.classList.add("effectEditor");
+      const summary = document.createElement("div");
+      summary.className = "hint effect__summary";
+      const refresh = () => (summary.textContent = effectSummary(buildFinalOutput(deepGet(state.values, path)) || {}));
+      refresh();
+      state.live.push(refresh);
+      fs.appendChild(summary);
+    }
+
+    // "x_seconds" next to "x_ticks" is edited by the ticks converter
+    const secondsOf = (prop) => {
+      const m = /^(.*)_ticks$/.exec(prop);
+      return m && props[`${m[1]}_seconds`] ? `${m[1]}_seconds` : null;
+    };
+    const paired = new Set(Object.keys(props).map(secondsOf).filter(Boolean));
+
     // Normal object properties
-    for (const [prop, propSchema0] of Object.entries(props)) {
-      const propSchema = resolveSchema(schemaRoot, propSchema0);
-      const req = requiredSet.has(prop);
+    for (const [prop, propSchema] of Object.entries(props)) {
+      // fields an if/then branch asks for show while it applies (or once they hold a value)
+      if (hidden.has(prop) && deepGet(state.values, [...path, prop]) === undefined) continue;
+      if (paired.has(prop)) continue;
+      const seconds = secondsOf(prop);
+      const req = requiredSet.has(prop) || (!!seconds && requiredSet.has(seconds));
 
       const child = renderNode(schemaRoot, propSchema, [...path, prop], {
-        label: prop,
-        required: req
+        label: seconds ? `${prop} ↔ ${seconds}` : prop,
+        required: req,
+        secondsPath: seconds ? [...path, seconds] : null
       });
 
       fs.appendChild(child);
@@ -386,10 +829,41 @@ function toArray(x) {
         unset.textContent = `Unset "${prop}"`;
         unset.addEventListener("click", () => {
           deepDelete(state.values, [...path, prop]);
+          if (seconds) deepDelete(state.values, [...path, seconds]);
           updatePreviewAndValidate();
           // no full render needed
         });
 
+        row.appendChild(unset);
+        if (hidden.has(prop)) {
+          const note = document.createElement("span");
+          note.className = "hint";
+          note.textContent = "No if/then branch that applies asks for this field.";
+          row.appendChild(note);
+        }
+        fs.appendChild(row);
+      }
+    }
+
+    // Keys present in the data but without a widget (patternProperties, disallowed extras)
+    const curValue = deepGet(state.values, path);
+    if (curValue && typeof curValue === "object" && !Array.isArray(curValue)) {
+      for (const k of Object.keys(curValue)) {
+        if (k === "__additionalProperties" || Object.prototype.hasOwnProperty.call(props, k)) continue;
+        if (hasMap && !hasNamedProps) continue;
+        fs.appendChild(renderRawJson([...path, k], { label: k, required: false },
+          `${extraKeyReason(node, k)}; kept as raw JSON`, "unrepresented"));
+
+        const row = document.createElement("div");
+        row.className = "row";
+        const unset = document.createElement("button");
+        unset.type = "button";
+        unset.className = "btn secondary smallBtn";
+        unset.textContent = `Remove "${k}"`;
+        unset.addEventListener("click", () => {
+          deepDelete(state.values, [...path, k]);
+          render();
+        });
         row.appendChild(unset);
         fs.appendChild(row);
       }
@@ -427,7 +901,7 @@ function toArray(x) {
         keyInput.type = "text";
         keyInput.value = k;
 
-        const valNode = renderNode(schemaRoot, ap, [...mapPath, k], { label: "Value", required: true });
+        const valNode = renderNode(schemaRoot, node.additionalProperties, [...mapPath, k], { label: "Value", required: true });
 
         const del = document.createElement("button");
         del.type = "button";
@@ -470,7 +944,7 @@ function toArray(x) {
       idxBox.className = "hint";
       idxBox.textContent = `#${idx}`;
 
-      const itemField = renderNode(schemaRoot, itemsSchema, [...path, idx], {
+      const itemField = renderNode(schemaRoot, node.items || {}, [...path, idx], {
         label: "Item",
         required: true
       });
@@ -515,17 +989,18 @@ function toArray(x) {
     wrap.appendChild(lg);
 
     const sel = document.createElement("select");
+    const labelCtx = { resolveRef: state.registry.resolveRef };
     node.oneOf.forEach((opt, i) => {
-      const r = resolveSchema(schemaRoot, opt);
       const o = document.createElement("option");
       o.value = String(i);
-      o.textContent = r.title || r.description || `option ${i + 1}`;
+      o.textContent = oneOfBranchLabel(labelCtx, schemaRoot, opt, i);
       sel.appendChild(o);
     });
 
+    // explicit user choice wins; otherwise preselect the branch matching existing data
     const pk = pathKey(path);
     const chosen = state.inlineOneOf.get(pk);
-    sel.value = String(typeof chosen === "number" ? chosen : 0);
+    sel.value = String(typeof chosen === "number" ? chosen : detectBranch(schemaRoot, node, deepGet(state.values, path)));
 
     sel.addEventListener("change", () => {
       state.inlineOneOf.set(pk, Number(sel.value) || 0);
@@ -537,11 +1012,16 @@ function toArray(x) {
     wrap.appendChild(fieldWrap("Choose shape", true, sel));
 
     const idx = Number(sel.value) || 0;
-    const clamped = Math.max(0, Math.min(idx, node.oneOf.length - 1));
-    const optSchema = resolveSchema(schemaRoot, node.oneOf[clamped]);
+    const { oneOf, ...base } = node;
+    const clamped = Math.max(0, Math.min(idx, oneOf.length - 1));
+    const optSchema = resolveSchema(schemaRoot, oneOf[clamped]);
+    // a bare branch keeps its $ref (recursion guard); otherwise merge shared keywords in
+    const optNode = Object.keys(base).some((k) => k !== "description" && k !== "title")
+      ? oneOfOption(schemaRoot, node, clamped)
+      : oneOf[clamped];
 
     wrap.appendChild(
-      renderNode(schemaRoot, optSchema, path, {
+      renderNode(schemaRoot, optNode, path, {
         label: optSchema.title || "value",
         required: true
       })
@@ -553,6 +1033,7 @@ function toArray(x) {
   function renderBoolean(schemaRoot, node, path, ctx) {
     const input = document.createElement("input");
     input.type = "checkbox";
+    input.dataset.path = pathKey(path);
 
     const cur = deepGet(state.values, path);
     input.checked = (cur ?? node.default ?? false) === true;
@@ -566,8 +1047,14 @@ function toArray(x) {
   }
 
   function renderNumber(schemaRoot, node, path, ctx, kind) {
+    if (!Array.isArray(node.enum)) {
+      if (kind === "integer" && (ctx.secondsPath || /(^|_)(ticks|duration)$/.test(fieldName(path)))) return renderTicks(node, path, ctx);
+      if (kind === "number" && node.minimum === 0 && node.maximum === 1) return renderProbability(node, path, ctx);
+    }
+
     if (Array.isArray(node.enum)) {
       const sel = document.createElement("select");
+      sel.dataset.path = pathKey(path);
       node.enum.forEach((x) => {
         const o = document.createElement("option");
         o.value = String(x);
@@ -591,6 +1078,7 @@ function toArray(x) {
 
     const input = document.createElement("input");
     input.type = "number";
+    input.dataset.path = pathKey(path);
     if (typeof node.minimum === "number") input.min = String(node.minimum);
     if (typeof node.maximum === "number") input.max = String(node.maximum);
     input.step = kind === "integer" ? "1" : "any";
@@ -616,6 +1104,7 @@ function toArray(x) {
   function renderString(schemaRoot, node, path, ctx) {
     if (Array.isArray(node.enum)) {
       const sel = document.createElement("select");
+      sel.dataset.path = pathKey(path);
       node.enum.forEach((x) => {
         const o = document.createElement("option");
         o.value = String(x);
@@ -635,12 +1124,20 @@ function toArray(x) {
       return fieldWrap(ctx.label || "string", ctx.required, sel, node.description || "");
     }
 
+    const idField = isNamespacedId(node);
     const useTextArea =
-      (node.description && node.description.length > 60) ||
-      (node.pattern && String(node.pattern).length > 30);
+      !idField &&
+      ((node.description && node.description.length > 60) ||
+      (node.pattern && String(node.pattern).length > 30));
 
     const input = useTextArea ? document.createElement("textarea") : document.createElement("input");
     if (!useTextArea) input.type = "text";
+    input.dataset.path = pathKey(path);
+    if (idField) {
+      input.setAttribute("list", idList(ID_FIELD_KINDS[fieldName(path)] || null).id);
+      input.spellcheck = false;
+      input.autocomplete = "off";
+    }
 
     const cur = deepGet(state.values, path);
     const v = cur ?? node.default ?? "";
@@ -654,16 +1151,198 @@ function toArray(x) {
 
     const hints = [];
     if (node.description) hints.push(node.description);
-    if (node.pattern) hints.push(`pattern: ${node.pattern}`);
+    if (idField) hints.push("namespace:path");
+    else if (node.pattern) hints.push(`pattern: ${node.pattern}`);
 
     return fieldWrap(ctx.label || "string", ctx.required, input, hints.join(" | "));
   }
 
-  function defaultFor(node0, schemaRoot) {
+  /** A string whose pattern takes "namespace:path" ids (and not bare names). */
+  function isNamespacedId(node) {
+    const re = typeof node.pattern === "string" ? schemaRegex(node.pattern) : null;
+    return !!re && re.test("minecraft:stone") && !re.test("stone");
+  }
+
+  /** The <datalist> of ids of `kinds` (null: every kind) the open pack defines; one per kind set and render. */
+  function idList(kinds) {
+    const key = kinds ? kinds.join(" ") : "*";
+    let list = state.idLists.get(key);
+    if (!list) {
+      list = document.createElement("datalist");
+      list.id = `schemaIds${state.idLists.size}`;
+      state.idLists.set(key, list);
+      fillIdList(list, kinds);
+      formRoot.appendChild(list);
+    }
+    return list;
+  }
+
+  function fillIdList(list, kinds) {
+    const ids = new Set(kinds?.includes("effect") ? VANILLA_EFFECTS : []);
+    for (const [kind, set] of state.packIds) {
+      if (!kinds || kinds.includes(kind)) for (const id of set) ids.add(id);
+    }
+    list.replaceChildren(...[...ids].sort().map((id) => {
+      const o = document.createElement("option");
+      o.value = id;
+      return o;
+    }));
+  }
+
+  /**
+   * Integer tick count with a seconds box beside it (20 ticks = 1 s). With
+   * `ctx.secondsPath` the seconds are a stored sibling (brew_time_seconds) kept
+   * in step with the ticks; otherwise they are only a read-out.
+   */
+  function renderTicks(node, path, ctx) {
+    const secondsPath = ctx.secondsPath || null;
+    const ticks = document.createElement("input");
+    const seconds = document.createElement("input");
+    ticks.type = seconds.type = "number";
+    ticks.dataset.path = seconds.dataset.path = pathKey(path);
+    // paired with an integer seconds field, only whole seconds can be written to both
+    ticks.step = secondsPath ? String(TICKS_PER_SECOND) : "1";
+    seconds.step = secondsPath ? "1" : String(1 / TICKS_PER_SECOND);
+    ticks.min = String(typeof node.minimum === "number" ? node.minimum : 0);
+    seconds.min = "0";
+
+    const curTicks = deepGet(state.values, path) ?? node.default;
+    const curSeconds = secondsPath ? deepGet(state.values, secondsPath) : undefined;
+    if (typeof curTicks === "number") ticks.value = String(curTicks);
+    if (typeof curSeconds === "number") seconds.value = String(curSeconds);
+    else if (typeof curTicks === "number") seconds.value = String(curTicks / TICKS_PER_SECOND);
+
+    const note = document.createElement("div");
+    note.className = "hint";
+    const check = () => {
+      const t = deepGet(state.values, path);
+      const sec = secondsPath ? deepGet(state.values, secondsPath) : undefined;
+      note.textContent = typeof t === "number" && typeof sec === "number" && t !== sec * TICKS_PER_SECOND
+        ? `${t} ticks is ${t / TICKS_PER_SECOND} s, but ${fieldName(secondsPath)} says ${sec}`
+        : "";
+    };
+    check();
+
+    const write = (t, sec) => {
+      deepSet(state.values, path, t);
+      if (secondsPath) deepSet(state.values, secondsPath, sec);
+      check();
+      updatePreviewAndValidate();
+    };
+    // while typing, a tick count that is no whole number of seconds leaves the seconds field out;
+    // leaving the box snaps it to the nearest whole second
+    ticks.addEventListener("input", () => {
+      const t = ticks.value === "" ? undefined : Number(ticks.value);
+      const sec = Number.isFinite(t) ? t / TICKS_PER_SECOND : undefined;
+      const whole = sec !== undefined && (!secondsPath || Number.isInteger(sec));
+      seconds.value = whole ? String(sec) : "";
+      write(Number.isFinite(t) ? t : undefined, whole ? sec : undefined);
+    });
+    ticks.addEventListener("change", () => {
+      const t = Number(ticks.value);
+      if (!secondsPath || ticks.value === "" || !Number.isFinite(t) || t % TICKS_PER_SECOND === 0) return;
+      const sec = Math.round(t / TICKS_PER_SECOND);
+      ticks.value = String(sec * TICKS_PER_SECOND);
+      seconds.value = String(sec);
+      write(sec * TICKS_PER_SECOND, sec);
+    });
+    seconds.addEventListener("input", () => {
+      let sec = seconds.value === "" ? undefined : Number(seconds.value);
+      if (!Number.isFinite(sec)) sec = undefined;
+      else if (secondsPath) sec = Math.round(sec);
+      const t = sec === undefined ? undefined : Math.round(sec * TICKS_PER_SECOND);
+      ticks.value = t === undefined ? "" : String(t);
+      write(t, sec);
+    });
+    seconds.addEventListener("change", () => {
+      const sec = secondsPath ? deepGet(state.values, secondsPath) : undefined;
+      if (typeof sec === "number") seconds.value = String(sec);
+    });
+
+    const unit = (input, text) => {
+      const span = document.createElement("span");
+      span.className = "unitInput";
+      span.append(input, ` ${text}`);
+      return span;
+    };
+    const row = document.createElement("div");
+    row.className = "row";
+    row.append(unit(ticks, "ticks"), unit(seconds, "s"), note);
+
+    const hints = [];
+    if (node.description) hints.push(node.description);
+    hints.push(`${TICKS_PER_SECOND} ticks = 1 s`);
+    return fieldWrap(ctx.label || "ticks", ctx.required, row, hints.join(" | "));
+  }
+
+  /** A 0..1 number (chances, fractions) as a slider with an exact box and the percentage. */
+  function renderProbability(node, path, ctx) {
+    const range = document.createElement("input");
+    range.type = "range";
+    range.min = "0";
+    range.max = "1";
+    range.step = "0.01";
+    const exact = document.createElement("input");
+    exact.type = "number";
+    exact.min = "0";
+    exact.max = "1";
+    exact.step = "any";
+    range.dataset.path = exact.dataset.path = pathKey(path);
+    const percent = document.createElement("output");
+
+    const show = (v) => {
+      percent.textContent = typeof v === "number" ? `${+(v * 100).toFixed(2)}%` : "unset";
+    };
+    const cur = deepGet(state.values, path) ?? node.default;
+    if (typeof cur === "number") range.value = exact.value = String(cur);
+    show(cur);
+
+    range.addEventListener("input", () => {
+      const v = Number(range.value);
+      exact.value = range.value;
+      deepSet(state.values, path, v);
+      show(v);
+      updatePreviewAndValidate();
+    });
+    exact.addEventListener("input", () => {
+      const v = exact.value === "" ? undefined : Number(exact.value);
+      const ok = Number.isFinite(v);
+      if (ok) range.value = String(v);
+      deepSet(state.values, path, ok ? v : undefined);
+      show(ok ? v : undefined);
+      updatePreviewAndValidate();
+    });
+
+    const row = document.createElement("div");
+    row.className = "row probField";
+    row.append(range, exact, percent);
+    return fieldWrap(ctx.label || "number", ctx.required, row, node.description || "0 to 1");
+  }
+
+  // potion level shown after the name, by amplifier (0 shows none, as in game)
+  const EFFECT_LEVELS = ["", " II", " III", " IV", " V", " VI", " VII", " VIII", " IX", " X"];
+
+  /** "Speed II, 0:30, 50% chance" for a status effect entry. */
+  function effectSummary({ effect, duration, amplifier, chance }) {
+    if (typeof effect !== "string" || !effect) return "No effect picked yet.";
+    const name = effect.split(":").pop().split("/").pop().split("_").filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join(" ");
+    const level = Number.isInteger(amplifier) ? EFFECT_LEVELS[amplifier] ?? ` ${amplifier + 1}` : "";
+    let time = "";
+    if (Number.isInteger(duration)) {
+      const sec = duration / TICKS_PER_SECOND;
+      time = sec >= 60 ? `, ${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, "0")}` : `, ${sec} s`;
+    }
+    const odds = typeof chance === "number" ? `, ${+(chance * 100).toFixed(2)}% chance` : "";
+    const unknown = effect.startsWith("minecraft:") && !VANILLA_EFFECTS.includes(effect) ? " (not a vanilla effect)" : "";
+    return `${name}${level}${time}${odds}${unknown}`;
+  }
+
+  function defaultFor(node0, schemaRoot, depth = 0) {
     const node = resolveSchema(schemaRoot, node0);
+    if (!node || node.__unresolved || depth > 32) return undefined; // unknown or recursive shape
     if (node.default !== undefined) return node.default;
 
-    if (Array.isArray(node.oneOf) && node.oneOf.length) return defaultFor(node.oneOf[0], schemaRoot);
+    if (Array.isArray(node.oneOf) && node.oneOf.length) return defaultFor(node.oneOf[0], schemaRoot, depth + 1);
     if (Array.isArray(node.enum) && node.enum.length) return node.enum[0];
 
     const type = inferType(node);
@@ -672,7 +1351,7 @@ function toArray(x) {
       const props = node.properties || {};
       const req = new Set(node.required || []);
       for (const [k, v] of Object.entries(props)) {
-        if (req.has(k)) out[k] = defaultFor(v, schemaRoot);
+        if (req.has(k)) out[k] = defaultFor(v, schemaRoot, depth + 1);
       }
       if (!Object.keys(props).length && node.additionalProperties) return {};
       return out;
@@ -686,138 +1365,183 @@ function toArray(x) {
     return "";
   }
 
-  function buildFinalOutput(value) {
-    // Remove undefined entries; merge additionalProperties map bucket; recurse
-    if (Array.isArray(value)) return value.map(buildFinalOutput).filter((v) => v !== undefined);
-
-    if (value && typeof value === "object") {
-      const out = {};
-      for (const [k, v] of Object.entries(value)) {
-        if (v === undefined) continue;
-        if (k === "__additionalProperties") continue;
-        const built = buildFinalOutput(v);
-        if (built !== undefined) out[k] = built;
-      }
-      // merge extras
-      if (value.__additionalProperties && typeof value.__additionalProperties === "object") {
-        for (const [k, v] of Object.entries(value.__additionalProperties)) {
-          if (v === undefined) continue;
-          out[k] = buildFinalOutput(v);
-        }
-      }
-      return out;
+  /**
+   * Turn an existing document into the in-progress values tree: unknown keys of
+   * objects with named props + additionalProperties go to the
+   * "__additionalProperties" bucket, and oneOf branches are chosen from the data.
+   * Values the form cannot represent are kept in place and reported in `notes`.
+   */
+  function hydrateValues(schemaRoot, node0, value, path, notes, depth = 0) {
+    const node = effectiveNode(schemaRoot, node0);
+    if (value === undefined) return value;
+    if (!node || typeof node !== "object" || depth > 64) return value;
+    if (node.__unresolved) {
+      notes.push({ path, reason: `unresolved $ref ${node.$ref}` });
+      return value;
     }
 
-    return value;
-  }
-
-  function validateAgainst(schemaRoot, node0, value, pathStr, errs) {
-    const node = resolveSchema(schemaRoot, node0);
-
-    // inline oneOf: validate against selected index (stored in state.inlineOneOf)
     if (Array.isArray(node.oneOf) && node.oneOf.length) {
-      const idx = state.inlineOneOf.get(pathStr) ?? 0;
-      const clamped = Math.max(0, Math.min(idx, node.oneOf.length - 1));
-      return validateAgainst(schemaRoot, node.oneOf[clamped], value, pathStr, errs);
+      const idx = detectBranch(schemaRoot, node, value);
+      state.inlineOneOf.set(pathKey(path), idx);
+      return hydrateValues(schemaRoot, oneOfOption(schemaRoot, node, idx), value, path, notes, depth + 1);
     }
 
     const type = inferType(node);
+    if (!valueFitsType(type, value)) {
+      notes.push({ path, reason: `expected ${type}` });
+      return value;
+    }
 
-    if (value === undefined) return;
+    if (type === "array") {
+      return value.map((v, i) => hydrateValues(schemaRoot, node.items || {}, v, [...path, i], notes, depth + 1));
+    }
 
     if (type === "object") {
-      if (typeof value !== "object" || value == null || Array.isArray(value)) {
-        errs.push(`${pathStr} must be an object`);
-        return;
-      }
-
       const props = node.properties || {};
-      const req = node.required || [];
-      for (const k of req) {
-        if (value[k] === undefined) errs.push(`${pathStr}.${k} is required`);
-      }
-
-      // validate named properties
-      for (const [k, sch] of Object.entries(props)) {
-        if (value[k] !== undefined) validateAgainst(schemaRoot, sch, value[k], `${pathStr}.${k}`, errs);
-      }
+      const hasNamedProps = Object.keys(props).length > 0;
+      const hasMap = !!node.additionalProperties;
+      const out = {};
+      const extra = {};
 
-      // validate additionalProperties if present (best-effort)
-      if (node.additionalProperties && typeof node.additionalProperties === "object") {
-        const ap = resolveSchema(schemaRoot, node.additionalProperties);
-        for (const [k, v] of Object.entries(value)) {
-          if (props[k]) continue;
-          validateAgainst(schemaRoot, ap, v, `${pathStr}.${k}`, errs);
+      for (const [k, v] of Object.entries(value)) {
+        if (Object.prototype.hasOwnProperty.call(props, k)) {
+          out[k] = hydrateValues(schemaRoot, props[k], v, [...path, k], notes, depth + 1);
+        } else if (hasMap && hasNamedProps) {
+          extra[k] = hydrateValues(schemaRoot, node.additionalProperties, v, [...path, "__additionalProperties", k], notes, depth + 1);
+        } else if (hasMap) {
+          out[k] = hydrateValues(schemaRoot, node.additionalProperties, v, [...path, k], notes, depth + 1);
+        } else {
+          out[k] = v;
+          notes.push({ path: [...path, k], reason: extraKeyReason(node, k) });
         }
       }
-      return;
-    }
 
-    if (type === "array") {
-      if (!Array.isArray(value)) {
-        errs.push(`${pathStr} must be an array`);
-        return;
-      }
-      if (typeof node.minItems === "number" && value.length < node.minItems)
-        errs.push(`${pathStr} minItems ${node.minItems}`);
-      if (typeof node.maxItems === "number" && value.length > node.maxItems)
-        errs.push(`${pathStr} maxItems ${node.maxItems}`);
-      if (node.items) {
-        value.forEach((it, i) => validateAgainst(schemaRoot, node.items, it, `${pathStr}[${i}]`, errs));
-      }
-      return;
+      if (Object.keys(extra).length) out.__additionalProperties = extra;
+      return out;
     }
 
-    if (type === "boolean") {
-      if (typeof value !== "boolean") errs.push(`${pathStr} must be boolean`);
+    return value;
+  }
+
+  function importDocument(doc, sourceName) {
+    // pick the schema from the file path / content; keep the current one if nothing maps
+    const match = schemaForFile(sourceName || "", doc);
+    if (match && state.schemas.has(match.schema)) {
+      state.activeSchemaName = match.schema;
+      schemaSelect.value = match.schema;
+    }
+    if (!state.activeSchemaName) {
+      alert("Load schemas and pick one before importing a document.");
       return;
     }
+    const schema = state.schemas.get(state.activeSchemaName);
+    const copy = JSON.parse(JSON.stringify(doc));
 
-    if (type === "number" || type === "integer") {
-      if (typeof value !== "number" || Number.isNaN(value)) errs.push(`${pathStr} must be a number`);
-      if (type === "integer" && !Number.isInteger(value)) errs.push(`${pathStr} must be an integer`);
-      if (typeof node.minimum === "number" && value < node.minimum) errs.push(`${pathStr} minimum ${node.minimum}`);
-      if (typeof node.maximum === "number" && value > node.maximum) errs.push(`${pathStr} maximum ${node.maximum}`);
-      if (Array.isArray(node.enum) && !node.enum.includes(value)) errs.push(`${pathStr} must be one of ${node.enum.join(", ")}`);
-      return;
+    state.inlineOneOf.clear();
+    state.activeOneOfIndex = null;
+    state.values = copy; // lets pickRootSchema detect the root branch from the data
+
+    const notes = [];
+    state.values = hydrateValues(schema, pickRootSchema(schema), copy, [], notes) ?? {};
+    if (outName) outName.value = suggestOutputPath(state.activeSchemaName, sourceName, doc);
+
+    if (importStatus) {
+      importStatus.innerHTML = "";
+      const head = document.createElement("div");
+      head.textContent = `Imported ${sourceName || "document"} as ${state.activeSchemaName}` +
+        (match && state.schemas.has(match.schema) ? ` (${match.reason})` : " (no mapping; kept the selected schema)") +
+        (notes.length ? `; ${notes.length} field(s) kept as raw JSON:` : ".");
+      importStatus.appendChild(head);
+      notes.slice(0, 25).forEach((n) => {
+        const d = document.createElement("div");
+        d.className = "warnItem";
+        d.textContent = `/${n.path.filter((p) => p !== "__additionalProperties").map(jsonPointerEscape).join("/")}: ${n.reason}`;
+        importStatus.appendChild(d);
+      });
     }
 
-    // string-ish
-    if (typeof value !== "string") {
-      errs.push(`${pathStr} must be a string`);
+    render();
+  }
+
+  function importJsonText(text, sourceName) {
+    const parsed = tryJsonParse(text);
+    if (!parsed.ok) {
+      alert(`Failed to parse ${sourceName || "JSON"}: ${parsed.error}`);
       return;
     }
-    if (node.pattern) {
-      try {
-        const re = new RegExp(node.pattern);
-        if (!re.test(value)) errs.push(`${pathStr} does not match pattern`);
-      } catch {
-        // ignore invalid regex
+    importDocument(parsed.value, sourceName);
+  }
+
+  function buildFinalOutput(value) {
+    // Remove undefined entries; merge additionalProperties map bucket; recurse
+    if (Array.isArray(value)) return value.map(buildFinalOutput).filter((v) => v !== undefined);
+
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        if (v === undefined) continue;
+        if (k === "__additionalProperties") continue;
+        const built = buildFinalOutput(v);
+        if (built !== undefined) out[k] = built;
+      }
+      // merge extras
+      if (value.__additionalProperties && typeof value.__additionalProperties === "object") {
+        for (const [k, v] of Object.entries(value.__additionalProperties)) {
+          if (v === undefined) continue;
+          out[k] = buildFinalOutput(v);
+        }
       }
+      return out;
     }
-    if (Array.isArray(node.enum) && !node.enum.includes(value))
-      errs.push(`${pathStr} must be one of ${node.enum.join(", ")}`);
+
+    return value;
+  }
+
+  function validateAgainst(schema, value) {
+    return validateJsonSchema(schema, value, { resolveRef: state.registry.resolveRef });
   }
 
   const updatePreviewAndValidate = debounce(() => {
     if (!state.activeSchemaName) return;
+    // an edit that flips an if/then shows or hides fields: rebuild the form (which comes back here)
+    if (gatesChanged()) {
+      render();
+      return;
+    }
+    for (const refresh of state.live) refresh();
     const schema = state.schemas.get(state.activeSchemaName);
-    const root = pickRootSchema(schema);
 
     const out = buildFinalOutput(state.values);
     const json = JSON.stringify(out ?? {}, null, 2);
     jsonPreview.textContent = json;
 
-    const errs = [];
-    validateAgainst(schema, root, out, "$", errs);
+    const errs = validateAgainst(schema, out ?? {});
 
     errorsRoot.innerHTML = "";
     errs.slice(0, 25).forEach((e) => {
       const d = document.createElement("div");
       d.className = "errorItem";
-      d.textContent = e;
+      d.dataset.path = e.path;
+      d.dataset.keyword = e.keyword;
+      d.textContent = formatSchemaError(e);
+      if (e.branches) {
+        const ul = document.createElement("ul");
+        ul.className = "errorBranches";
+        e.branches.forEach((b) => {
+          const li = document.createElement("li");
+          li.textContent = formatOneOfBranch(b);
+          ul.appendChild(li);
+        });
+        d.appendChild(ul);
+      }
       errorsRoot.appendChild(d);
     });
+    if (errs.length > 25) {
+      const more = document.createElement("div");
+      more.className = "hint";
+      more.textContent = `…and ${errs.length - 25} more`;
+      errorsRoot.appendChild(more);
+    }
 
     // Enable export actions
     if (copyBtn) copyBtn.disabled = false;
@@ -826,23 +1550,7 @@ function toArray(x) {
 
   /* ------------------------------ Events ------------------------------ */
 
-  schemaFilesInput.addEventListener("change", async () => {
-    const files = Array.from(schemaFilesInput.files || []);
-    if (!files.length) return;
-
-    state.schemas.clear();
-    state.inlineOneOf.clear();
-
-    for (const f of files) {
-      const text = await f.text();
-      const parsed = tryJsonParse(text);
-      if (!parsed.ok) {
-        alert(`Failed to load ${f.name}: ${parsed.error}`);
-        continue;
-      }
-      state.schemas.set(f.name, parsed.value);
-    }
-
+  function refreshSchemaSelect(preferred) {
     schemaSelect.innerHTML = "";
     for (const name of state.schemas.keys()) {
       const opt = document.createElement("option");
@@ -853,22 +1561,65 @@ function toArray(x) {
 
     schemaSelect.disabled = state.schemas.size === 0;
     if (defaultsBtn) defaultsBtn.disabled = state.schemas.size === 0;
+    if (sampleBtn) sampleBtn.disabled = state.schemas.size === 0;
     if (clearBtn) clearBtn.disabled = state.schemas.size === 0;
 
+    if (preferred && state.schemas.has(preferred)) schemaSelect.value = preferred;
     state.activeSchemaName = schemaSelect.value || null;
-    state.activeOneOfIndex = 0;
+    state.activeOneOfIndex = null;
+    state.inlineOneOf.clear();
     state.values = {};
-    if (outName) outName.value = state.activeSchemaName ? guessOutputName(state.activeSchemaName) : "output.json";
+    if (outName) outName.value = state.activeSchemaName ? suggestOutputPath(state.activeSchemaName) : "output.json";
 
     render();
+  }
+
+  async function loadBundledSchemas() {
+    formRoot.textContent = "Loading bundled schemas…";
+    try {
+      const { schemas, failed } = await fetchSchemaSet(CONFIG.SCHEMA_BASE, CONFIG.SCHEMA_MANIFEST);
+      for (const f of failed) console.warn(`Bundled schema ${f.name} could not be loaded: ${f.error}`);
+
+      state.schemas.clear();
+      for (const [name, doc] of schemas) state.schemas.set(name, doc);
+      rebuildRegistry();
+      refreshSchemaSelect(state.activeSchemaName);
+    } catch (e) {
+      formRoot.textContent = `Could not load bundled schemas (${e?.message || e}). Add schema files instead.`;
+      formRoot.classList.add("muted");
+    }
+  }
+
+  schemaFilesInput.addEventListener("change", async () => {
+    const files = Array.from(schemaFilesInput.files || []);
+    if (!files.length) return;
+
+    // picked files are added to (and override) the loaded set so cross-file refs keep working
+    let first = null;
+    for (const f of files) {
+      const text = await f.text();
+      const parsed = tryJsonParse(text);
+      if (!parsed.ok) {
+        alert(`Failed to load ${f.name}: ${parsed.error}`);
+        continue;
+      }
+      // directory picks carry "<picked dir>/sub/file.json"; key by the path below the picked dir
+      const name = f.webkitRelativePath ? f.webkitRelativePath.split("/").slice(1).join("/") : f.name;
+      state.schemas.set(name, parsed.value);
+      first = first || name;
+    }
+    rebuildRegistry();
+    schemaFilesInput.value = "";
+
+    refreshSchemaSelect(first);
   });
 
   schemaSelect.addEventListener("change", () => {
     state.activeSchemaName = schemaSelect.value;
-    state.activeOneOfIndex = 0;
+    state.activeOneOfIndex = null;
     state.inlineOneOf.clear();
     state.values = {};
-    if (outName) outName.value = guessOutputName(state.activeSchemaName);
+    if (outName) outName.value = suggestOutputPath(state.activeSchemaName);
     render();
   });
 
@@ -883,6 +1634,19 @@ function toArray(x) {
     });
   }
 
+  // a random document that validates (schema-core's generator); the form should show it without errors
+  if (sampleBtn) {
+    sampleBtn.addEventListener("click", () => {
+      if (!state.activeSchemaName) return;
+      const schema = state.schemas.get(state.activeSchemaName);
+      const sample = generateSample(schema, { resolveRef: state.registry.resolveRef });
+      state.values = sample.value;
+      state.activeOneOfIndex = null;
+      state.inlineOneOf.clear();
+      render();
+    });
+  }
+
   if (clearBtn) {
     clearBtn.addEventListener("click", () => {
       state.values = {};
@@ -891,31 +1655,29 @@ function toArray(x) {
     });
   }
 
-  // #copyBtn may be shared with viewer; only bind to JSON-copy if there is no viewer code node
   if (copyBtn) {
-    const hasViewerCode = !!qs("#codeText");
-    if (!hasViewerCode) {
-      copyBtn.addEventListener("click", async () => {
-        try {
-          await navigator.clipboard.writeText(jsonPreview.textContent || "{}");
-        } catch {
-          alert("Clipboard write failed (browser permissions).");
-        }
-      });
-    } else {
-      console.warn("Both schema UI and viewer UI detected; #copyBtn not bound to schema copy to avoid conflicts.");
-    }
+    copyBtn.addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(jsonPreview.textContent || "{}");
+        copyBtn.textContent = "Copied";
+        setTimeout(() => (copyBtn.textContent = "Copy JSON"), 900);
+      } catch {
+        alert("Clipboard write failed (browser permissions).");
+      }
+    });
   }
 
   if (downloadBtn) {
     downloadBtn.addEventListener("click", () => {
-      const name = ((outName && outName.value) || "output.json").trim() || "output.json";
+      // downloads cannot carry folders: the pack path in #outName is reduced to its file name
+      const path = ((outName && outName.value) || "output.json").trim() || "output.json";
+      const name = path.split("/").pop() || "output.json";
       const blob = new Blob([jsonPreview.textContent || "{}"], { type: "application/json" });
       const url = URL.createObjectURL(blob);
 
       const a = document.createElement("a");
       a.href = url;
-      a.download = name.endsWith(".json") ? name : `${name}.json`;
+      a.download = /\.(json|mcmeta)$/i.test(name) ? name : `${name}.json`;
       document.body.appendChild(a);
       a.click();
       a.remove();
@@ -924,29 +1686,59 @@ function toArray(x) {
     });
   }
 
+  if (importFile) {
+    importFile.addEventListener("change", async () => {
+      const f = importFile.files && importFile.files[0];
+      if (!f) return;
+      importJsonText(await f.text(), f.webkitRelativePath || f.name);
+      importFile.value = "";
+    });
+  }
+
+  if (importBtn && importText) {
+    importBtn.addEventListener("click", () => {
+      if (!importText.value.trim()) return;
+      importJsonText(importText.value, null);
+    });
+  }
+
   if (resetBtn) {
+    // reset = back to the bundled schema set with an empty document
     resetBtn.addEventListener("click", () => {
-      state.schemas.clear();
-      state.inlineOneOf.clear();
-      state.activeSchemaName = null;
-      state.activeOneOfIndex = 0;
       state.values = {};
-
-      schemaSelect.innerHTML = "";
-      schemaSelect.disabled = true;
-
-      if (defaultsBtn) defaultsBtn.disabled = true;
-      if (clearBtn) clearBtn.disabled = true;
+      state.inlineOneOf.clear();
+      state.activeOneOfIndex = null;
       if (copyBtn) copyBtn.disabled = true;
       if (downloadBtn) downloadBtn.disabled = true;
-
-      if (outName) outName.value = "output.json";
-      if (oneOfPicker) oneOfPicker.style.display = "none";
-      render();
+      if (importStatus) importStatus.textContent = "";
+      loadBundledSchemas();
     });
   }
 
+  // the viewer announces every pack it opens; id fields suggest what that pack defines
+  let packIdsSeq = 0;
+  window.addEventListener("packchange", async (e) => {
+    const { files = [], readText } = e.detail || {};
+    const seq = ++packIdsSeq;
+    const docs = [];
+    for (const path of files) {
+      let doc = null;
+      if (readText && (SOUNDS_JSON.test(path) || ALCHEMY_JSON.test(path))) {
+        try {
+          doc = tryJsonParse(await readText(path)).value ?? null;
+        } catch {
+          // unreadable: its ids are just not suggested
+        }
+      }
+      docs.push([path, doc]);
+    }
+    if (seq !== packIdsSeq) return;
+    state.packIds = packIdIndex(docs);
+    for (const [key, list] of state.idLists) fillIdList(list, key === "*" ? null : key.split(" "));
+  });
+
   render();
+  loadBundledSchemas();
 })();
 
 /* ------------------------ Module B: Repo Viewer UI ------------------------ */
@@ -958,6 +1750,7 @@ function toArray(x) {
   const codeText = qs("#codeText");
   const statusLine = qs("#statusLine");
   const footerRight = qs("#footerRight");
+  const footerLeft = qs("#footerLeft");
 
   const hasViewerUi = !!fileTree && !!viewerPath && !!codeText && !!statusLine;
   if (!hasViewerUi) return;
@@ -970,18 +1763,28 @@ function toArray(x) {
     REMOTE: {
       RAW_BASE: "https://raw.githubusercontent.com/Mosberg/Minecraft-1.21.11/main/"
     },
-    LOCAL_FILES: [
-      "pack.mcmeta",
-      "index.html",
-      "styles.css",
-      "app.js"
-    ]
+    SCHEMA_BASE: "./schemas/",
+    // generated by `node tools/cli.js index`; fetched from RAW_BASE in remote mode
+    FILE_INDEX: "files.json",
+    SEARCH_WORKER: "./search-worker.js",
+    VANILLA_MODELS: "vanilla-models.json" // { "models": { "minecraft:block/cube": {...} } }, parents packs usually don't ship
   };
 
   const viewerState = {
+    source: null, // repoSource or a local pack (pack-fs.js); set by useSource
+    sourceToken: 0, // bumped by useSource; unlike source.id it differs for two packs opened under one name
     files: [],
+    index: new Map(), // path -> { path, size, type, hash? } from files.json or the local pack
     filtered: [],
-    currentPath: null
+    currentPath: null,
+    currentText: null, // file content (null while showing a message)
+    json: undefined, // parse result of currentText, computed on demand
+    pointerLines: null, // JSON pointer -> line, computed on demand
+    mode: "code", // "code" | "tree"
+    preview: null, // "image" | "audio" while a binary file is previewed instead of shown as text
+    validity: new Map(), // path -> { ok, count } from inline validation or a repo lint
+    jsonDocs: new Map(), // path -> Promise<parsed JSON | null> of readJsonDoc, per source
+    loadSeq: 0
   };
 
   const byId = (id) => document.getElementById(id);
@@ -991,8 +1794,13 @@ function toArray(x) {
   const siteTitle = byId("siteTitle");
   const siteSubtitle = byId("siteSubtitle");
   const searchInput = byId("searchInput");
-  const copyBtn = byId("copyBtn");     // may conflict with schema UI; guarded below
+  const copyBtn = byId("copyBtn");
   const openRawBtn = byId("openRawBtn");
+  const lintLink = byId("lintLink");
+  const codeBlock = byId("codeBlock");
+  const viewModeBtn = byId("viewModeBtn");
+  const jsonTree = byId("jsonTree");
+  const jsonCrumbs = byId("jsonCrumbs");
 
   function loadPrefs() {
     const theme = localStorage.getItem("theme");
@@ -1036,141 +1844,3314 @@ function toArray(x) {
     return String(p || "").replace(/^\/+/, "");
   }
 
+  /* ------------------------------ File sources ------------------------------ */
+
+  /**
+   * This repo over HTTP: relative to the page, or RAW_BASE in remote mode. Local
+   * packs (pack-fs.js) have the same shape, so the viewer only talks to
+   * viewerState.source through fetchText / fileUrlFor.
+   */
+  const repoSource = {
+    id: "repo",
+    label: "this repo",
+    local: false,
+    async list() {
+      const parsed = tryJsonParse(await (await repoFetch(CONFIG.FILE_INDEX)).text());
+      if (!parsed.ok) throw new Error(`${CONFIG.FILE_INDEX} is not valid JSON`);
+      return toArray(parsed.value?.files).filter((f) => f && typeof f.path === "string");
+    },
+    async readText(path) {
+      return (await repoFetch(path)).text();
+    },
+    async readBytes(path) {
+      return new Uint8Array(await (await repoFetch(path)).arrayBuffer());
+    },
+    url(path) {
+      return CONFIG.USE_REMOTE ? CONFIG.REMOTE.RAW_BASE + path : "./" + path;
+    },
+    close() {}
+  };
+
+  async function repoFetch(path) {
+    const res = await fetch(repoSource.url(path), { cache: "no-store" });
+    if (!res.ok) throw new Error(`Failed to load ${path} (${res.status})`);
+    return res;
+  }
+
   function fileUrlFor(path) {
     path = normalizePath(path);
-    if (!path) return null;
-    if (CONFIG.USE_REMOTE) return CONFIG.REMOTE.RAW_BASE + path;
-    return "./" + path;
+    return path ? viewerState.source.url(path) : null;
+  }
+
+  // never decoded as text: previewed (see previewKindFor) or shown as "binary file"
+  const BINARY_TYPES = new Set(["png", "jpg", "jpeg", "gif", "webp", "ico", "ogg", "wav", "mp3", "zip", "jar", "nbt", "dat", "ttf", "otf", "woff", "woff2"]);
+
+  function isBinaryPath(path) {
+    const type = viewerState.index.get(path)?.type || path.slice(path.lastIndexOf(".") + 1).toLowerCase();
+    return BINARY_TYPES.has(type);
+  }
+
+  /* ------------------------------- File tree -------------------------------- */
+
+  // rows are positioned absolutely; keep TREE_ROW_HEIGHT in sync with .tree__row
+  const TREE_ROW_HEIGHT = 30;
+  const TREE_OVERSCAN = 10;
+  const TYPEAHEAD_RESET_MS = 700;
+  const TREE_STORAGE_KEY = "treeExpanded";
+
+  const treeState = {
+    root: null,
+    expanded: loadExpanded(), // folder paths the user opened (persisted)
+    filterExpanded: null, // while searching: every folder starts open, nothing is persisted
+    rows: [], // visible rows: { node, depth, setsize, posinset }
+    active: 0,
+    typeahead: "",
+    typeaheadAt: 0,
+    frame: 0
+  };
+
+  const treeSpacer = document.createElement("div");
+  treeSpacer.className = "tree__spacer";
+  fileTree.appendChild(treeSpacer);
+
+  function loadExpanded() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem(TREE_STORAGE_KEY) || "[]"));
+    } catch {
+      return new Set();
+    }
   }
 
+  function saveExpanded() {
+    localStorage.setItem(TREE_STORAGE_KEY, JSON.stringify([...treeState.expanded]));
+  }
+
+  /** Folder tree from "/"-separated paths; folders carry the number of files below them. */
+  function buildTree(paths) {
+    const root = { name: "", path: "", dir: true, children: new Map(), count: 0 };
+    for (const path of paths) {
+      const parts = path.split("/");
+      let node = root;
+      node.count++;
+      parts.forEach((name, i) => {
+        const isFile = i === parts.length - 1;
+        const key = (isFile ? "f:" : "d:") + name;
+        if (!node.children.has(key)) {
+          const p = parts.slice(0, i + 1).join("/");
+          node.children.set(key, isFile ? { name, path: p, dir: false } : { name, path: p, dir: true, children: new Map(), count: 0 });
+        }
+        node = node.children.get(key);
+        if (!isFile) node.count++;
+      });
+    }
+    return root;
+  }
+
+  /** "a/b/c.json" -> ["a", "a/b"] */
+  function ancestorsOf(path) {
+    const parts = path.split("/");
+    return parts.slice(0, -1).map((_, i) => parts.slice(0, i + 1).join("/"));
+  }
+
+  function sortedChildren(node) {
+    return [...node.children.values()].sort((a, b) => (b.dir - a.dir) || a.name.localeCompare(b.name, undefined, { numeric: true }));
+  }
+
+  function isExpanded(node) {
+    return (treeState.filterExpanded || treeState.expanded).has(node.path);
+  }
+
+  function flattenTree(root) {
+    const rows = [];
+    const walk = (node, depth) => {
+      const kids = sortedChildren(node);
+      kids.forEach((child, i) => {
+        rows.push({ node: child, depth, setsize: kids.length, posinset: i + 1 });
+        if (child.dir && isExpanded(child)) walk(child, depth + 1);
+      });
+    };
+    if (root) walk(root, 1);
+    return rows;
+  }
+
+  /** Rebuild the tree from viewerState.filtered (after loading or filtering). */
   function renderTree() {
-    fileTree.textContent = "";
+    treeState.root = buildTree(viewerState.filtered);
+    refreshRows();
+  }
 
-    for (const path of viewerState.filtered) {
-      const a = document.createElement("a");
-      a.className = "tree__item";
-      a.href = `#${encodeURIComponent(path)}`;
-      a.dataset.path = path;
+  function refreshRows() {
+    const activePath = treeState.rows[treeState.active]?.node.path;
+    treeState.rows = flattenTree(treeState.root);
+    const keep = treeState.rows.findIndex((r) => r.node.path === activePath);
+    treeState.active = keep >= 0 ? keep : Math.min(treeState.active, Math.max(0, treeState.rows.length - 1));
+    treeSpacer.style.height = `${treeState.rows.length * TREE_ROW_HEIGHT}px`;
+    paintRows();
+  }
 
-      const label = document.createElement("span");
-      label.textContent = path;
+  function schedulePaint() {
+    if (treeState.frame) return;
+    treeState.frame = requestAnimationFrame(() => {
+      treeState.frame = 0;
+      paintRows();
+    });
+  }
+
+  /** Render only the rows inside the scroll window (plus overscan). */
+  function paintRows() {
+    const { rows } = treeState;
+    const height = fileTree.clientHeight || TREE_ROW_HEIGHT * 40; // hidden / not laid out yet
+    const first = Math.max(0, Math.floor(fileTree.scrollTop / TREE_ROW_HEIGHT) - TREE_OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((fileTree.scrollTop + height) / TREE_ROW_HEIGHT) + TREE_OVERSCAN);
+
+    const frag = document.createDocumentFragment();
+    for (let i = first; i < last; i++) frag.appendChild(renderRow(rows[i], i));
+    treeSpacer.replaceChildren(frag);
+
+    const active = rows[treeState.active];
+    if (active && treeState.active >= first && treeState.active < last) fileTree.setAttribute("aria-activedescendant", rowId(treeState.active));
+    else fileTree.removeAttribute("aria-activedescendant");
+  }
+
+  function rowId(i) {
+    return `treeRow${i}`;
+  }
+
+  function renderRow(row, i) {
+    const { node, depth } = row;
+    const el = document.createElement(node.dir ? "div" : "a");
+    el.className = `tree__item tree__row${node.dir ? " tree__folder" : ""}${i === treeState.active ? " is-active" : ""}`;
+    el.id = rowId(i);
+    el.setAttribute("role", "treeitem");
+    el.dataset.path = node.path;
+    el.dataset.index = String(i);
+    el.style.top = `${i * TREE_ROW_HEIGHT}px`;
+    el.style.paddingLeft = `${10 + (depth - 1) * 14}px`;
+    el.setAttribute("aria-level", String(depth));
+    el.setAttribute("aria-setsize", String(row.setsize));
+    el.setAttribute("aria-posinset", String(row.posinset));
+    el.tabIndex = -1;
+
+    const twisty = document.createElement("span");
+    twisty.className = "tree__twisty";
+    twisty.setAttribute("aria-hidden", "true");
+
+    const label = document.createElement("span");
+    label.className = "tree__label";
+    label.textContent = node.name;
+
+    const badge = document.createElement("span");
+    badge.className = "tree__badge";
+    let status = null;
+
+    if (node.dir) {
+      const open = isExpanded(node);
+      el.setAttribute("aria-expanded", String(open));
+      twisty.textContent = open ? "▾" : "▸";
+      badge.textContent = String(node.count);
+      badge.title = `${node.count} file${node.count === 1 ? "" : "s"}`;
+    } else {
+      el.href = `#${encodeURIComponent(node.path)}`;
+      el.title = node.path;
+      badge.textContent = viewerState.index.get(node.path)?.type || (node.name.includes(".") ? node.name.split(".").pop() : "file");
+      const validity = viewerState.validity.get(node.path);
+      if (validity) {
+        status = document.createElement("span");
+        status.className = `tree__status tree__status--${validity.ok ? "pass" : "fail"}`;
+        status.textContent = validity.ok ? "✓" : "✕";
+        status.title = validity.ok ? "Valid against its schema" : `${validity.count} schema issue${validity.count === 1 ? "" : "s"}`;
+      }
+      if (viewerState.currentPath === node.path) {
+        el.setAttribute("aria-current", "page");
+        el.setAttribute("aria-selected", "true");
+      }
+    }
+
+    el.append(twisty, label, ...(status ? [status] : []), badge);
+    return el;
+  }
+
+  function setExpanded(node, open) {
+    const set = treeState.filterExpanded || treeState.expanded;
+    if (open) set.add(node.path);
+    else set.delete(node.path);
+    if (!treeState.filterExpanded) saveExpanded();
+    refreshRows();
+  }
+
+  function setActive(i) {
+    if (!treeState.rows.length) return;
+    treeState.active = Math.max(0, Math.min(treeState.rows.length - 1, i));
+
+    // keep the active row inside the scroll window
+    const top = treeState.active * TREE_ROW_HEIGHT;
+    const height = fileTree.clientHeight || TREE_ROW_HEIGHT * 40;
+    if (top < fileTree.scrollTop) fileTree.scrollTop = top;
+    else if (top + TREE_ROW_HEIGHT > fileTree.scrollTop + height) fileTree.scrollTop = top + TREE_ROW_HEIGHT - height;
+    paintRows();
+  }
 
-      const badge = document.createElement("span");
-      badge.className = "tree__badge";
-      badge.textContent = path.includes(".") ? path.split(".").pop() : "file";
+  /** Expand every ancestor of `path` and make its row active. */
+  function revealPath(path) {
+    if (!treeState.root || !path) return;
+    const set = treeState.filterExpanded || treeState.expanded;
+    for (const folder of ancestorsOf(path)) set.add(folder);
+    if (!treeState.filterExpanded) saveExpanded();
+    treeState.rows = flattenTree(treeState.root);
+    treeSpacer.style.height = `${treeState.rows.length * TREE_ROW_HEIGHT}px`;
+    const i = treeState.rows.findIndex((r) => r.node.path === path);
+    setActive(i >= 0 ? i : treeState.active);
+  }
+
+  function activateRow(i) {
+    const row = treeState.rows[i];
+    if (!row) return;
+    if (row.node.dir) setExpanded(row.node, !isExpanded(row.node));
+    else location.hash = encodeURIComponent(row.node.path);
+  }
 
-      a.append(label, badge);
+  function typeAhead(ch) {
+    const now = Date.now();
+    if (now - treeState.typeaheadAt > TYPEAHEAD_RESET_MS) treeState.typeahead = "";
+    treeState.typeaheadAt = now;
+    treeState.typeahead += ch.toLowerCase();
+
+    // a fresh single letter moves on to the next match; a longer prefix may stay put
+    const { rows } = treeState;
+    const start = treeState.typeahead.length === 1 ? treeState.active + 1 : treeState.active;
+    for (let k = 0; k < rows.length; k++) {
+      const i = (start + k) % rows.length;
+      if (rows[i].node.name.toLowerCase().startsWith(treeState.typeahead)) return setActive(i);
+    }
+  }
 
-      if (viewerState.currentPath === path) a.setAttribute("aria-current", "page");
-      fileTree.appendChild(a);
+  function onTreeKeydown(e) {
+    const { rows } = treeState;
+    const row = rows[treeState.active];
+    if (!row || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    switch (e.key) {
+      case "ArrowDown": setActive(treeState.active + 1); break;
+      case "ArrowUp": setActive(treeState.active - 1); break;
+      case "Home": setActive(0); break;
+      case "End": setActive(rows.length - 1); break;
+      case "ArrowRight":
+        if (!row.node.dir) break;
+        if (!isExpanded(row.node)) setExpanded(row.node, true);
+        else if (rows[treeState.active + 1]?.depth > row.depth) setActive(treeState.active + 1);
+        break;
+      case "ArrowLeft":
+        if (row.node.dir && isExpanded(row.node)) {
+          setExpanded(row.node, false);
+        } else {
+          for (let i = treeState.active - 1; i >= 0; i--) {
+            if (rows[i].depth === row.depth - 1) {
+              setActive(i);
+              break;
+            }
+          }
+        }
+        break;
+      case "Enter":
+      case " ":
+        activateRow(treeState.active);
+        break;
+      default:
+        if (e.key.length === 1 && e.key.trim()) typeAhead(e.key);
+        else return;
     }
+    e.preventDefault();
+  }
+
+  function bindTree() {
+    fileTree.addEventListener("scroll", schedulePaint, { passive: true });
+    fileTree.addEventListener("keydown", onTreeKeydown);
+    fileTree.addEventListener("click", (e) => {
+      const el = e.target.closest(".tree__row");
+      if (!el) return;
+      treeState.active = Number(el.dataset.index);
+      if (el.classList.contains("tree__folder")) {
+        e.preventDefault();
+        activateRow(treeState.active);
+      } else {
+        paintRows();
+      }
+      fileTree.focus({ preventScroll: true });
+    });
+    window.addEventListener("resize", schedulePaint);
   }
 
   function applyFilter(query) {
     const q = (query || "").trim().toLowerCase();
     viewerState.filtered = !q ? [...viewerState.files] : viewerState.files.filter((p) => p.toLowerCase().includes(q));
+    // search results open every folder that has a match
+    treeState.filterExpanded = q ? new Set(viewerState.filtered.flatMap(ancestorsOf)) : null;
     renderTree();
     setStatus(`${viewerState.filtered.length}/${viewerState.files.length} shown`);
   }
 
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  }
+
   async function fetchText(path) {
-    const url = fileUrlFor(path);
-    const res = await fetch(url, { cache: "no-store" });
-    if (!res.ok) throw new Error(`Failed to load ${path} (${res.status})`);
-    return await res.text();
+    return viewerState.source.readText(normalizePath(path));
   }
 
-  function setViewer(path, text) {
-    viewerPath.textContent = path || "—";
-    codeText.textContent = text || "";
+  /** Parsed JSON of a pack file other than the open one (null if unreadable or invalid), read once per source. */
+  function readJsonDoc(path) {
+    if (!viewerState.jsonDocs.has(path)) {
+      viewerState.jsonDocs.set(path, fetchText(path).then((text) => {
+        const parsed = tryJsonParse(text);
+        return parsed.ok ? parsed.value : null;
+      }, () => null));
+    }
+    return viewerState.jsonDocs.get(path);
+  }
 
-    if (openRawBtn) {
-      const url = fileUrlFor(path);
-      if (url) {
-        openRawBtn.href = url;
-        openRawBtn.setAttribute("aria-disabled", "false");
-      } else {
-        openRawBtn.href = "#";
-        openRawBtn.setAttribute("aria-disabled", "true");
+  /** Save `blob` as a download named `name`. */
+  function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 2500);
+  }
+
+  /* ----------------------------- Content search ----------------------------- */
+
+  // too large to be worth sending to the search index (binary files never are)
+  const SEARCH_MAX_BYTES = 2 * 1024 * 1024;
+  const SEARCH_BATCH = 24;
+  const SEARCH_LIMIT = 1000;
+
+  const searchResults = byId("searchResults");
+  const searchOptions = byId("searchOptions");
+  const searchRegexBtn = byId("searchRegex");
+  const searchCaseBtn = byId("searchCase");
+  const searchScope = byId("searchScope");
+
+  const searchState = {
+    mode: "paths", // "paths" | "content"
+    regex: false,
+    caseSensitive: false,
+    scope: "all", // "all" | "keys" | "values"
+    worker: null,
+    indexing: null, // Promise<number of files sent> while/after the index is built
+    pending: new Map(), // request id -> resolve
+    requestId: 0,
+    ticket: 0
+  };
+
+  function loadSearchPrefs() {
+    const saved = tryJsonParse(localStorage.getItem("search") || "null");
+    if (!saved.ok || !saved.value || typeof saved.value !== "object") return;
+    const { mode, regex, caseSensitive, scope } = saved.value;
+    if (mode === "paths" || mode === "content") searchState.mode = mode;
+    searchState.regex = regex === true;
+    searchState.caseSensitive = caseSensitive === true;
+    if (["all", "keys", "values"].includes(scope)) searchState.scope = scope;
+  }
+
+  function saveSearchPrefs() {
+    const { mode, regex, caseSensitive, scope } = searchState;
+    localStorage.setItem("search", JSON.stringify({ mode, regex, caseSensitive, scope }));
+  }
+
+  function isSearchable(path) {
+    const entry = viewerState.index.get(path);
+    if (entry && entry.size > SEARCH_MAX_BYTES) return false;
+    return !isBinaryPath(path);
+  }
+
+  function searchWorker() {
+    if (searchState.worker) return searchState.worker;
+    const worker = new Worker(CONFIG.SEARCH_WORKER);
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type !== "results") return;
+      searchState.pending.get(msg.id)?.(msg);
+      searchState.pending.delete(msg.id);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      const error = `Search worker failed: ${e.message || "could not start"}`;
+      for (const resolve of searchState.pending.values()) resolve({ results: [], total: 0, error });
+      searchState.pending.clear();
+      worker.terminate();
+      searchState.worker = null;
+      searchState.indexing = null;
+    };
+    searchState.worker = worker;
+    return worker;
+  }
+
+  /** Send every searchable file to the worker once per session (batched fetches). */
+  function ensureSearchIndex() {
+    searchState.indexing ||= (async () => {
+      const { source } = viewerState;
+      const worker = searchWorker();
+      worker.postMessage({ type: "reset" });
+      const paths = viewerState.files.filter(isSearchable);
+      for (let i = 0; i < paths.length; i += SEARCH_BATCH) {
+        if (source !== viewerState.source) return 0; // superseded by resetSearchIndex
+        const batch = paths.slice(i, i + SEARCH_BATCH);
+        const files = await Promise.all(batch.map(async (path) => ({ path, text: await fetchText(path).catch(() => null) })));
+        worker.postMessage({ type: "add", files: files.filter((f) => f.text != null) });
+        if (searchState.mode === "content") setStatus(`Indexing ${Math.min(i + SEARCH_BATCH, paths.length)}/${paths.length} files…`);
       }
-    }
+      return paths.length;
+    })();
+    searchState.indexing.catch(() => (searchState.indexing = null));
+    return searchState.indexing;
+  }
 
-    // highlight selection
-    for (const node of qsa(".tree__item", fileTree)) {
-      if (node.dataset.path === path) node.setAttribute("aria-current", "page");
-      else node.removeAttribute("aria-current");
-    }
+  /** Forget the index (the file list changed); the next content search rebuilds it. */
+  function resetSearchIndex() {
+    searchState.indexing = null;
+    ++searchState.ticket;
   }
 
-  async function openPathFromHash() {
-    const raw = decodeURIComponent((location.hash || "").slice(1));
-    const path = normalizePath(raw);
-    if (!path) {
-      viewerState.currentPath = null;
-      setViewer(null, "Select a file from the sidebar.");
+  function querySearchWorker(options) {
+    const id = ++searchState.requestId;
+    return new Promise((resolve) => {
+      searchState.pending.set(id, resolve);
+      searchWorker().postMessage({ type: "search", id, ...options });
+    });
+  }
+
+  async function runContentSearch(query) {
+    const ticket = ++searchState.ticket;
+    const q = query || "";
+    showSearchResults(!!q.trim());
+    if (!q.trim()) {
+      setStatus(`${viewerState.files.length} files`);
       return;
     }
 
-    viewerState.currentPath = path;
-
+    let result;
     try {
-      setViewer(path, "Loading…");
-      const text = await fetchText(path);
-      setViewer(path, text);
-      setFooter(path);
+      const count = await ensureSearchIndex();
+      if (ticket !== searchState.ticket) return;
+      setStatus(`Searching ${count} files…`);
+      const { regex, caseSensitive, scope } = searchState;
+      result = await querySearchWorker({ query: q, regex, caseSensitive, scope, limit: SEARCH_LIMIT });
     } catch (e) {
-      setViewer(path, `Error: ${e?.message || e}`);
+      result = { results: [], total: 0, error: `Content search is unavailable: ${e?.message || e}` };
     }
+    if (ticket !== searchState.ticket) return; // a newer query is running
+    renderSearchResults(result);
   }
 
-  function bindCopyButton() {
-    // If schema UI is present too, do not bind #copyBtn here to avoid conflicts
-    const hasSchemaUi = !!qs("#jsonPreview");
-    if (!copyBtn || hasSchemaUi) {
-      if (hasSchemaUi) console.warn("Both schema UI and viewer UI detected; #copyBtn not bound to viewer copy to avoid conflicts.");
+  function showSearchResults(show) {
+    if (!searchResults) return;
+    searchResults.hidden = !show;
+    fileTree.hidden = show;
+    if (!show) schedulePaint();
+  }
+
+  function renderSearchResults({ results, total, truncated, error }) {
+    searchResults.textContent = "";
+    if (error) {
+      const p = document.createElement("p");
+      p.className = "hits__msg";
+      p.textContent = error;
+      searchResults.appendChild(p);
+      setStatus("Search failed");
       return;
     }
-    copyBtn.addEventListener("click", async () => {
-      const text = codeText.textContent || "";
-      try {
-        await navigator.clipboard.writeText(text);
-        copyBtn.textContent = "Copied";
-        setTimeout(() => (copyBtn.textContent = "Copy"), 900);
-      } catch {
-        alert("Clipboard write failed (browser permissions).");
+
+    setStatus(
+      total
+        ? `${truncated ? "First " : ""}${total} match${total === 1 ? "" : "es"} in ${results.length} file${results.length === 1 ? "" : "s"}`
+        : "No matches"
+    );
+
+    const frag = document.createDocumentFragment();
+    for (const { path, matches } of results) {
+      const group = document.createElement("section");
+      group.className = "hits";
+
+      const head = document.createElement("a");
+      head.className = "hits__file";
+      head.href = viewerHash(path);
+      head.title = path;
+      head.innerHTML = `<span class="hits__path">${escapeHtml(path)}</span><span class="tree__badge">${matches.length}</span>`;
+
+      const list = document.createElement("ol");
+      list.className = "hits__list";
+      for (const m of matches) {
+        const li = document.createElement("li");
+        const a = document.createElement("a");
+        a.className = "hits__line";
+        a.href = viewerHash(path, { line: m.line });
+        a.title = `${path}:${m.line}:${m.column}`;
+        a.innerHTML =
+          `<span class="hits__no">${m.line}</span>` +
+          `<code>${escapeHtml(m.snippet.slice(0, m.from))}<mark>${escapeHtml(m.snippet.slice(m.from, m.to))}</mark>${escapeHtml(m.snippet.slice(m.to))}</code>`;
+        li.appendChild(a);
+        list.appendChild(li);
       }
-    });
+      group.append(head, list);
+      frag.appendChild(group);
+    }
+    searchResults.appendChild(frag);
   }
 
-  async function init() {
-    loadPrefs();
+  function onSearchInput() {
+    const value = searchInput?.value || "";
+    if (searchState.mode === "content") runContentSearchSoon(value);
+    else applyFilter(value);
+  }
 
-    if (siteTitle) siteTitle.textContent = CONFIG.SITE_TITLE;
-    if (siteSubtitle) siteSubtitle.textContent = CONFIG.SITE_SUBTITLE;
-    if (repoLink) repoLink.href = CONFIG.REPO_URL;
+  const runContentSearchSoon = debounce(runContentSearch, 200);
 
-    themeToggle?.addEventListener("click", toggleTheme);
-    sidebarToggle?.addEventListener("click", toggleSidebar);
+  function updateSearchControls() {
+    for (const btn of qsa("[data-search-mode]")) btn.setAttribute("aria-pressed", String(btn.dataset.searchMode === searchState.mode));
+    searchRegexBtn?.setAttribute("aria-pressed", String(searchState.regex));
+    searchCaseBtn?.setAttribute("aria-pressed", String(searchState.caseSensitive));
+    if (searchScope) searchScope.value = searchState.scope;
+    const content = searchState.mode === "content";
+    for (const el of qsa("[data-content-only]", searchOptions || document)) el.hidden = !content;
+    if (searchInput) searchInput.placeholder = content ? "Search contents…" : "Search files…";
+  }
 
-    searchInput?.addEventListener("input", (e) => applyFilter(e.target.value));
+  function setSearchMode(mode) {
+    if (mode === searchState.mode) return;
+    searchState.mode = mode;
+    saveSearchPrefs();
+    updateSearchControls();
+    if (mode === "content") {
+      applyFilter("");
+      runContentSearch(searchInput?.value);
+    } else {
+      ++searchState.ticket;
+      showSearchResults(false);
+      applyFilter(searchInput?.value);
+    }
+  }
 
-    // populate file list
-    viewerState.files = CONFIG.USE_REMOTE ? [] : [...CONFIG.LOCAL_FILES];
-    viewerState.filtered = [...viewerState.files];
+  function setSearchOption(key, value) {
+    searchState[key] = value;
+    saveSearchPrefs();
+    updateSearchControls();
+    if (searchState.mode === "content") runContentSearch(searchInput?.value);
+  }
 
-    setStatus(`${viewerState.filtered.length}/${viewerState.files.length} shown`);
-    renderTree();
+  function bindSearch() {
+    loadSearchPrefs();
+    updateSearchControls();
+    searchInput?.addEventListener("input", onSearchInput);
+    searchOptions?.addEventListener("click", (e) => {
+      const modeBtn = e.target.closest("[data-search-mode]");
+      if (modeBtn) setSearchMode(modeBtn.dataset.searchMode);
+    });
+    searchRegexBtn?.addEventListener("click", () => setSearchOption("regex", !searchState.regex));
+    searchCaseBtn?.addEventListener("click", () => setSearchOption("caseSensitive", !searchState.caseSensitive));
+    searchScope?.addEventListener("change", () => setSearchOption("scope", searchScope.value));
+  }
 
-    window.addEventListener("hashchange", openPathFromHash);
-    await openPathFromHash();
+  /* ------------------------------- Local packs ------------------------------- */
 
-    if (CONFIG.USE_REMOTE && viewerState.files.length === 0) {
-      setStatus("Remote mode enabled; file listing not configured.");
-      setViewer(null, "Remote mode is enabled, but the file list is empty.\n\nAdd a file index or switch USE_REMOTE=false.");
+  const viewerLayout = byId("viewerLayout");
+  const sidebarTitle = byId("sidebarTitle");
+  const openFolderBtn = byId("openFolderBtn");
+  const openFolderInput = byId("openFolderInput");
+  const openZipInput = byId("openZipInput");
+  const closePackBtn = byId("closePackBtn");
+
+  /** Show `source` in the viewer: reload the file list and drop per-source state. Returns the list error, if any. */
+  async function useSource(source) {
+    const previous = viewerState.source;
+    viewerState.source = source;
+    viewerState.sourceToken++;
+    if (previous && previous !== source) previous.close();
+
+    let entries = [];
+    let error = null;
+    try {
+      entries = await source.list();
+    } catch (e) {
+      error = e;
     }
+    viewerState.index = new Map(entries.map((f) => [f.path, f]));
+    viewerState.files = entries.map((f) => f.path);
+    viewerState.validity.clear();
+    resetSearchIndex();
+    soundState.docs = null;
+    viewerState.jsonDocs.clear();
+
+    if (sidebarTitle) sidebarTitle.textContent = source.local ? source.label : "Files";
+    if (footerLeft) footerLeft.textContent = source.local ? `Local pack: ${source.label}` : "Static viewer";
+    if (closePackBtn) closePackBtn.hidden = !source.local;
+    if (lintRepoBtn) lintRepoBtn.textContent = `Lint ${source.label}`;
+
+    applyFilter(searchState.mode === "paths" ? searchInput?.value : "");
+    if (searchState.mode === "content" && searchInput?.value) runContentSearch(searchInput.value);
+    applyLintValidity();
+    if (lintReport) renderLintReport();
+    // the schema editor suggests ids from the open pack
+    window.dispatchEvent(new CustomEvent("packchange", { detail: { files: viewerState.files, readText: (path) => source.readText(path) } }));
+    return error;
+  }
 
-    bindCopyButton();
+  /** Switch the viewer to the source `load()` resolves to; the open file is kept if the new source has it. */
+  async function openSource(load) {
+    setStatus("Opening…");
+    let source;
+    try {
+      source = await load();
+    } catch (e) {
+      // a cancelled directory picker is not an error
+      setStatus(e?.name === "AbortError" ? `${viewerState.filtered.length}/${viewerState.files.length} shown` : `Could not open: ${e?.message || e}`);
+      return;
+    }
+
+    const error = await useSource(source);
+    if (error) {
+      setStatus(`Could not list ${source.label}: ${error?.message || error}`);
+      return;
+    }
+    const { path } = parseViewerHash();
+    if (path && !viewerState.index.has(path)) history.replaceState(null, "", `${location.pathname}${location.search}`);
+    viewerState.currentPath = null;
+    await openPathFromHash();
   }
 
-  init();
+  function openZip(file) {
+    openSource(async () => PackFS.fromZip(file.name, await file.arrayBuffer()));
+  }
+
+  function bindLocalPacks() {
+    openFolderBtn?.addEventListener("click", () => {
+      if (window.showDirectoryPicker) openSource(async () => PackFS.fromDirectoryHandle(await window.showDirectoryPicker()));
+      else openFolderInput?.click();
+    });
+    openFolderInput?.addEventListener("change", () => {
+      const picked = Array.from(openFolderInput.files || []);
+      openFolderInput.value = "";
+      if (picked.length) openSource(async () => PackFS.fromFileList(picked));
+    });
+    openZipInput?.addEventListener("change", () => {
+      const file = openZipInput.files?.[0];
+      openZipInput.value = "";
+      if (file) openZip(file);
+    });
+    closePackBtn?.addEventListener("click", () => openSource(async () => repoSource));
+
+    if (!viewerLayout) return;
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+    viewerLayout.addEventListener("dragover", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      viewerLayout.classList.add("is-dropping");
+    });
+    viewerLayout.addEventListener("dragleave", (e) => {
+      if (!viewerLayout.contains(e.relatedTarget)) viewerLayout.classList.remove("is-dropping");
+    });
+    viewerLayout.addEventListener("drop", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      viewerLayout.classList.remove("is-dropping");
+      // entries are only available while the drop event is dispatched
+      const entry = e.dataTransfer.items?.[0]?.webkitGetAsEntry?.();
+      const file = e.dataTransfer.files?.[0];
+      if (entry?.isDirectory) openSource(() => PackFS.fromDirectoryEntry(entry));
+      else if (file && /\.(zip|jar)$/i.test(file.name)) openZip(file);
+      else setStatus("Drop a resource pack folder or .zip");
+    });
+  }
+
+  /* ------------------------ Code view and JSON tree ------------------------ */
+
+  // larger files are shown without token highlighting (still line-numbered)
+  const HIGHLIGHT_MAX_CHARS = 400000;
+  const JSON_TREE_OPEN_DEPTH = 2;
+
+  /**
+   * The viewer hash: "#path", "#path:line" or "#path@/json/pointer".
+   * Pointers keep their "~0"/"~1" escapes; the path part is URI-encoded.
+   */
+  function parseViewerHash(hash = location.hash) {
+    const raw = String(hash || "").replace(/^#/, "");
+    const m = /^(.*?)(?::(\d+)|@(\/.*)?)?$/.exec(raw);
+    let path = m[1];
+    try {
+      path = decodeURIComponent(path);
+    } catch {
+      // keep malformed escapes as typed
+    }
+    let pointer = m[3] === undefined ? null : m[3];
+    if (pointer == null && raw.endsWith("@")) pointer = "";
+    if (pointer) {
+      try {
+        pointer = decodeURIComponent(pointer);
+      } catch {
+        // as typed
+      }
+    }
+    return { path: normalizePath(path), line: m[2] ? Number(m[2]) : null, pointer };
+  }
+
+  function viewerHash(path, { line, pointer } = {}) {
+    const base = `#${encodeURIComponent(path)}`;
+    if (line) return `${base}:${line}`;
+    if (pointer != null) return `${base}@${pointer.split("/").map(encodeURIComponent).join("/")}`;
+    return base;
+  }
+
+  /** Point the URL at a location without reloading the file (no hashchange). */
+  function replaceViewerHash(path, loc) {
+    history.replaceState(history.state, "", viewerHash(path, loc));
+  }
+
+  function setViewer(path, text, isFile = false) {
+    viewerPath.textContent = path || "—";
+    renderIssues(null);
+    clearPreview();
+    viewerState.currentText = isFile ? text : null;
+    viewerState.pointerLines = null;
+    viewerState.json = undefined;
+    if (copyBtn) copyBtn.disabled = !path;
+    updateLintLink(path);
+
+    if (isFile) renderCode(text, highlightLanguageFor(path));
+    else codeText.textContent = text || "";
+    updateViewMode();
+
+    if (openRawBtn) {
+      const url = fileUrlFor(path);
+      if (url) {
+        openRawBtn.href = url;
+        openRawBtn.setAttribute("aria-disabled", "false");
+      } else {
+        openRawBtn.href = "#";
+        openRawBtn.setAttribute("aria-disabled", "true");
+      }
+    }
+
+    // highlight selection
+    if (path) revealPath(path);
+    else paintRows();
+  }
+
+  function renderCode(text, lang) {
+    const lines = highlightLines(text, text.length > HIGHLIGHT_MAX_CHARS ? null : lang);
+    codeText.innerHTML = lines
+      .map((html, i) => `<span class="line"><a class="line__no" href="#" data-line="${i + 1}" tabindex="-1" aria-hidden="true"></a>${html}</span>`)
+      .join("");
+  }
+
+  /** Parsed JSON of the open file, or undefined when it isn't JSON. */
+  function currentJson() {
+    if (viewerState.json === undefined && viewerState.currentText != null && highlightLanguageFor(viewerState.currentPath) === "json") {
+      const parsed = tryJsonParse(viewerState.currentText);
+      viewerState.json = parsed.ok ? parsed : null;
+    }
+    return viewerState.json?.ok ? viewerState.json.value : undefined;
+  }
+
+  function updateViewMode() {
+    const json = currentJson();
+    const canTree = json !== undefined;
+    const tree = canTree && viewerState.mode === "tree";
+
+    if (viewModeBtn) {
+      viewModeBtn.hidden = !canTree;
+      viewModeBtn.textContent = tree ? "Code view" : "Tree view";
+      viewModeBtn.setAttribute("aria-pressed", String(tree));
+    }
+    codeBlock.hidden = tree || !!viewerState.preview;
+    if (jsonTree) jsonTree.hidden = !tree;
+    if (jsonCrumbs) jsonCrumbs.hidden = !tree;
+    if (tree) renderJsonTree(json);
+  }
+
+  function setViewMode(mode) {
+    viewerState.mode = mode;
+    localStorage.setItem("viewMode", mode);
+    updateViewMode();
+  }
+
+  function highlightLine(n) {
+    for (const el of qsa(".line.is-target", codeText)) el.classList.remove("is-target");
+    const el = codeText.children[n - 1];
+    if (!el) return;
+    el.classList.add("is-target");
+    el.scrollIntoView({ block: "center" });
+  }
+
+  /** Scroll to a deep-link location in the open file. */
+  function applyLocation({ line, pointer }) {
+    if (pointer != null) {
+      if (viewerState.mode === "tree" && currentJson() !== undefined) return revealPointer(pointer);
+      if (viewerState.currentText == null) return;
+      viewerState.pointerLines ||= jsonPointerLines(viewerState.currentText);
+      const at = viewerState.pointerLines.get(pointer);
+      if (at) highlightLine(at);
+    } else if (line) {
+      if (viewerState.mode === "tree") setViewMode("code");
+      highlightLine(line);
+    }
+  }
+
+  function renderJsonTree(value) {
+    if (!jsonTree) return;
+    jsonTree.textContent = "";
+    jsonTree.appendChild(jsonTreeNode(null, value, "", 0));
+    selectJsonNode("", false);
+  }
+
+  function jsonTreeNode(key, value, pointer, depth) {
+    const keyEl = document.createElement("span");
+    keyEl.className = "jt__key";
+    keyEl.textContent = key == null ? "(root)" : key;
+
+    if (value && typeof value === "object") {
+      const isArr = Array.isArray(value);
+      const size = isArr ? value.length : Object.keys(value).length;
+      const details = document.createElement("details");
+      details.className = "jt__node";
+      details.dataset.pointer = pointer;
+
+      const summary = document.createElement("summary");
+      const meta = document.createElement("span");
+      meta.className = "jt__meta";
+      meta.textContent = isArr ? `[${size}]` : `{${size}}`;
+      summary.append(keyEl, meta);
+      details.appendChild(summary);
+
+      // children are built on first open so huge documents stay cheap
+      const fill = () => {
+        if (details.dataset.filled) return;
+        details.dataset.filled = "1";
+        const entries = isArr ? value.map((v, i) => [String(i), v]) : Object.entries(value);
+        for (const [k, v] of entries) details.appendChild(jsonTreeNode(k, v, jsonPointerJoin(pointer, k), depth + 1));
+      };
+      details.addEventListener("toggle", () => details.open && fill());
+      if (depth < JSON_TREE_OPEN_DEPTH) {
+        details.open = true;
+        fill();
+      }
+      return details;
+    }
+
+    const leaf = document.createElement("div");
+    leaf.className = "jt__leaf";
+    leaf.dataset.pointer = pointer;
+    const val = document.createElement("span");
+    const type = value === null ? "kw" : typeof value === "string" ? "str" : typeof value === "number" ? "num" : "kw";
+    val.className = `tok-${type}`;
+    val.textContent = JSON.stringify(value);
+    leaf.append(keyEl, document.createTextNode(": "), val);
+    return leaf;
+  }
+
+  /** Open the tree down to `pointer` and select that node. */
+  function revealPointer(pointer) {
+    let el = jsonTree.firstElementChild;
+    const segments = pointer ? pointer.split("/").slice(1) : [];
+    let cur = "";
+    for (const seg of segments) {
+      if (!el || el.tagName !== "DETAILS") break;
+      el.open = true;
+      el.dispatchEvent(new Event("toggle")); // fill synchronously; the native event is async
+      cur = `${cur}/${seg}`;
+      const next = [...el.children].find((c) => c.dataset.pointer === cur);
+      if (!next) break;
+      el = next;
+    }
+    selectJsonNode(el?.dataset.pointer ?? "", true);
+  }
+
+  function selectJsonNode(pointer, scroll) {
+    for (const el of qsa(".is-selected", jsonTree)) el.classList.remove("is-selected");
+    const el = qsa("[data-pointer]", jsonTree).find((n) => n.dataset.pointer === pointer);
+    if (el) {
+      el.classList.add("is-selected");
+      if (scroll) (el.tagName === "DETAILS" ? el.firstElementChild : el).scrollIntoView({ block: "center" });
+    }
+    renderCrumbs(pointer);
+  }
+
+  function renderCrumbs(pointer) {
+    if (!jsonCrumbs) return;
+    jsonCrumbs.textContent = "";
+    const segments = pointer ? pointer.split("/").slice(1) : [];
+    const crumbs = [["(root)", ""], ...segments.map((seg, i) => [jsonPointerUnescape(seg), "/" + segments.slice(0, i + 1).join("/")])];
+    crumbs.forEach(([label, ptr], i) => {
+      if (i) jsonCrumbs.appendChild(document.createTextNode(" / "));
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "crumb";
+      b.textContent = label;
+      b.dataset.pointer = ptr;
+      if (i === crumbs.length - 1) b.setAttribute("aria-current", "location");
+      jsonCrumbs.appendChild(b);
+    });
+  }
+
+  async function copyPointer(pointer) {
+    replaceViewerHash(viewerState.currentPath, { pointer });
+    try {
+      await navigator.clipboard.writeText(pointer);
+      setFooter(`Copied pointer ${pointer || "(root)"}`);
+    } catch {
+      setFooter(`Pointer ${pointer || "(root)"} (clipboard unavailable)`);
+    }
+  }
+
+  function bindCodeView() {
+    viewerState.mode = localStorage.getItem("viewMode") === "tree" ? "tree" : "code";
+    viewModeBtn?.addEventListener("click", () => setViewMode(viewerState.mode === "tree" ? "code" : "tree"));
+
+    // line numbers link to "#path:line"
+    codeText.addEventListener("click", (e) => {
+      const no = e.target.closest(".line__no");
+      if (!no) return;
+      e.preventDefault();
+      const line = Number(no.dataset.line);
+      replaceViewerHash(viewerState.currentPath, { line });
+      highlightLine(line);
+    });
+
+    // clicking a key selects the node and copies its pointer; the disclosure arrow still toggles
+    jsonTree?.addEventListener("click", (e) => {
+      const node = e.target.closest("[data-pointer]");
+      if (!node) return;
+      const onKey = !!e.target.closest(".jt__key");
+      if (node.tagName === "DETAILS" && !onKey) return;
+      if (onKey) e.preventDefault();
+      selectJsonNode(node.dataset.pointer, false);
+      copyPointer(node.dataset.pointer);
+    });
+
+    jsonCrumbs?.addEventListener("click", (e) => {
+      const b = e.target.closest(".crumb");
+      if (!b) return;
+      revealPointer(b.dataset.pointer);
+      replaceViewerHash(viewerState.currentPath, { pointer: b.dataset.pointer });
+    });
+  }
+
+  async function openPathFromHash() {
+    const { path, line, pointer } = parseViewerHash();
+    if (!path) {
+      viewerState.currentPath = null;
+      setViewer(null, "Select a file from the sidebar.");
+      return;
+    }
+
+    // same file, new location: just scroll
+    if (path === viewerState.currentPath && viewerState.currentText != null) {
+      applyLocation({ line, pointer });
+      return;
+    }
+
+    viewerState.currentPath = path;
+    const seq = ++viewerState.loadSeq;
+
+    try {
+      setViewer(path, "Loading…");
+      const kind = previewKindFor(path);
+      if (kind || isBinaryPath(path)) {
+        const bytes = await viewerState.source.readBytes(path);
+        if (seq !== viewerState.loadSeq) return;
+        setViewer(path, kind ? "" : `Binary file (${formatBytes(bytes.length)}), no preview.`);
+        setFooter(`${path} · ${formatBytes(bytes.length)}`);
+        if (kind === "image") await showImage(path, bytes, seq);
+        else if (kind === "audio") await showAudio(path, bytes, seq);
+        return;
+      }
+
+      const text = await fetchText(path);
+      if (seq !== viewerState.loadSeq) return; // another file was opened meanwhile
+      setViewer(path, text, true);
+      const entry = viewerState.index.get(path);
+      setFooter(entry ? `${path} · ${formatBytes(entry.size)}` : path);
+      applyLocation({ line, pointer });
+      validateOpenFile(seq);
+      showSoundEvents(seq);
+      showModelPreview(seq);
+      showBlockstate();
+      showAtlas(seq);
+    } catch (e) {
+      if (seq === viewerState.loadSeq) setViewer(path, `Error: ${e?.message || e}`);
+    }
+  }
+
+  function bindCopyButton() {
+    if (!copyBtn) return;
+    copyBtn.addEventListener("click", async () => {
+      const text = viewerState.currentText ?? codeText.textContent ?? "";
+      try {
+        await navigator.clipboard.writeText(text);
+        copyBtn.textContent = "Copied";
+        setTimeout(() => (copyBtn.textContent = "Copy"), 900);
+      } catch {
+        alert("Clipboard write failed (browser permissions).");
+      }
+    });
+  }
+
+  /* ------------------------------ Image preview ------------------------------ */
+
+  const imageView = byId("imageView");
+  const imageStage = byId("imageStage");
+  const imageCanvas = byId("imageCanvas");
+  const imageInfo = byId("imageInfo");
+  const zoomLabel = byId("zoomLabel");
+  const animPanel = byId("animPanel");
+  const animPlayBtn = byId("animPlayBtn");
+  const animInfo = byId("animInfo");
+  const animStrip = byId("animStrip");
+
+  const TICK_MS = 50; // textures animate at the game's 20 ticks per second
+  const ZOOM_STEPS = [1, 2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64];
+  const FIT_HEIGHT = 512;
+
+  const imageState = {
+    image: null, // decoded PNG { width, height, data }
+    layout: null, // animationLayout() when a .png.mcmeta animates it
+    scale: 1,
+    tick: 0,
+    timer: null
+  };
+
+  function previewKindFor(path) {
+    if (/\.png$/i.test(path || "") && imageView) return "image";
+    if (/\.ogg$/i.test(path || "") && audioView) return "audio";
+    return null;
+  }
+
+  function clearPreview() {
+    viewerState.preview = null;
+    stopAnimation();
+    imageState.image = imageState.layout = null;
+    if (imageView) imageView.hidden = true;
+    clearAudio();
+    clearModel();
+    clearBlockstate();
+    clearAtlas();
+  }
+
+  /** Decode a PNG and show it (animated when `<path>.mcmeta` has an animation section). */
+  async function showImage(path, bytes, seq) {
+    let image;
+    try {
+      image = await decodePng(bytes);
+    } catch (e) {
+      if (seq === viewerState.loadSeq) codeText.textContent = `Could not decode ${path}: ${e?.message || e}`;
+      return;
+    }
+
+    // the sidecar is optional; its problems are reported next to the animation
+    const sidecar = `${path}.mcmeta`;
+    let animation = null;
+    let sidecarNote = "";
+    if (viewerState.index.has(sidecar)) {
+      try {
+        const parsed = tryJsonParse(await fetchText(sidecar));
+        if (!parsed.ok) sidecarNote = `${sidecar} is not valid JSON`;
+        else animation = parsed.value?.animation ?? null;
+      } catch (e) {
+        sidecarNote = `${sidecar}: ${e?.message || e}`;
+      }
+    }
+    if (seq !== viewerState.loadSeq) return;
+
+    viewerState.preview = "image";
+    codeBlock.hidden = true;
+    imageView.hidden = false;
+    if (copyBtn) copyBtn.disabled = true;
+
+    imageState.image = image;
+    imageState.layout = animation && typeof animation === "object" ? animationLayout(animation, image.width, image.height) : null;
+    imageState.tick = 0;
+
+    const { layout } = imageState;
+    imageInfo.textContent =
+      `${image.width}×${image.height}` +
+      (layout ? ` · ${layout.count} frame${layout.count === 1 ? "" : "s"} of ${layout.frameWidth}×${layout.frameHeight}` : "") +
+      (sidecarNote ? ` · ${sidecarNote}` : "");
+
+    animPanel.hidden = !layout;
+    if (layout) {
+      renderFrameStrip();
+      drawAnimation();
+      if (layout.frames.length > 1) startAnimation();
+      else updatePlayButton();
+    } else {
+      paintPixels(imageCanvas, image.data, image.width, image.height);
+    }
+    imageState.scale = fitScale();
+    applyZoom();
+  }
+
+  function paintPixels(canvas, pixels, width, height) {
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d")?.putImageData(new ImageData(pixels, width, height), 0, 0);
+  }
+
+  /** Largest zoom step that fits the stage width and FIT_HEIGHT. */
+  function fitScale() {
+    const w = imageCanvas.width || 1;
+    const h = imageCanvas.height || 1;
+    const room = Math.min(((imageStage?.clientWidth || 640) - 24) / w, FIT_HEIGHT / h);
+    return ZOOM_STEPS.filter((s) => s <= room).pop() || 1;
+  }
+
+  function applyZoom() {
+    // CSS size only: the canvas keeps texture resolution and image-rendering: pixelated scales it
+    imageCanvas.style.width = `${imageCanvas.width * imageState.scale}px`;
+    imageCanvas.style.height = `${imageCanvas.height * imageState.scale}px`;
+    if (zoomLabel) zoomLabel.textContent = `${imageState.scale}×`;
+  }
+
+  function zoomBy(direction) {
+    const i = ZOOM_STEPS.indexOf(imageState.scale);
+    const next = ZOOM_STEPS[Math.max(0, Math.min(ZOOM_STEPS.length - 1, (i < 0 ? 0 : i) + direction))];
+    if (next === imageState.scale) return;
+    imageState.scale = next;
+    applyZoom();
+  }
+
+  function drawAnimation() {
+    const { image, layout, tick } = imageState;
+    if (!image || !layout) return;
+    if (!layout.frames.length) {
+      paintPixels(imageCanvas, framePixels(image, layout, 0), layout.frameWidth, layout.frameHeight);
+      animInfo.textContent = "No usable frames";
+      return;
+    }
+
+    const { position, next, progress } = frameAt(layout, tick);
+    const frame = layout.frames[position];
+    let pixels = framePixels(image, layout, frame.index);
+    if (layout.interpolate && progress > 0) pixels = blendPixels(pixels, framePixels(image, layout, layout.frames[next].index), progress);
+    paintPixels(imageCanvas, pixels, layout.frameWidth, layout.frameHeight);
+
+    animInfo.textContent =
+      `Frame ${frame.index} (${position + 1}/${layout.frames.length}) · ` +
+      `tick ${tick % layout.totalTime}/${layout.totalTime} · frametime ${layout.frametime}` +
+      (layout.interpolate ? " · interpolated" : "");
+    for (const el of qsa(".anim__frame", animStrip)) {
+      const on = Number(el.dataset.position) === position;
+      el.classList.toggle("is-active", on);
+      el.setAttribute("aria-selected", String(on));
+    }
+  }
+
+  function renderFrameStrip() {
+    const { image, layout } = imageState;
+    animStrip.textContent = "";
+    for (const problem of layout.problems) {
+      const p = document.createElement("p");
+      p.className = "anim__problem";
+      p.textContent = problem;
+      animStrip.appendChild(p);
+    }
+    let start = 0;
+    layout.frames.forEach((frame, position) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "anim__frame";
+      btn.setAttribute("role", "option");
+      btn.dataset.position = String(position);
+      btn.dataset.tick = String(start);
+      btn.title = `Frame ${frame.index}, ${frame.time} tick${frame.time === 1 ? "" : "s"}`;
+      const canvas = document.createElement("canvas");
+      paintPixels(canvas, framePixels(image, layout, frame.index), layout.frameWidth, layout.frameHeight);
+      const label = document.createElement("span");
+      label.textContent = `${frame.index} · ${frame.time}t`;
+      btn.append(canvas, label);
+      animStrip.appendChild(btn);
+      start += frame.time;
+    });
+  }
+
+  function startAnimation() {
+    stopAnimation();
+    imageState.timer = setInterval(() => {
+      imageState.tick++;
+      drawAnimation();
+    }, TICK_MS);
+    updatePlayButton();
+  }
+
+  function stopAnimation() {
+    clearInterval(imageState.timer);
+    imageState.timer = null;
+    updatePlayButton();
+  }
+
+  function updatePlayButton() {
+    if (!animPlayBtn) return;
+    const playing = !!imageState.timer;
+    animPlayBtn.textContent = playing ? "Pause" : "Play";
+    animPlayBtn.setAttribute("aria-pressed", String(playing));
+    animPlayBtn.disabled = !imageState.layout || imageState.layout.frames.length < 2;
+  }
+
+  function bindImageView() {
+    if (!imageView) return;
+    byId("zoomInBtn")?.addEventListener("click", () => zoomBy(1));
+    byId("zoomOutBtn")?.addEventListener("click", () => zoomBy(-1));
+    byId("zoomFitBtn")?.addEventListener("click", () => {
+      imageState.scale = fitScale();
+      applyZoom();
+    });
+    imageStage?.addEventListener("wheel", (e) => {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      zoomBy(e.deltaY < 0 ? 1 : -1);
+    }, { passive: false });
+
+    animPlayBtn?.addEventListener("click", () => (imageState.timer ? stopAnimation() : startAnimation()));
+    animStrip?.addEventListener("click", (e) => {
+      const btn = e.target.closest(".anim__frame");
+      if (!btn) return;
+      // stepping through frames by hand pauses playback
+      stopAnimation();
+      imageState.tick = Number(btn.dataset.tick);
+      drawAnimation();
+    });
+  }
+
+  /* --------------------------------- Sounds --------------------------------- */
+
+  const audioView = byId("audioView");
+  const audioPlayer = byId("audioPlayer");
+  const audioInfo = byId("audioInfo");
+  const soundsPanel = byId("soundsPanel");
+  const soundsHead = byId("soundsHead");
+  const soundsFilter = byId("soundsFilter");
+  const soundsList = byId("soundsList");
+
+  const SIMULATED_PICKS = 1000;
+
+  const soundState = {
+    docs: null, // Promise<[[path, doc]]> of every sounds.json in the source
+    table: null, // soundEventTable() of the open sounds.json's pack
+    path: null, // the open sounds.json
+    prefix: "", // its pack root ("" or "some/dir/")
+    previewUrl: null, // blob: URL of the .ogg preview
+    audio: null, // explorer playback
+    audioUrl: null
+  };
+
+  /** "some/dir/assets/ns/..." -> "some/dir/" (where the pack's assets/ folder sits). */
+  function packPrefix(path) {
+    const m = /^(.*?\/)?assets\//.exec(path || "");
+    return m?.[1] || "";
+  }
+
+  function soundDocs() {
+    soundState.docs ||= (async () => {
+      const docs = [];
+      for (const path of viewerState.files.filter((p) => SOUNDS_JSON.test(p))) {
+        const parsed = tryJsonParse(await fetchText(path).catch(() => ""));
+        if (parsed.ok) docs.push([path, parsed.value]);
+      }
+      return docs;
+    })();
+    return soundState.docs;
+  }
+
+  /** Sound events of every sounds.json in the pack at `prefix` (`current` = [path, doc] wins over the cached copy). */
+  async function loadSoundEvents(prefix, current = null) {
+    const docs = (await soundDocs()).filter(([p]) => packPrefix(p) === prefix && p !== current?.[0]);
+    if (current) docs.push(current);
+    return soundEventTable(docs);
+  }
+
+  async function showAudio(path, bytes, seq) {
+    viewerState.preview = "audio";
+    codeBlock.hidden = true;
+    audioView.hidden = false;
+    if (copyBtn) copyBtn.disabled = true;
+    soundState.previewUrl = URL.createObjectURL(new Blob([bytes], { type: "audio/ogg" }));
+    audioPlayer.src = soundState.previewUrl;
+
+    // which events can play this file
+    audioInfo.textContent = "";
+    const m = /^(.*?\/)?assets\/([^/]+)\/sounds\/(.+)\.ogg$/i.exec(path);
+    if (!m) return;
+    const id = `${m[2]}:${m[3]}`;
+    const table = await loadSoundEvents(m[1] || "");
+    if (seq !== viewerState.loadSeq) return;
+
+    const users = [...table.values()].filter((ev) => ev.entries.some((e) => e.type === "file" && e.id === id));
+    audioInfo.append(`Sound ${id} · `);
+    if (!users.length) audioInfo.append("not used by any sounds.json event");
+    else {
+      audioInfo.append(`used by `);
+      users.forEach((ev, i) => {
+        const a = document.createElement("a");
+        a.href = viewerHash(ev.path, { pointer: ev.pointer });
+        a.textContent = ev.id;
+        audioInfo.append(...(i ? [", ", a] : [a]));
+      });
+    }
+  }
+
+  function clearAudio() {
+    stopSound();
+    if (audioPlayer) {
+      audioPlayer.pause();
+      audioPlayer.removeAttribute("src");
+    }
+    if (soundState.previewUrl) URL.revokeObjectURL(soundState.previewUrl);
+    soundState.previewUrl = null;
+    if (audioView) audioView.hidden = true;
+    if (soundsPanel) soundsPanel.hidden = true;
+  }
+
+  /** Play a sound id of the open pack the way the game would: volume clamped to 0..1, pitch to 0.5..2. */
+  async function playSound(id, { volume = 1, pitch = 1 } = {}) {
+    const path = soundState.prefix + resourcePath(id, "sounds", ".ogg");
+    if (!viewerState.index.has(path)) throw new Error(`${path} is not in ${viewerState.source.label}`);
+    const bytes = await viewerState.source.readBytes(path);
+    stopSound();
+    soundState.audioUrl = URL.createObjectURL(new Blob([bytes], { type: "audio/ogg" }));
+    const audio = new Audio(soundState.audioUrl);
+    audio.volume = Math.min(1, Math.max(0, volume));
+    audio.preservesPitch = false;
+    audio.playbackRate = Math.min(2, Math.max(0.5, pitch));
+    soundState.audio = audio;
+    await audio.play();
+  }
+
+  function stopSound() {
+    soundState.audio?.pause();
+    soundState.audio = null;
+    if (soundState.audioUrl) URL.revokeObjectURL(soundState.audioUrl);
+    soundState.audioUrl = null;
+  }
+
+  /** "file" | "missing" | "vanilla" for a sound file id; "event" | "undefined" | "vanilla" for an event reference. */
+  function soundEntryStatus(entry) {
+    const vanilla = entry.id.startsWith("minecraft:");
+    if (entry.type === "event") return soundState.table.has(entry.id) ? "event" : vanilla ? "vanilla" : "undefined";
+    return viewerState.index.has(soundState.prefix + resourcePath(entry.id, "sounds", ".ogg")) ? "file" : vanilla ? "vanilla" : "missing";
+  }
+
+  async function showSoundEvents(seq) {
+    const path = viewerState.currentPath;
+    const doc = currentJson();
+    if (!soundsPanel || !SOUNDS_JSON.test(path || "") || !doc || typeof doc !== "object" || Array.isArray(doc)) return;
+    const prefix = packPrefix(path);
+    const table = await loadSoundEvents(prefix, [path, doc]);
+    if (seq !== viewerState.loadSeq) return;
+
+    Object.assign(soundState, { table, path, prefix });
+    soundsPanel.hidden = false;
+    renderSoundEvents();
+  }
+
+  function renderSoundEvents() {
+    const { table, path } = soundState;
+    const events = [...table.values()].filter((ev) => ev.path === path);
+    const q = (soundsFilter?.value || "").trim().toLowerCase();
+    const shown = q ? events.filter((ev) => ev.id.toLowerCase().includes(q) || ev.subtitle?.toLowerCase().includes(q)) : events;
+
+    let missing = 0;
+    let undefinedEvents = 0;
+    for (const ev of events) {
+      for (const e of ev.entries) {
+        const status = soundEntryStatus(e);
+        if (status === "missing") missing++;
+        if (status === "undefined") undefinedEvents++;
+      }
+    }
+    soundsHead.textContent =
+      `${events.length} event${events.length === 1 ? "" : "s"}` +
+      (missing ? ` · ${missing} missing file${missing === 1 ? "" : "s"}` : "") +
+      (undefinedEvents ? ` · ${undefinedEvents} undefined event${undefinedEvents === 1 ? "" : "s"}` : "") +
+      (shown.length !== events.length ? ` · ${shown.length} shown` : "");
+
+    soundsList.textContent = "";
+    const frag = document.createDocumentFragment();
+    for (const ev of shown) {
+      const details = document.createElement("details");
+      details.className = "soundEvent";
+      details.dataset.event = ev.id;
+      const problems = ev.entries.filter((e) => ["missing", "undefined"].includes(soundEntryStatus(e))).length;
+      details.innerHTML =
+        `<summary><code>${escapeHtml(ev.id)}</code>` +
+        `<span class="tree__badge">${ev.entries.length}</span>` +
+        (ev.replace ? `<span class="tree__badge">replace</span>` : "") +
+        (problems ? `<span class="tree__status tree__status--fail" title="${problems} missing">✕ ${problems}</span>` : "") +
+        (ev.subtitle ? `<span class="hint">${escapeHtml(ev.subtitle)}</span>` : "") +
+        `</summary>`;
+      frag.appendChild(details);
+    }
+    soundsList.appendChild(frag);
+    if (!shown.length) soundsList.textContent = events.length ? "No events match." : "This file defines no sound events.";
+  }
+
+  /** Entry table and actions, built when an event is first opened. */
+  function renderSoundEventBody(details) {
+    const ev = soundState.table.get(details.dataset.event);
+    if (!ev || details.dataset.rendered) return;
+    details.dataset.rendered = "1";
+
+    const weights = ev.entries.map((e) => soundEntryWeight(soundState.table, e, [ev.id]));
+    const total = weights.reduce((a, b) => a + b, 0);
+    const rows = ev.entries.map((e, i) => {
+      const status = soundEntryStatus(e);
+      const share = total ? `${((weights[i] / total) * 100).toFixed(1)}%` : "—";
+      const target = status === "event" ? soundState.table.get(e.id) : null;
+      const name = target
+        ? `<a href="${escapeHtml(viewerHash(target.path, { pointer: target.pointer }))}" data-event-link="${escapeHtml(e.id)}">→ ${escapeHtml(e.id)}</a>`
+        : `<a href="${escapeHtml(viewerHash(ev.path, { pointer: e.pointer }))}">${escapeHtml(e.name)}</a>`;
+      const play = status === "file"
+        ? `<button class="chip" type="button" data-play="${i}" aria-label="Play ${escapeHtml(e.id)}">▶</button>`
+        : "";
+      return (
+        `<tr class="sound--${status}"><td>${name}</td><td>${status}</td>` +
+        `<td title="weight ${e.type === "event" ? `${weights[i]} (from the event)` : e.weight}">${share}</td>` +
+        `<td>${e.type === "event" ? "" : e.volume}</td><td>${e.type === "event" ? "" : e.pitch}</td>` +
+        `<td>${e.stream ? "stream" : ""}</td><td>${play}</td></tr>`
+      );
+    });
+
+    const body = document.createElement("div");
+    body.className = "soundEvent__body";
+    body.innerHTML =
+      `<table class="soundTable"><thead><tr><th>Sound</th><th>Status</th><th>Chance</th><th>Volume</th><th>Pitch</th><th></th><th></th></tr></thead>` +
+      `<tbody>${rows.join("")}</tbody></table>` +
+      `<div class="row"><button class="btn smallBtn" type="button" data-random>Play random</button>` +
+      `<button class="btn smallBtn secondary" type="button" data-simulate>Simulate ${SIMULATED_PICKS} picks</button></div>` +
+      `<div class="soundEvent__out hint" aria-live="polite"></div>`;
+    details.appendChild(body);
+  }
+
+  function soundOutcomeLabel(o) {
+    if (o.unresolved) return `event ${o.event} (not in this pack)`;
+    return `${o.id}${o.volume !== 1 ? ` · volume ${o.volume}` : ""}${o.pitch !== 1 ? ` · pitch ${o.pitch}` : ""}`;
+  }
+
+  async function playRandomSound(details, out) {
+    const pick = pickSound(soundState.table, details.dataset.event);
+    if (!pick) {
+      out.textContent = "Nothing to pick: every entry weighs 0.";
+      return;
+    }
+    const via = pick.via.length > 1 ? ` via ${pick.via.slice(1).join(" → ")}` : "";
+    out.textContent = `Picked ${soundOutcomeLabel(pick)}${via}`;
+    if (pick.unresolved || soundEntryStatus({ type: "file", id: pick.id }) !== "file") return;
+    try {
+      await playSound(pick.id, pick);
+    } catch (e) {
+      out.textContent += ` (could not play: ${e?.message || e})`;
+    }
+  }
+
+  /** Pick SIMULATED_PICKS times and compare what came up with the expected odds. */
+  function simulateSoundPicks(details, out) {
+    const id = details.dataset.event;
+    const { outcomes, cycles } = expandSoundEvent(soundState.table, id);
+    const key = (o) => (o.unresolved ? `event:${o.event}` : `${o.id}|${o.volume}|${o.pitch}`);
+    const rows = new Map();
+    for (const o of outcomes) {
+      const row = rows.get(key(o)) || { label: soundOutcomeLabel(o), expected: 0, seen: 0 };
+      row.expected += o.probability;
+      rows.set(key(o), row);
+    }
+    for (let i = 0; i < SIMULATED_PICKS; i++) {
+      const pick = pickSound(soundState.table, id);
+      if (pick) rows.get(key(pick)).seen++;
+    }
+
+    const pct = (n) => `${(n * 100).toFixed(1)}%`;
+    out.innerHTML =
+      `<table class="soundTable"><thead><tr><th>Outcome</th><th>Expected</th><th>Picked</th></tr></thead><tbody>` +
+      [...rows.values()].map((r) => `<tr><td>${escapeHtml(r.label)}</td><td>${pct(r.expected)}</td><td>${pct(r.seen / SIMULATED_PICKS)}</td></tr>`).join("") +
+      `</tbody></table>` +
+      (cycles.length ? `<p class="anim__problem">Reference cycle through ${escapeHtml(cycles.join(", "))} (weighs 0)</p>` : "");
+  }
+
+  function focusSoundEvent(id) {
+    const details = qsa(".soundEvent", soundsList).find((d) => d.dataset.event === id);
+    if (!details) return false;
+    details.open = true;
+    details.scrollIntoView({ block: "nearest" });
+    return true;
+  }
+
+  function bindSounds() {
+    if (!soundsPanel) return;
+    soundsFilter?.addEventListener("input", debounce(renderSoundEvents, 120));
+    // toggle doesn't bubble
+    soundsList.addEventListener("toggle", (e) => e.target.open && renderSoundEventBody(e.target), true);
+    soundsList.addEventListener("click", (e) => {
+      const details = e.target.closest(".soundEvent");
+      if (!details) return;
+      const out = qs(".soundEvent__out", details);
+
+      const link = e.target.closest("[data-event-link]");
+      if (link) {
+        // same file: open the event in place instead of jumping to its JSON
+        if (focusSoundEvent(link.dataset.eventLink)) e.preventDefault();
+        return;
+      }
+      const play = e.target.closest("[data-play]");
+      if (play) {
+        const entry = soundState.table.get(details.dataset.event).entries[Number(play.dataset.play)];
+        playSound(entry.id, entry).catch((err) => (out.textContent = `Could not play ${entry.id}: ${err?.message || err}`));
+      } else if (e.target.closest("[data-random]")) {
+        playRandomSound(details, out);
+      } else if (e.target.closest("[data-simulate]")) {
+        simulateSoundPicks(details, out);
+      }
+    });
+  }
+
+  /* ----------------------------- Model preview ----------------------------- */
+
+  const modelPanel = byId("modelPanel");
+  const modelCanvas = byId("modelCanvas");
+  const modelContext = byId("modelContext");
+  const modelInfo = byId("modelInfo");
+  const modelNotes = byId("modelNotes");
+  const modelFlat = byId("modelFlat");
+
+  const MODEL_JSON = /^(.*?\/)?assets\/([^/]+)\/models\/(.+)\.json$/;
+  const MODEL_SIZE = 256;
+  // the raw model is seen from the same corner as a block in the inventory
+  const MODEL_VIEW = { none: { pitch: 30, yaw: 225 } };
+  const ORBIT_DEGREES_PER_PX = 0.5;
+
+  const modelState = {
+    vanilla: null, // Promise<{ id: doc }> of CONFIG.VANILLA_MODELS
+    model: null, // resolveModel() of the open file
+    images: new Map(), // texture id -> first frame { width, height, data }
+    context: localStorage.getItem("modelContext") || "gui",
+    view: { pitch: 0, yaw: 0 },
+    drag: null
+  };
+
+  /** The bundled vanilla parents; loaded from this repo whichever source is open. */
+  function vanillaModels() {
+    modelState.vanilla ||= repoFetch(CONFIG.VANILLA_MODELS)
+      .then((res) => res.text())
+      .then((text) => {
+        const models = tryJsonParse(text).value?.models;
+        return models && typeof models === "object" ? models : {};
+      })
+      .catch(() => ({}));
+    return modelState.vanilla;
+  }
+
+  /** Model lookup over the pack at `prefix`, then the vanilla parents; the open file's doc wins. */
+  function packModelLookup(prefix, current) {
+    return async (id) => {
+      const path = prefix + resourcePath(id, "models", ".json");
+      if (path === current[0]) return { path, doc: current[1] };
+      if (viewerState.index.has(path)) {
+        const doc = await readJsonDoc(path);
+        if (doc) return { path, doc };
+      }
+      const vanilla = (await vanillaModels())[id];
+      return vanilla ? { path: null, doc: vanilla, vanilla: true } : null;
+    };
+  }
+
+  /** The texture at `path` as the game first shows it: frame one of an animated strip. */
+  async function readTextureFrame(path) {
+    const image = await decodePng(await viewerState.source.readBytes(path));
+    let animation = null;
+    if (viewerState.index.has(`${path}.mcmeta`)) {
+      animation = tryJsonParse(await fetchText(`${path}.mcmeta`)).value?.animation;
+    }
+    if (!animation || typeof animation !== "object") return image;
+    const layout = animationLayout(animation, image.width, image.height);
+    const first = layout.frames[0]?.index ?? 0;
+    return { width: layout.frameWidth, height: layout.frameHeight, data: framePixels(image, layout, first) };
+  }
+
+  /** First frame of every texture the model's faces use; ids that can't be shown are listed in `missing`. */
+  async function loadModelTextures(model, prefix) {
+    const images = new Map();
+    const missing = [];
+    const ids = [...new Set(modelQuads(model).map((q) => q.texture).filter(Boolean))];
+    for (const id of ids) {
+      const path = prefix + resourcePath(id, "textures", ".png");
+      if (!viewerState.index.has(path)) {
+        missing.push({ id, reason: id.startsWith("minecraft:") ? "vanilla" : "missing" });
+        continue;
+      }
+      try {
+        images.set(id, await readTextureFrame(path));
+      } catch (e) {
+        missing.push({ id, reason: e?.message || String(e) });
+      }
+    }
+    return { images, missing };
+  }
+
+  async function showModelPreview(seq) {
+    const path = viewerState.currentPath;
+    const m = MODEL_JSON.exec(path || "");
+    const doc = currentJson();
+    if (!modelPanel || !m || !doc || typeof doc !== "object" || Array.isArray(doc)) return;
+    const prefix = m[1] || "";
+    const model = await resolveModel(`${m[2]}:${m[3]}`, packModelLookup(prefix, [path, doc]));
+    const { images, missing } = await loadModelTextures(model, prefix);
+    if (seq !== viewerState.loadSeq) return;
+
+    Object.assign(modelState, { model, images });
+    modelState.view = { ...(MODEL_VIEW[modelState.context] || { pitch: 0, yaw: 0 }) };
+    modelPanel.hidden = false;
+    const flat = flattenModel(model);
+    renderModelNotes(model, flat, missing);
+    renderFlatModel(model, flat);
+    drawModel();
+  }
+
+  function clearModel() {
+    modelState.model = null;
+    modelState.images = new Map();
+    if (modelPanel) modelPanel.hidden = true;
+  }
+
+  function drawModel() {
+    const { model, images, context, view } = modelState;
+    if (!model) return;
+    const out = renderModel(model, images, { size: MODEL_SIZE, context, view });
+    paintPixels(modelCanvas, out.data, out.width, out.height);
+
+    const t = out.transform;
+    modelInfo.textContent =
+      `${out.faces} face${out.faces === 1 ? "" : "s"} drawn · ` +
+      (context === "none" ? "no display transform"
+        : t.from === context ? `display.${context}`
+        : t.from ? `display.${t.from} (mirrored)`
+        : `no display.${context} (drawn untransformed)`) +
+      ` · view ${Math.round(view.pitch)}°, ${Math.round(view.yaw)}°`;
+  }
+
+  /** Pack file of a model in the chain, or null for vanilla parents (and the builtin ones). */
+  function chainPath(model, id) {
+    return model.chain.find((c) => c.id === id)?.path || null;
+  }
+
+  function modelSourceHtml(model, id, pointer) {
+    if (!id || id === "default") return `<span class="hint">game default</span>`;
+    const entry = model.chain.find((c) => c.id === id);
+    if (!entry?.path) return `<code>${escapeHtml(id)}</code> <span class="tree__badge">vanilla</span>`;
+    return `<a href="${escapeHtml(viewerHash(entry.path, { pointer }))}"><code>${escapeHtml(id)}</code></a>`;
+  }
+
+  /** Parent chain, broken #variables and cycles, and anything that draws as the missing texture. */
+  function renderModelNotes(model, flat, missingTextures) {
+    const notes = [];
+    const chain = model.chain.map((c) => `${c.id}${c.vanilla ? " (vanilla)" : ""}`);
+    if (model.builtin) chain.push(`builtin/${model.builtin}`);
+    if (model.missing) chain.push(`${model.missing} (not found)`);
+    notes.push({ text: `Parents: ${chain.join(" → ")}` });
+    if (model.missing?.startsWith("minecraft:")) {
+      notes.push({ text: `${model.missing} is not in this pack or the bundled vanilla parents; what it would add is not shown.`, problem: true });
+    }
+
+    for (const p of flat.problems) {
+      if (p.kind === "missing-parent" && model.missing.startsWith("minecraft:")) continue;
+      // link to where the broken reference is written
+      const field = p.pointer.split("/")[1];
+      const from = field === "elements" ? model.elementsFrom : field === "textures" ? model.sources[p.pointer.slice(1)] : model.chain[model.chain.length - 1]?.id;
+      const path = chainPath(model, from);
+      notes.push({ text: p.message, problem: true, href: path ? viewerHash(path, { pointer: p.pointer }) : null });
+    }
+    if (!model.elements) notes.push({ text: "No model in the chain has elements, so there is nothing to draw." });
+    for (const { id, reason } of missingTextures) {
+      notes.push({
+        text: reason === "vanilla" ? `${id} is a vanilla texture that is not in this pack (drawn as the missing texture).`
+          : reason === "missing" ? `Texture ${id} does not exist.`
+          : `Could not decode ${id}: ${reason}`,
+        problem: reason !== "vanilla"
+      });
+    }
+
+    modelNotes.textContent = "";
+    for (const { text, problem, href } of notes) {
+      const li = document.createElement("li");
+      if (problem) li.className = "model__problem";
+      if (href) {
+        const a = document.createElement("a");
+        a.href = href;
+        a.textContent = text;
+        li.appendChild(a);
+      } else {
+        li.textContent = text;
+      }
+      modelNotes.appendChild(li);
+    }
+  }
+
+  function compactJson(value, max = 90) {
+    const text = JSON.stringify(value);
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+
+  /** The merged model, one row per key with the model it came from. */
+  function renderFlatModel(model, flat) {
+    if (!modelFlat) return;
+    const { doc, sources } = flat;
+    const rows = [];
+    const row = (label, value, pointer) =>
+      rows.push(`<tr><td><code>${escapeHtml(label)}</code></td><td>${value}</td><td>${modelSourceHtml(model, sources[pointer], pointer)}</td></tr>`);
+
+    row("ambientocclusion", escapeHtml(String(doc.ambientocclusion)), "/ambientocclusion");
+    row("gui_light", escapeHtml(doc.gui_light), "/gui_light");
+    for (const [key, value] of Object.entries(doc.textures || {})) {
+      const resolved = resolveTexture(model.textures, value);
+      const arrow = typeof value === "string" && value.startsWith("#") ? (resolved ? ` → ${escapeHtml(resolved)}` : ` → <span class="model__problem">undefined</span>`) : "";
+      row(`textures.${key}`, `<code>${escapeHtml(String(value))}</code>${arrow}`, `/textures/${key}`);
+    }
+    if (doc.elements) row("elements", `${doc.elements.length} element${doc.elements.length === 1 ? "" : "s"}`, "/elements");
+    for (const [key, value] of Object.entries(doc.display || {})) row(`display.${key}`, `<code>${escapeHtml(compactJson(value))}</code>`, `/display/${key}`);
+
+    qs(".model__flatTable", modelFlat).innerHTML =
+      `<thead><tr><th>Key</th><th>Value</th><th>From</th></tr></thead><tbody>${rows.join("")}</tbody>`;
+    modelFlat.dataset.json = JSON.stringify(doc, null, 2);
+  }
+
+  function setModelContext(context) {
+    modelState.context = context;
+    localStorage.setItem("modelContext", context);
+    modelState.view = { ...(MODEL_VIEW[context] || { pitch: 0, yaw: 0 }) };
+    drawModel();
+  }
+
+  function bindModelPreview() {
+    if (!modelPanel) return;
+    modelContext.innerHTML =
+      `<option value="none">As authored</option>` +
+      DISPLAY_CONTEXTS.map((c) => `<option value="${c}">${c}</option>`).join("");
+    if (![...modelContext.options].some((o) => o.value === modelState.context)) modelState.context = "gui";
+    modelContext.value = modelState.context;
+    modelContext.addEventListener("change", () => setModelContext(modelContext.value));
+    byId("modelResetBtn")?.addEventListener("click", () => setModelContext(modelState.context));
+    byId("modelCopyBtn")?.addEventListener("click", async (e) => {
+      try {
+        await navigator.clipboard.writeText(modelFlat.dataset.json || "");
+        e.target.textContent = "Copied";
+        setTimeout(() => (e.target.textContent = "Copy flattened JSON"), 900);
+      } catch {
+        alert("Clipboard write failed (browser permissions).");
+      }
+    });
+
+    // drag to orbit the camera around the block's centre
+    modelCanvas.addEventListener("pointerdown", (e) => {
+      modelState.drag = { x: e.clientX, y: e.clientY, ...modelState.view };
+      modelCanvas.setPointerCapture?.(e.pointerId);
+    });
+    modelCanvas.addEventListener("pointermove", (e) => {
+      const d = modelState.drag;
+      if (!d) return;
+      modelState.view = {
+        pitch: Math.max(-90, Math.min(90, d.pitch + (e.clientY - d.y) * ORBIT_DEGREES_PER_PX)),
+        yaw: d.yaw + (e.clientX - d.x) * ORBIT_DEGREES_PER_PX
+      };
+      drawModel();
+    });
+    const endDrag = () => (modelState.drag = null);
+    modelCanvas.addEventListener("pointerup", endDrag);
+    modelCanvas.addEventListener("pointercancel", endDrag);
+  }
+
+  /* -------------------------- Blockstate simulator -------------------------- */
+
+  const blockstatePanel = byId("blockstatePanel");
+  const blockstateHead = byId("blockstateHead");
+  const blockstateProps = byId("blockstateProps");
+  const blockstateMatches = byId("blockstateMatches");
+  const blockstateCombos = byId("blockstateCombos");
+
+  const BLOCKSTATE_JSON = /^(.*?\/)?assets\/[^/]+\/blockstates\/.+\.json$/;
+  const COVERAGE_LIST_LIMIT = 200;
+
+  const blockstateState = {
+    doc: null,
+    path: null,
+    prefix: "",
+    props: new Map(), // blockstateProperties()
+    state: {} // prop -> selected value
+  };
+
+  const stateKey = (state) => Object.entries(state).map(([p, v]) => `${p}=${v}`).join(",");
+
+  function showBlockstate() {
+    const path = viewerState.currentPath;
+    const m = BLOCKSTATE_JSON.exec(path || "");
+    const doc = currentJson();
+    if (!blockstatePanel || !m || !doc || typeof doc !== "object" || Array.isArray(doc)) return;
+    const props = blockstateProperties(doc);
+    const state = {};
+    for (const [prop, values] of props) state[prop] = values[0];
+    Object.assign(blockstateState, { doc, path, prefix: m[1] || "", props, state });
+
+    blockstatePanel.hidden = false;
+    renderBlockstateProps();
+    renderBlockstateMatches();
+    renderBlockstateCoverage();
+  }
+
+  function clearBlockstate() {
+    blockstateState.doc = null;
+    if (blockstatePanel) blockstatePanel.hidden = true;
+  }
+
+  function renderBlockstateProps() {
+    const { props, state } = blockstateState;
+    blockstateProps.textContent = "";
+    if (!props.size) {
+      blockstateProps.textContent = "No properties: every state gets the same models.";
+      return;
+    }
+    for (const [prop, values] of props) {
+      const label = document.createElement("label");
+      label.className = "bstate__prop";
+      const name = document.createElement("span");
+      name.textContent = prop;
+      const select = document.createElement("select");
+      select.className = "chip";
+      select.dataset.prop = prop;
+      for (const v of values) select.add(new Option(v, v, false, v === state[prop]));
+      label.append(name, select);
+      blockstateProps.appendChild(label);
+    }
+  }
+
+  /** A model id as a link to its file when the pack has it; vanilla / missing otherwise. */
+  function blockstateModelHtml(model) {
+    const id = resourceId(model);
+    if (!id) return `<span class="sound--missing">no model</span>`;
+    const path = blockstateState.prefix + resourcePath(id, "models", ".json");
+    if (viewerState.index.has(path)) return `<a href="${escapeHtml(viewerHash(path))}"><code>${escapeHtml(id)}</code></a>`;
+    const status = id.startsWith("minecraft:") ? "vanilla" : "missing";
+    return `<code>${escapeHtml(id)}</code> <span class="bstate--${status}">${status}</span>`;
+  }
+
+  function renderBlockstateMatches() {
+    const { doc, path, state } = blockstateState;
+    const result = matchBlockstate(doc, state);
+    const key = stateKey(state);
+    const multipart = result.kind === "multipart";
+
+    blockstateHead.textContent =
+      `${result.kind || "no variants or multipart"} · ` +
+      (key ? `state ${key}` : "no properties") + " · " +
+      (result.matches.length
+        ? `${result.matches.length} ${multipart ? "part" : "variant"}${result.matches.length === 1 ? "" : "s"} match`
+        : "nothing matches") +
+      (result.ambiguous ? " (ambiguous)" : "");
+
+    const rows = [];
+    for (const match of result.matches) {
+      const total = match.models.reduce((n, m) => n + m.weight, 0);
+      const label = multipart ? `multipart[${match.index}]${doc.multipart[match.index].when ? "" : " (always)"}` : match.key || '""';
+      match.models.forEach((m, i) => {
+        const entry = i ? "" : `<a href="${escapeHtml(viewerHash(path, { pointer: match.pointer }))}"><code>${escapeHtml(label)}</code></a>`;
+        const chance = match.models.length > 1 ? `${m.weight} (${((m.weight / total) * 100).toFixed(1)}%)` : String(m.weight);
+        rows.push(
+          `<tr><td>${entry}</td><td>${blockstateModelHtml(m.model)}</td><td>${m.x}</td><td>${m.y}</td>` +
+          `<td>${m.uvlock ? "yes" : ""}</td><td>${chance}</td></tr>`
+        );
+      });
+    }
+    blockstateMatches.innerHTML = result.matches.length
+      ? `<table class="soundTable"><thead><tr><th>${multipart ? "Part" : "Variant"}</th><th>Model</th><th>x</th><th>y</th><th>uvlock</th><th>Weight</th></tr></thead><tbody>${rows.join("")}</tbody></table>` +
+        (result.ambiguous ? `<p class="anim__problem">More than one variant key matches this state; the game uses only one of them.</p>` : "")
+      : `<p class="anim__problem">No ${multipart ? "multipart entry applies to" : "variant matches"} this state, so the block would render with the missing model.</p>`;
+  }
+
+  function renderBlockstateCoverage() {
+    const { doc, props } = blockstateState;
+    const coverage = blockstateCoverage(doc, props);
+    const link = (state) => `<button class="chip" type="button" data-state="${escapeHtml(JSON.stringify(state))}">${escapeHtml(stateKey(state) || '""')}</button>`;
+    const list = (states) => states.slice(0, COVERAGE_LIST_LIMIT).map(link).join("") + (states.length > COVERAGE_LIST_LIMIT ? ` <span class="hint">+${states.length - COVERAGE_LIST_LIMIT} more</span>` : "");
+
+    blockstateCombos.innerHTML =
+      `<p class="hint">${coverage.checked} of ${coverage.total} combination${coverage.total === 1 ? "" : "s"} checked` +
+      `${coverage.truncated ? " (list cut short)" : ""}, from the values this file mentions.</p>` +
+      (coverage.unmatched.length
+        ? `<p><strong>${coverage.unmatched.length} match nothing</strong></p><div class="bstate__states">${list(coverage.unmatched)}</div>`
+        : `<p>Every combination gets a model.</p>`) +
+      (coverage.ambiguous.length
+        ? `<p><strong>${coverage.ambiguous.length} match more than one variant</strong></p><div class="bstate__states">${list(coverage.ambiguous.map((a) => a.state))}</div>`
+        : "");
+  }
+
+  function bindBlockstate() {
+    if (!blockstatePanel) return;
+    blockstateProps.addEventListener("change", (e) => {
+      const select = e.target.closest("select[data-prop]");
+      if (!select) return;
+      blockstateState.state[select.dataset.prop] = select.value;
+      renderBlockstateMatches();
+    });
+    // picking a combination from the coverage list selects it in the dropdowns
+    blockstateCombos.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-state]");
+      if (!btn) return;
+      blockstateState.state = JSON.parse(btn.dataset.state);
+      renderBlockstateProps();
+      renderBlockstateMatches();
+    });
+  }
+
+  /* ------------------------------ Atlas sprites ----------------------------- */
+
+  const atlasPanel = byId("atlasPanel");
+  const atlasHead = byId("atlasHead");
+  const atlasNotes = byId("atlasNotes");
+  const atlasCanvas = byId("atlasCanvas");
+  const atlasLookup = byId("atlasLookup");
+  const atlasFilter = byId("atlasFilter");
+  const atlasList = byId("atlasList");
+  const atlasOutsideHead = byId("atlasOutsideHead");
+  const atlasOutside = byId("atlasOutside");
+
+  const ATLAS_JSON = /^(.*?\/)?assets\/([^/]+)\/atlases\/(.+)\.json$/;
+  const TEXTURE_PNG = /^assets\/([^/]+)\/textures\/(.+)\.png$/;
+  const STITCH_LIMIT = 4096;
+  const ATLAS_LIST_LIMIT = 500;
+  // the game's blocks atlas takes these folders from every namespace, so model textures there need no atlas file
+  const VANILLA_ATLAS_DIRS = ["block/", "item/"];
+  const ATLAS_OUTLINE = [255, 214, 0, 255];
+
+  const atlasState = {
+    path: null,
+    prefix: "",
+    result: null, // atlasSprites() of the open file
+    sheet: null, // { width, height, data, placements } of the stitched preview
+    selected: null // sprite id outlined on the sheet
+  };
+
+  /** Texture ids of every PNG under `prefix`assets/<ns>/textures/. */
+  function packTextureIds(prefix) {
+    const ids = [];
+    for (const path of viewerState.index.keys()) {
+      const m = path.startsWith(prefix) && TEXTURE_PNG.exec(path.slice(prefix.length));
+      if (m) ids.push(`${m[1]}:${m[2]}`);
+    }
+    return ids;
+  }
+
+  async function showAtlas(seq) {
+    const path = viewerState.currentPath;
+    const m = ATLAS_JSON.exec(path || "");
+    const doc = currentJson();
+    if (!atlasPanel || !m || !doc || typeof doc !== "object" || Array.isArray(doc)) return;
+    const prefix = m[1] || "";
+    const result = atlasSprites(doc, packTextureIds(prefix));
+    Object.assign(atlasState, { path, prefix, result, sheet: null, selected: null });
+
+    atlasPanel.hidden = false;
+    const sources = Array.isArray(doc.sources) ? doc.sources.length : 0;
+    atlasHead.textContent =
+      `${m[2]}:${m[3]} · ${result.sprites.length} sprite${result.sprites.length === 1 ? "" : "s"} from ${sources} source${sources === 1 ? "" : "s"}` +
+      (result.removed.length ? ` · ${result.removed.length} filtered out` : "");
+    atlasLookup.textContent = "";
+    renderAtlasList();
+    const failed = await stitchAtlasPreview(seq);
+    if (seq !== viewerState.loadSeq) return;
+    renderAtlasNotes(failed);
+    await renderOutsideAtlases(seq);
+  }
+
+  function clearAtlas() {
+    atlasState.result = atlasState.sheet = null;
+    if (atlasPanel) atlasPanel.hidden = true;
+  }
+
+  function renderAtlasNotes(failed) {
+    const { path, result } = atlasState;
+    atlasNotes.textContent = "";
+    const notes = result.problems.map((p) => ({ text: p.message, href: viewerHash(path, { pointer: p.pointer }) }));
+    for (const { id, reason } of failed) notes.push({ text: `Could not draw ${id}: ${reason}` });
+    if (result.sprites.length > STITCH_LIMIT) notes.push({ text: `Only the first ${STITCH_LIMIT} sprites are stitched.` });
+    for (const { text, href } of notes) {
+      const li = document.createElement("li");
+      li.className = "model__problem";
+      if (href) {
+        const a = document.createElement("a");
+        a.href = href;
+        a.textContent = text;
+        li.appendChild(a);
+      } else {
+        li.textContent = text;
+      }
+      atlasNotes.appendChild(li);
+    }
+  }
+
+  function atlasTextureHtml(id) {
+    const path = atlasState.prefix + resourcePath(id, "textures", ".png");
+    return viewerState.index.has(path) ? `<a href="${escapeHtml(viewerHash(path))}"><code>${escapeHtml(id)}</code></a>` : `<code>${escapeHtml(id)}</code>`;
+  }
+
+  /** Sprites (filtered by #atlasFilter) with the texture and the source that added each. */
+  function renderAtlasList() {
+    const { path, result, selected } = atlasState;
+    const q = (atlasFilter?.value || "").trim().toLowerCase();
+    const shown = result.sprites.filter((s) => !q || s.id.includes(q) || s.texture.includes(q));
+    const rows = shown.slice(0, ATLAS_LIST_LIMIT).map((s) => {
+      const from = `<a href="${escapeHtml(viewerHash(path, { pointer: `/sources/${s.source}` }))}"><code>sources[${s.source}]</code></a> ${escapeHtml(s.type)}`;
+      const extra = [];
+      if (s.region) extra.push(`region ${s.region.x},${s.region.y} ${s.region.width}×${s.region.height} of ${s.region.divisorX}×${s.region.divisorY}`);
+      if (s.palette) extra.push(`recoloured with ${escapeHtml(s.palette.to)}`);
+      if (s.replaced != null) extra.push(`replaces sources[${s.replaced}]`);
+      return `<tr data-sprite="${escapeHtml(s.id)}"${s.id === selected ? ' class="is-target"' : ""}><td><code>${escapeHtml(s.id)}</code></td>` +
+        `<td>${atlasTextureHtml(s.texture)}</td><td>${from}</td><td>${extra.join("; ")}</td></tr>`;
+    });
+    const removed = result.removed.filter((r) => !q || r.id.includes(q));
+    atlasList.innerHTML =
+      (rows.length
+        ? `<table class="soundTable"><thead><tr><th>Sprite</th><th>Texture</th><th>Source</th><th></th></tr></thead><tbody>${rows.join("")}</tbody></table>`
+        : `<p class="hint">${q ? "No sprite matches the filter." : "This atlas adds no sprites."}</p>`) +
+      (shown.length > ATLAS_LIST_LIMIT ? `<p class="hint">+${shown.length - ATLAS_LIST_LIMIT} more; filter to narrow the list.</p>` : "") +
+      (removed.length
+        ? `<p class="hint">Filtered out: ${removed.slice(0, ATLAS_LIST_LIMIT).map((r) => `<code>${escapeHtml(r.id)}</code> (sources[${r.source}], by sources[${r.by}])`).join(", ")}</p>`
+        : "");
+  }
+
+  /** Pixels of one sprite: its texture's first frame, cut to the unstitch region or recoloured. */
+  async function atlasSpriteImage(sprite) {
+    const image = await readTextureFrame(atlasState.prefix + resourcePath(sprite.texture, "textures", ".png"));
+    if (sprite.region) {
+      const { x, y, width, height, divisorX, divisorY } = sprite.region;
+      const sx = image.width / divisorX;
+      const sy = image.height / divisorY;
+      const w = Math.floor(width * sx);
+      const h = Math.floor(height * sy);
+      if (!(w > 0 && h > 0) || (x + width) * sx > image.width || (y + height) * sy > image.height) throw new Error("region is outside the texture");
+      return { width: w, height: h, data: cropPixels(image, Math.floor(x * sx), Math.floor(y * sy), w, h) };
+    }
+    if (sprite.palette) {
+      const key = await readTextureFrame(atlasState.prefix + resourcePath(sprite.palette.key, "textures", ".png"));
+      const to = await readTextureFrame(atlasState.prefix + resourcePath(sprite.palette.to, "textures", ".png"));
+      return palettePermute(image, key, to);
+    }
+    return image;
+  }
+
+  /** Stitch the sprites into one sheet; returns the sprites that could not be drawn. */
+  async function stitchAtlasPreview(seq) {
+    const images = new Map();
+    const failed = [];
+    for (const sprite of atlasState.result.sprites.slice(0, STITCH_LIMIT)) {
+      try {
+        images.set(sprite.id, await atlasSpriteImage(sprite));
+      } catch (e) {
+        failed.push({ id: sprite.id, reason: e?.message || String(e) });
+      }
+      if (seq !== viewerState.loadSeq) return failed;
+    }
+
+    const layout = stitchAtlas([...images].map(([id, img]) => ({ id, width: img.width, height: img.height })));
+    const data = new Uint8ClampedArray(layout.width * layout.height * 4);
+    for (const p of layout.placements) {
+      const img = images.get(p.id);
+      for (let y = 0; y < p.height; y++) {
+        data.set(img.data.subarray(y * p.width * 4, (y + 1) * p.width * 4), ((p.y + y) * layout.width + p.x) * 4);
+      }
+    }
+    atlasState.sheet = { ...layout, data };
+    drawAtlasSheet();
+    return failed;
+  }
+
+  function drawAtlasSheet() {
+    const { sheet, selected } = atlasState;
+    if (!sheet) return;
+    const hit = selected && sheet.placements.find((p) => p.id === selected);
+    let data = sheet.data;
+    if (hit) {
+      data = new Uint8ClampedArray(sheet.data);
+      const put = (x, y) => data.set(ATLAS_OUTLINE, (y * sheet.width + x) * 4);
+      for (let x = hit.x; x < hit.x + hit.width; x++) {
+        put(x, hit.y);
+        put(x, hit.y + hit.height - 1);
+      }
+      for (let y = hit.y; y < hit.y + hit.height; y++) {
+        put(hit.x, y);
+        put(hit.x + hit.width - 1, y);
+      }
+    }
+    paintPixels(atlasCanvas, data, sheet.width, sheet.height);
+  }
+
+  /** The placement under a pointer event on the (scaled) sheet canvas. */
+  function atlasPlacementAt(e) {
+    const { sheet } = atlasState;
+    if (!sheet) return null;
+    const rect = atlasCanvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+    const x = Math.floor(((e.clientX - rect.left) / rect.width) * sheet.width);
+    const y = Math.floor(((e.clientY - rect.top) / rect.height) * sheet.height);
+    return sheet.placements.find((p) => x >= p.x && x < p.x + p.width && y >= p.y && y < p.y + p.height) || null;
+  }
+
+  function selectAtlasSprite(id) {
+    atlasState.selected = id;
+    drawAtlasSheet();
+    renderAtlasList();
+    qs("tr.is-target", atlasList)?.scrollIntoView({ block: "nearest" });
+  }
+
+  /**
+   * Textures the pack's models use that no atlas adds: not a sprite of any atlas
+   * file in the pack, nor in the folders the game's blocks atlas takes itself.
+   */
+  async function renderOutsideAtlases(seq) {
+    const { prefix } = atlasState;
+    const textures = packTextureIds(prefix);
+    const sprites = new Set();
+    for (const path of viewerState.index.keys()) {
+      const m = ATLAS_JSON.exec(path);
+      if (!m || (m[1] || "") !== prefix) continue;
+      const doc = path === atlasState.path ? currentJson() : await readJsonDoc(path);
+      for (const s of atlasSprites(doc, textures).sprites) sprites.add(s.id);
+    }
+
+    const outside = new Map(); // texture id -> { path, key } of the first model using it
+    for (const path of viewerState.index.keys()) {
+      const m = MODEL_JSON.exec(path);
+      if (!m || (m[1] || "") !== prefix) continue;
+      const doc = await readJsonDoc(path);
+      const refs = doc?.textures && typeof doc.textures === "object" ? Object.entries(doc.textures) : [];
+      for (const [key, value] of refs) {
+        if (typeof value !== "string" || value.startsWith("#")) continue;
+        const id = resourceId(value);
+        if (!id || sprites.has(id) || outside.has(id) || VANILLA_ATLAS_DIRS.some((d) => id.split(":")[1].startsWith(d))) continue;
+        outside.set(id, { path, key });
+      }
+    }
+    if (seq !== viewerState.loadSeq) return;
+
+    atlasOutsideHead.textContent = `Model textures outside every atlas (${outside.size})`;
+    atlasOutside.innerHTML =
+      `<p class="hint">Models draw from the blocks atlas, which takes ${VANILLA_ATLAS_DIRS.map((d) => `textures/${d}`).join(" and ")} in every namespace; anything else has to be added by an atlas file, or it renders as the missing texture.</p>` +
+      (outside.size
+        ? `<ul class="model__notes">${[...outside].map(([id, { path, key }]) =>
+            `<li><code>${escapeHtml(id)}</code>, used by <a href="${escapeHtml(viewerHash(path, { pointer: `/textures/${jsonPointerEscape(key)}` }))}">${escapeHtml(path)}</a></li>`).join("")}</ul>`
+        : `<p>Every texture the pack's models use is in an atlas.</p>`);
+  }
+
+  function bindAtlas() {
+    if (!atlasPanel) return;
+    atlasFilter?.addEventListener("input", debounce(() => atlasState.result && renderAtlasList(), 120));
+    atlasList.addEventListener("click", (e) => {
+      const row = e.target.closest("tr[data-sprite]");
+      if (!row || e.target.closest("a")) return;
+      selectAtlasSprite(row.dataset.sprite === atlasState.selected ? null : row.dataset.sprite);
+    });
+    atlasCanvas.addEventListener("pointermove", (e) => {
+      const p = atlasPlacementAt(e);
+      const sprite = p && atlasState.result?.sprites.find((s) => s.id === p.id);
+      atlasLookup.textContent = sprite ? `${sprite.id} · ${p.width}×${p.height} at ${p.x},${p.y} · ${sprite.texture}` : "";
+    });
+    atlasCanvas.addEventListener("click", (e) => {
+      const p = atlasPlacementAt(e);
+      if (p) selectAtlasSprite(p.id);
+    });
+  }
+
+  /* --------------------------- Inline validation --------------------------- */
+
+  const issuesPanel = byId("issuesPanel");
+  const issuesHead = byId("issuesHead");
+  const issuesList = byId("issuesList");
+
+  let schemaRegistryPromise = null;
+
+  /** The bundled schemas, loaded once and shared by inline validation and the linter. */
+  function getSchemaRegistry() {
+    schemaRegistryPromise ||= fetchSchemaSet(CONFIG.SCHEMA_BASE).then(({ schemas, failed }) => {
+      for (const f of failed) console.warn(`Schema ${f.name} could not be loaded: ${f.error}`);
+      const registry = createSchemaRegistry();
+      for (const [name, doc] of schemas) registry.add(name, doc);
+      return registry;
+    });
+    // a failed load is retried next time
+    schemaRegistryPromise.catch(() => (schemaRegistryPromise = null));
+    return schemaRegistryPromise;
+  }
+
+  /** Line of a JSON.parse error: V8 reports "(line L column C)" or "at position N". */
+  function jsonErrorLine(text, error) {
+    const msg = String(error?.message || error);
+    const line = /line (\d+)/.exec(msg);
+    if (line) return Number(line[1]);
+    const pos = /position (\d+)/.exec(msg);
+    return pos ? text.slice(0, Number(pos[1])).split("\n").length : 1;
+  }
+
+  /** Line of `pointer`, or of its nearest ancestor that exists (missing required keys). */
+  function lineForPointer(lines, pointer) {
+    for (let p = pointer; ; p = p.slice(0, p.lastIndexOf("/"))) {
+      if (lines.has(p)) return lines.get(p);
+      if (!p) return 1;
+    }
+  }
+
+  function setValidity(path, status) {
+    if (status) viewerState.validity.set(path, status);
+    else viewerState.validity.delete(path);
+    paintRows();
+  }
+
+  /** Validate the open file against its mapped schema; results go to the gutter and issues panel. */
+  async function validateOpenFile(seq) {
+    const path = viewerState.currentPath;
+    const text = viewerState.currentText;
+    if (text == null || highlightLanguageFor(path) !== "json") return renderIssues(null);
+
+    const parsed = tryJsonParse(text);
+    if (!parsed.ok) {
+      const issues = [{ pointer: null, line: jsonErrorLine(text, parsed.error), message: `Not valid JSON: ${parsed.error?.message || parsed.error}` }];
+      setValidity(path, { ok: false, count: 1 });
+      return renderIssues({ schema: null, issues });
+    }
+
+    const match = schemaForFile(path, parsed.value);
+    if (!match) return renderIssues({ schema: null, issues: [] });
+
+    let registry;
+    try {
+      registry = await getSchemaRegistry();
+    } catch (e) {
+      return renderIssues({ schema: match.schema, error: `Schemas unavailable (${e?.message || e})`, issues: [] });
+    }
+    if (seq !== viewerState.loadSeq) return;
+
+    const schema = registry.get(match.schema);
+    if (!schema) return renderIssues({ schema: match.schema, error: "Schema is not bundled", issues: [] });
+
+    viewerState.pointerLines ||= jsonPointerLines(text);
+    const issues = validateJsonSchema(schema, parsed.value, { resolveRef: registry.resolveRef }).map((e) => ({
+      pointer: e.path,
+      line: lineForPointer(viewerState.pointerLines, e.path),
+      message: e.message,
+      keyword: e.keyword
+    }));
+    setValidity(path, { ok: !issues.length, count: issues.length });
+    renderIssues({ schema: match.schema, reason: match.reason, issues });
+  }
+
+  function renderIssues(result) {
+    for (const el of qsa(".line.has-issue", codeText)) {
+      el.classList.remove("has-issue");
+      el.removeAttribute("title");
+    }
+    if (!issuesPanel) return;
+    issuesPanel.hidden = !result;
+    if (!result) return;
+
+    const { schema, reason, error, issues } = result;
+    issuesPanel.dataset.state = error ? "unknown" : issues.length ? "fail" : schema ? "pass" : "none";
+    issuesHead.textContent =
+      error ? `${schema}: ${error}` :
+      !schema && !issues.length ? "No schema maps to this file." :
+      issues.length ? `${issues.length} issue${issues.length === 1 ? "" : "s"}${schema ? ` against ${schema}` : ""}` :
+      `Valid against ${schema}`;
+    if (schema && reason) issuesHead.title = `Schema chosen because: ${reason}`;
+    else issuesHead.removeAttribute("title");
+
+    issuesList.textContent = "";
+    for (const issue of issues) {
+      const line = codeText.children[issue.line - 1];
+      if (line) {
+        line.classList.add("has-issue");
+        line.title = line.title ? `${line.title}\n${issue.message}` : issue.message;
+      }
+
+      const li = document.createElement("li");
+      const a = document.createElement("a");
+      a.href = viewerHash(viewerState.currentPath, issue.pointer != null ? { pointer: issue.pointer } : { line: issue.line });
+      a.textContent = `${issue.line}`;
+      a.className = "issues__line";
+      a.dataset.line = String(issue.line);
+      if (issue.pointer != null) a.dataset.pointer = issue.pointer;
+      const where = issue.pointer == null ? "" : `${issue.pointer || "(root)"}: `;
+      li.append(a, document.createTextNode(` ${where}${issue.message}${issue.keyword ? ` [${issue.keyword}]` : ""}`));
+      issuesList.appendChild(li);
+    }
+  }
+
+  function bindIssuesPanel() {
+    // jump without refetching: the hash is replaced, the location applied directly
+    issuesList?.addEventListener("click", (e) => {
+      const a = e.target.closest(".issues__line");
+      if (!a) return;
+      e.preventDefault();
+      const loc = a.dataset.pointer != null ? { pointer: a.dataset.pointer } : { line: Number(a.dataset.line) };
+      replaceViewerHash(viewerState.currentPath, loc);
+      applyLocation(loc);
+    });
+  }
+
+  /** Seed sidebar badges from a lint of the open source (files opened later re-validate). */
+  function applyLintValidity() {
+    if (!lintLinksViewer()) return;
+    const failing = new Map();
+    for (const i of lintState.issues) {
+      if (i.rule === "json" || i.rule === "schema") failing.set(i.path, (failing.get(i.path) || 0) + 1);
+    }
+    for (const path of toArray(lintState.validated)) viewerState.validity.set(path, { ok: !failing.has(path), count: failing.get(path) || 0 });
+    for (const [path, count] of failing) viewerState.validity.set(path, { ok: false, count });
+    paintRows();
+  }
+
+  /* ---------------------------- Pack lint report ---------------------------- */
+
+  const lintView = byId("lintView");
+  const lintRepoBtn = byId("lintRepoBtn");
+  const lintFolder = byId("lintFolder");
+  const lintGroupBy = byId("lintGroupBy");
+  const lintSummary = byId("lintSummary");
+  const lintReport = byId("lintReport");
+
+  // the last report survives reloads so ?view=lint#path deep links keep working
+  const LINT_STORAGE_KEY = "lintReport";
+  let lintState = loadLintState();
+
+  function loadLintState() {
+    try {
+      return JSON.parse(sessionStorage.getItem(LINT_STORAGE_KEY) || "null");
+    } catch {
+      return null;
+    }
+  }
+
+  function saveLintState() {
+    try {
+      sessionStorage.setItem(LINT_STORAGE_KEY, JSON.stringify(lintState));
+    } catch {
+      // quota exceeded on huge packs: the report just won't survive a reload
+    }
+  }
+
+  /** Whether the stored report is about the files the viewer shows (so its paths can be opened). */
+  function lintLinksViewer() {
+    return !!lintState && lintState.source === viewerState.source?.id;
+  }
+
+  async function runLint(source, files, readText) {
+    if (!files.length) {
+      lintSummary.textContent = "No files to lint.";
+      return;
+    }
+    if (lintRepoBtn) lintRepoBtn.disabled = true;
+    lintSummary.textContent = "Loading schemas…";
+    try {
+      const registry = await getSchemaRegistry();
+      const report = await lintPack({
+        files,
+        readText,
+        registry,
+        vanillaModels: await vanillaModels(),
+        onProgress: (i, n) => (lintSummary.textContent = `Linting ${i}/${n}…`)
+      });
+      lintState = { source: source.id, label: source.label, ...report };
+      saveLintState();
+      applyLintValidity();
+      renderLintReport();
+      updateLintLink(viewerState.currentPath);
+    } catch (e) {
+      lintSummary.textContent = `Lint failed: ${e?.message || e}`;
+    } finally {
+      if (lintRepoBtn) lintRepoBtn.disabled = false;
+    }
+  }
+
+  function lintIssuesFor(path) {
+    return lintLinksViewer() ? lintState.issues.filter((i) => i.path === path) : [];
+  }
+
+  function updateLintLink(path) {
+    if (!lintLink) return;
+    const count = path ? lintIssuesFor(path).filter((i) => i.severity !== "info").length : 0;
+    lintLink.hidden = !count;
+    lintLink.textContent = `${count} lint issue${count === 1 ? "" : "s"}`;
+    lintLink.href = `?view=lint#${encodeURIComponent(path || "")}`;
+  }
+
+  function renderLintReport() {
+    lintReport.textContent = "";
+    if (!lintState) {
+      lintSummary.textContent = "Run the linter to see a report.";
+      return;
+    }
+
+    const { issues } = lintState;
+    const errors = issues.filter((i) => i.severity === "error").length;
+    const viewable = lintLinksViewer();
+    const from = lintState.label || (lintState.source === "repo" ? "this repo" : lintState.source);
+    lintSummary.textContent =
+      `${from}: ${lintState.files} files, ${lintState.linted} validated; ${errors} error(s)` +
+      (issues.length > errors ? `, ${issues.length - errors} other` : "") +
+      (lintState.vanillaRefs ? `; ${lintState.vanillaRefs} minecraft: reference(s) assumed vanilla` : "");
+
+    const by = lintGroupBy?.value === "path" ? "path" : "rule";
+    for (const [key, list] of groupLintIssues(issues, by)) {
+      const group = document.createElement("section");
+      group.className = "lintGroup";
+
+      const title = document.createElement("h3");
+      title.className = "panel__title";
+      title.textContent = `${by === "rule" ? PACK_LINT_RULES[key]?.title || key : key} (${list.length})`;
+
+      const ul = document.createElement("ul");
+      ul.className = "lintList";
+      for (const i of list) {
+        const li = document.createElement("li");
+        li.className = i.severity === "error" ? "errorItem" : "warnItem";
+        li.dataset.path = i.path;
+        li.dataset.rule = i.rule;
+
+        // only files the viewer can open get a link
+        const where = document.createElement(viewable ? "a" : "span");
+        where.className = "lintWhere";
+        where.textContent = `${by === "rule" ? i.path : ""}${i.pointer || ""}` || "(file)";
+        if (viewable) {
+          where.href = `?${viewerHash(i.path, { pointer: i.pointer || null })}`;
+          where.dataset.viewLink = "viewer";
+        }
+        li.append(where, document.createTextNode(` ${i.message}`));
+        ul.appendChild(li);
+      }
+      group.append(title, ul);
+      lintReport.appendChild(group);
+    }
+    if (!issues.length) lintReport.textContent = "No issues found.";
+    focusLintPath();
+  }
+
+  function focusLintPath() {
+    if (document.body.dataset.view !== "lint") return;
+    const { path } = parseViewerHash();
+    let first = null;
+    for (const li of qsa(".lintList > li", lintReport)) {
+      const hit = !!path && li.dataset.path === path;
+      li.classList.toggle("is-target", hit);
+      if (hit && !first) first = li;
+    }
+    first?.scrollIntoView({ block: "center" });
+  }
+
+  function bindLint() {
+    if (!lintView || !lintReport) return;
+
+    lintRepoBtn?.addEventListener("click", () => runLint(viewerState.source, viewerState.files, fetchText));
+
+    lintFolder?.addEventListener("change", async () => {
+      const picked = Array.from(lintFolder.files || []);
+      lintFolder.value = "";
+      if (!picked.length) return;
+      const folder = PackFS.fromFileList(picked);
+      const files = (await folder.list()).map((f) => f.path);
+      await runLint(folder, files, (path) => folder.readText(path));
+      folder.close();
+    });
+
+    lintGroupBy?.addEventListener("change", renderLintReport);
+    window.addEventListener("hashchange", focusLintPath);
+    window.addEventListener("viewchange", focusLintPath);
+    renderLintReport();
+  }
+
+  /* ------------------------------ Block builder ----------------------------- */
+
+  const builderView = byId("builderView");
+  const builderFamily = byId("builderFamily");
+  const builderId = byId("builderId");
+  const builderTextures = byId("builderTextures");
+  const builderZipBtn = byId("builderZipBtn");
+  const builderSummary = byId("builderSummary");
+  const builderPreview = byId("builderPreview");
+  const builderIssues = byId("builderIssues");
+  const builderFiles = byId("builderFiles");
+  const builderCode = byId("builderCode");
+
+  const BUILDER_THUMB = 96;
+
+  const builderState = {
+    result: null, // buildBlockFamily() of the current inputs
+    selected: null, // path shown in #builderCode
+    seq: 0
+  };
+
+  function builderJson(doc) {
+    return JSON.stringify(doc, null, 2) + "\n";
+  }
+
+  function builderTextureValues() {
+    return Object.fromEntries(qsa("input[data-slot]", builderTextures).map((i) => [i.dataset.slot, i.value]));
+  }
+
+  /** One input per texture slot of the family; values typed for a slot another family shares are kept. */
+  function renderBuilderTextureFields(values = builderTextureValues()) {
+    builderTextures.textContent = "";
+    for (const { slot, label } of BLOCK_FAMILIES[builderFamily.value].textures) {
+      const field = document.createElement("label");
+      field.className = "field";
+      const span = document.createElement("span");
+      span.textContent = `${label} texture`;
+      const input = document.createElement("input");
+      input.type = "text";
+      input.spellcheck = false;
+      input.autocomplete = "off";
+      input.dataset.slot = slot;
+      input.value = values[slot] || "";
+      field.append(span, input);
+      builderTextures.appendChild(field);
+    }
+  }
+
+  function saveBuilderPrefs() {
+    localStorage.setItem("blockBuilder", JSON.stringify({ family: builderFamily.value, id: builderId.value, textures: builderTextureValues() }));
+  }
+
+  async function runBuilder() {
+    const seq = ++builderState.seq;
+    const family = builderFamily.value;
+    builderId.placeholder = `example:example${BLOCK_FAMILIES[family].suffix}`;
+    const id = builderId.value.trim() || builderId.placeholder;
+    saveBuilderPrefs();
+
+    builderIssues.textContent = "";
+    builderPreview.textContent = "";
+    let result;
+    try {
+      result = buildBlockFamily(family, id, builderTextureValues());
+    } catch (e) {
+      builderState.result = null;
+      builderZipBtn.disabled = true;
+      builderFiles.textContent = "";
+      builderCode.textContent = "";
+      builderSummary.textContent = e?.message || String(e);
+      return;
+    }
+    builderState.result = result;
+    builderZipBtn.disabled = false;
+    for (const input of qsa("input[data-slot]", builderTextures)) input.placeholder = result.textures[input.dataset.slot];
+    if (!result.files.some((f) => f.path === builderState.selected)) builderState.selected = result.blockstate;
+    renderBuilderFiles();
+
+    const texts = new Map(result.files.map((f) => [f.path, builderJson(f.doc)]));
+    builderSummary.textContent = `${result.files.length} files for ${result.id}; validating…`;
+    let report;
+    try {
+      const registry = await getSchemaRegistry();
+      // only the schemas: the textures usually live in the pack the files are added to
+      report = await lintPack({ files: [...texts.keys()], readText: async (path) => texts.get(path), registry, references: false });
+    } catch (e) {
+      if (seq === builderState.seq) builderSummary.textContent = `${result.files.length} files for ${result.id}; could not validate: ${e?.message || e}`;
+      return;
+    }
+    if (seq !== builderState.seq) return;
+
+    const errors = report.issues.filter((i) => i.severity === "error").length;
+    builderSummary.textContent = `${result.files.length} files for ${result.id}; ${report.linted} validated against the schemas, ${errors} error(s)`;
+    for (const i of report.issues) {
+      const li = document.createElement("li");
+      li.className = i.severity === "error" ? "errorItem" : "warnItem";
+      const where = document.createElement("span");
+      where.className = "lintWhere";
+      where.textContent = `${i.path}${i.pointer || ""}`;
+      li.append(where, document.createTextNode(` ${i.message}`));
+      builderIssues.appendChild(li);
+    }
+    await drawBuilderModels(result, seq);
+  }
+
+  function renderBuilderFiles() {
+    const { result, selected } = builderState;
+    builderFiles.textContent = "";
+    for (const { path } of result.files) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "chip";
+      btn.dataset.path = path;
+      btn.textContent = path.replace(/^assets\/[^/]+\//, "");
+      btn.title = path;
+      btn.setAttribute("aria-pressed", String(path === selected));
+      builderFiles.appendChild(btn);
+    }
+    const file = result.files.find((f) => f.path === selected);
+    builderCode.textContent = file ? builderJson(file.doc) : "";
+  }
+
+  /**
+   * A thumbnail of every block model, resolved against the generated files, then
+   * the open pack and the vanilla parents; textures come from the open pack.
+   */
+  async function drawBuilderModels(result, seq) {
+    const docs = new Map(result.files.map((f) => [f.path, f.doc]));
+    const pack = packModelLookup("", [null, null]);
+    const lookup = (id) => {
+      const path = resourcePath(id, "models", ".json");
+      return docs.has(path) ? { path, doc: docs.get(path) } : pack(id);
+    };
+
+    const missing = new Set();
+    const figures = [];
+    for (const id of result.models) {
+      const model = await resolveModel(id, lookup);
+      const textures = await loadModelTextures(model, "");
+      for (const m of textures.missing) missing.add(m.id);
+      const out = renderModel(model, textures.images, { size: BUILDER_THUMB, context: "none", view: MODEL_VIEW.none });
+
+      const figure = document.createElement("figure");
+      figure.className = "builder__model";
+      const canvas = document.createElement("canvas");
+      paintPixels(canvas, out.data, out.width, out.height);
+      const caption = document.createElement("figcaption");
+      caption.textContent = id.slice(id.indexOf("/") + 1);
+      figure.append(canvas, caption);
+      figures.push(figure);
+    }
+    if (seq !== builderState.seq) return;
+    builderPreview.replaceChildren(...figures);
+    if (missing.size) {
+      builderSummary.textContent += `; ${missing.size} texture(s) not in ${viewerState.source?.label || "the open files"} are drawn as the missing texture`;
+    }
+  }
+
+  async function downloadBuilderZip() {
+    const { result } = builderState;
+    if (!result) return;
+    const bytes = await PackFS.writeZip(result.files.map((f) => ({ path: f.path, data: builderJson(f.doc) })));
+    downloadBlob(new Blob([bytes], { type: "application/zip" }), `${result.id.split(":")[1]}.zip`);
+  }
+
+  function bindBuilder() {
+    if (!builderView || !builderFamily) return;
+
+    const saved = tryJsonParse(localStorage.getItem("blockBuilder") || "null").value || {};
+    for (const [name, def] of Object.entries(BLOCK_FAMILIES)) builderFamily.add(new Option(def.label, name));
+    if (BLOCK_FAMILIES[saved.family]) builderFamily.value = saved.family;
+    builderId.value = typeof saved.id === "string" ? saved.id : "";
+    renderBuilderTextureFields(saved.textures && typeof saved.textures === "object" ? saved.textures : {});
+
+    const rerun = debounce(runBuilder, 200);
+    builderFamily.addEventListener("change", () => {
+      renderBuilderTextureFields();
+      runBuilder();
+    });
+    builderId.addEventListener("input", rerun);
+    builderTextures.addEventListener("input", rerun);
+    builderZipBtn.addEventListener("click", downloadBuilderZip);
+    builderFiles.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-path]");
+      if (!btn || !builderState.result) return;
+      builderState.selected = btn.dataset.path;
+      renderBuilderFiles();
+    });
+
+    // schemas and textures load on first use; the open pack may have changed since the last visit
+    window.addEventListener("viewchange", (e) => {
+      if (e.detail?.view === "builder") runBuilder();
+    });
+    if (document.body.dataset.view === "builder") runBuilder();
+  }
+
+  /* ------------------------------- Translations ------------------------------ */
+
+  const langView = byId("langView");
+  const langReloadBtn = byId("langReloadBtn");
+  const langShow = byId("langShow");
+  const langFilter = byId("langFilter");
+  const langExportLocale = byId("langExportLocale");
+  const langExportMode = byId("langExportMode");
+  const langExportBtn = byId("langExportBtn");
+  const langSummary = byId("langSummary");
+  const langGrid = byId("langGrid");
+  const langNeededHead = byId("langNeededHead");
+  const langNeeded = byId("langNeeded");
+
+  const LANG_ROW_LIMIT = 500;
+  const CONTENT_JSON = /(?:^|\/)assets\/[^/]+\/(?:blockstates|items)\/.+\.json$/;
+  // "placeholders" also shows formats the game can't read at all
+  const LANG_SHOW_KINDS = { missing: ["missing"], extra: ["extra"], placeholders: ["placeholders", "invalid-placeholder"], "format-codes": ["format-codes"] };
+
+  // locales: locale -> Map key -> { value, path }; issues: "locale\nkey" -> [issue]
+  const langState = { token: null, locales: new Map(), issues: new Map(), keys: [], needed: new Map(), unreadable: [], seq: 0 };
+
+  async function readLangJson(path) {
+    const parsed = tryJsonParse(await fetchText(path));
+    return parsed.ok ? parsed.value : null;
+  }
+
+  /** Read every lang file and what the pack's content needs translated, then redraw. */
+  async function loadTranslations() {
+    const seq = ++langState.seq;
+    const token = viewerState.sourceToken;
+    langSummary.textContent = "Reading language files…";
+    if (langReloadBtn) langReloadBtn.disabled = true;
+
+    const locales = new Map();
+    const unreadable = [];
+    const content = [];
+    try {
+      for (const path of viewerState.files) {
+        const m = LANG_JSON.exec(path);
+        if (m) {
+          const doc = await readLangJson(path).catch(() => null);
+          if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+            unreadable.push(path);
+            continue;
+          }
+          const locale = m[3].toLowerCase();
+          if (!locales.has(locale)) locales.set(locale, new Map());
+          const entries = locales.get(locale);
+          // a key several namespaces define shows (and links to) the first file that has it
+          for (const [key, value] of Object.entries(doc)) if (typeof value === "string" && !entries.has(key)) entries.set(key, { value, path });
+        } else if (CONTENT_JSON.test(path)) {
+          content.push([path, null]);
+        } else if (ALCHEMY_JSON.test(path)) {
+          content.push([path, await readLangJson(path).catch(() => null)]);
+        }
+      }
+    } catch (e) {
+      if (seq === langState.seq) langSummary.textContent = `Could not read the language files: ${e?.message || e}`;
+      return;
+    } finally {
+      if (seq === langState.seq && langReloadBtn) langReloadBtn.disabled = false;
+    }
+    if (seq !== langState.seq) return;
+
+    const values = new Map([...locales].map(([locale, entries]) => [locale, new Map([...entries].map(([k, e]) => [k, e.value]))]));
+    const issues = new Map();
+    for (const issue of diffLocales(values)) {
+      const at = `${issue.locale}\n${issue.key}`;
+      if (!issues.has(at)) issues.set(at, []);
+      issues.get(at).push(issue);
+    }
+    const keys = new Set();
+    for (const entries of locales.values()) for (const key of entries.keys()) keys.add(key);
+
+    Object.assign(langState, {
+      token,
+      locales,
+      issues,
+      keys: [...keys].sort(),
+      needed: neededTranslationKeys(content),
+      unreadable
+    });
+    renderLangExportLocales();
+    renderTranslations();
+  }
+
+  /** en_us first, then the rest alphabetically. */
+  function langLocales() {
+    return [...langState.locales.keys()].sort((a, b) => (a === LANG_REFERENCE ? -1 : b === LANG_REFERENCE ? 1 : a.localeCompare(b)));
+  }
+
+  function langKeyIssues(key) {
+    const out = [];
+    for (const locale of langState.locales.keys()) out.push(...(langState.issues.get(`${locale}\n${key}`) || []));
+    return out;
+  }
+
+  function renderTranslations() {
+    renderLangSummary();
+    renderLangGrid();
+    renderLangNeeded();
+  }
+
+  function renderLangSummary() {
+    const { locales, issues, keys, unreadable } = langState;
+    const from = viewerState.source?.label || "the open files";
+    if (!locales.size) {
+      langSummary.textContent = `${from} has no assets/*/lang/*.json files` + (unreadable.length ? ` that parse (${unreadable.join(", ")})` : "") + ".";
+      return;
+    }
+    const count = {};
+    for (const list of issues.values()) for (const i of list) count[i.kind] = (count[i.kind] || 0) + 1;
+    const parts = [
+      count.missing && `${count.missing} missing`,
+      count.extra && `${count.extra} not in ${LANG_REFERENCE}`,
+      (count.placeholders || count["invalid-placeholder"]) && `${(count.placeholders || 0) + (count["invalid-placeholder"] || 0)} argument problem(s)`,
+      count["format-codes"] && `${count["format-codes"]} § code mismatch(es)`
+    ].filter(Boolean);
+    langSummary.textContent =
+      `${from}: ${locales.size} locale(s), ${keys.length} key(s); ${parts.length ? parts.join(", ") : "no problems"}` +
+      (locales.has(LANG_REFERENCE) ? "" : `; no ${LANG_REFERENCE} file, so only argument formats are checked`) +
+      (unreadable.length ? `; not valid JSON objects: ${unreadable.join(", ")}` : "");
+  }
+
+  /** The key × locale grid, narrowed by #langShow and #langFilter. */
+  function renderLangGrid() {
+    const locales = langLocales();
+    if (!locales.length) {
+      langGrid.textContent = "";
+      return;
+    }
+    const ref = langState.locales.get(LANG_REFERENCE);
+    const show = langShow?.value || "all";
+    const q = (langFilter?.value || "").trim().toLowerCase();
+    const shown = langState.keys.filter((key) => {
+      if (q && !key.toLowerCase().includes(q)) return false;
+      if (show === "all") return true;
+      const kinds = langKeyIssues(key).map((i) => i.kind);
+      return show === "problems" ? kinds.length > 0 : kinds.some((k) => LANG_SHOW_KINDS[show]?.includes(k));
+    });
+
+    const rows = shown.slice(0, LANG_ROW_LIMIT).map((key) => {
+      const cells = locales.map((locale) => {
+        const entry = langState.locales.get(locale).get(key);
+        const problems = langState.issues.get(`${locale}\n${key}`) || [];
+        const attrs = problems.length ? ` class="lang--problem" title="${escapeHtml(problems.map((i) => i.message).join("\n"))}"` : "";
+        if (!entry) return `<td${attrs}>${ref?.has(key) ? '<span class="lang--missing">missing</span>' : ""}</td>`;
+        const href = `?${viewerHash(entry.path, { pointer: jsonPointerJoin("", key) })}`;
+        return `<td${attrs}><a href="${escapeHtml(href)}" data-view-link="viewer">${escapeHtml(entry.value)}</a></td>`;
+      });
+      return `<tr><td><code>${escapeHtml(key)}</code></td>${cells.join("")}</tr>`;
+    });
+    langGrid.innerHTML =
+      (rows.length
+        ? `<table class="soundTable"><thead><tr><th>Key</th>${locales.map((l) => `<th>${escapeHtml(l)}</th>`).join("")}</tr></thead><tbody>${rows.join("")}</tbody></table>`
+        : `<p class="hint">No key matches.</p>`) +
+      (shown.length > LANG_ROW_LIMIT ? `<p class="hint">+${shown.length - LANG_ROW_LIMIT} more; filter to narrow the list.</p>` : "");
+  }
+
+  /** A readable default for a key nobody translated: "block.ns.marble_stairs" -> "Marble Stairs". */
+  function langDefaultName(key) {
+    const parts = key.split(".");
+    if (parts.length > 1 && parts[parts.length - 1] === "name") parts.pop();
+    return parts[parts.length - 1].split("_").filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join(" ");
+  }
+
+  /** Keys blocks, items and alchemy documents need that the reference locale lacks. */
+  function langMissingNeeded() {
+    const ref = langState.locales.get(LANG_REFERENCE);
+    return [...langState.needed].filter(([key]) => !ref?.has(key)).sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  function renderLangNeeded() {
+    const missing = langMissingNeeded();
+    langNeededHead.textContent = `Keys the pack needs that ${LANG_REFERENCE} lacks (${missing.length})`;
+    if (!missing.length) {
+      langNeeded.innerHTML = `<p class="hint">${langState.needed.size ? `All ${langState.needed.size} key(s) the pack's blocks, items and alchemy entries use are translated.` : "No blockstates, item definitions or alchemy entries found."}</p>`;
+      return;
+    }
+    const items = missing.map(([key, { path, pointer }]) => {
+      const elsewhere = langLocales().filter((l) => langState.locales.get(l).has(key));
+      const where = `<a class="lintWhere" href="${escapeHtml(`?${viewerHash(path, { pointer: pointer || null })}`)}" data-view-link="viewer">${escapeHtml(path + pointer)}</a>`;
+      return `<li class="warnItem">${where}<code>${escapeHtml(key)}</code>` +
+        (elsewhere.length ? ` (only in ${escapeHtml(elsewhere.join(", "))})` : ` (filled exports use "${escapeHtml(langDefaultName(key))}")`) + `</li>`;
+    });
+    langNeeded.innerHTML = `<ul class="lintList">${items.join("")}</ul>`;
+  }
+
+  function renderLangExportLocales() {
+    const current = langExportLocale.value;
+    const locales = langLocales();
+    if (!locales.includes(LANG_REFERENCE)) locales.unshift(LANG_REFERENCE);
+    langExportLocale.replaceChildren(
+      ...locales.map((l) => new Option(langState.locales.has(l) ? l : `${l} (new)`, l))
+    );
+    if (locales.includes(current)) langExportLocale.value = current;
+    langExportBtn.disabled = !langState.locales.size && !langState.needed.size;
+  }
+
+  /**
+   * One locale as a single lang file, keys sorted. "merged" joins the locale's
+   * files across namespaces; "filled" also adds en_us values for its missing keys
+   * and a name made from the id for keys the pack needs that no en_us file has.
+   */
+  function exportLocale() {
+    const locale = langExportLocale.value;
+    if (!locale) return;
+    const out = new Map();
+    for (const [key, e] of langState.locales.get(locale) || []) out.set(key, e.value);
+    if (langExportMode?.value === "filled") {
+      for (const [key, e] of langState.locales.get(LANG_REFERENCE) || []) if (!out.has(key)) out.set(key, e.value);
+      for (const key of langState.needed.keys()) if (!out.has(key)) out.set(key, langDefaultName(key));
+    }
+    const doc = Object.fromEntries([...out].sort(([a], [b]) => a.localeCompare(b)));
+    downloadBlob(new Blob([`${JSON.stringify(doc, null, 2)}\n`], { type: "application/json" }), `${locale}.json`);
+  }
+
+  function bindLang() {
+    if (!langView || !langGrid) return;
+
+    langReloadBtn?.addEventListener("click", loadTranslations);
+    langShow?.addEventListener("change", renderLangGrid);
+    langFilter?.addEventListener("input", debounce(renderLangGrid, 120));
+    langExportBtn?.addEventListener("click", exportLocale);
+
+    // read on first visit, and again when another pack was opened in the meantime
+    const loadIfStale = () => {
+      if (document.body.dataset.view === "lang" && langState.token !== viewerState.sourceToken) loadTranslations();
+    };
+    window.addEventListener("viewchange", loadIfStale);
+    loadIfStale();
+  }
+
+  /* -------------------------------- Alchemy ids ------------------------------- */
+
+  const alchemyView = byId("alchemyView");
+  const alchemyReloadBtn = byId("alchemyReloadBtn");
+  const alchemyDetail = byId("alchemyDetail");
+  const alchemySummary = byId("alchemySummary");
+  const alchemyGraphEl = byId("alchemyGraph");
+  const alchemyIssues = byId("alchemyIssues");
+
+  // diagram columns, left to right; other alchemy types follow, then ids nothing defines
+  const ALCHEMY_COLUMNS = ["alchemy:equipment", "alchemy:alcohol", "alchemy:container"];
+  const ALCHEMY_NODE = { w: 210, h: 24, gapX: 90, gapY: 8, pad: 14, head: 24 };
+
+  // graph: alchemyGraph() result; boxes: key -> { x, y, label, node?, missing? } (key: node index or "?id")
+  const alchemyState = { token: null, graph: null, boxes: new Map(), selected: null, seq: 0 };
+
+  async function loadAlchemy() {
+    const seq = ++alchemyState.seq;
+    const token = viewerState.sourceToken;
+    alchemySummary.textContent = "Reading alchemy files…";
+    if (alchemyReloadBtn) alchemyReloadBtn.disabled = true;
+
+    const docs = [];
+    const unreadable = [];
+    try {
+      for (const path of viewerState.files.filter((p) => ALCHEMY_JSON.test(p) && !/\.schema\.json$/.test(p))) {
+        const parsed = tryJsonParse(await fetchText(path).catch(() => ""));
+        if (parsed.ok) docs.push([path, parsed.value]);
+        else unreadable.push(path);
+      }
+    } finally {
+      if (seq === alchemyState.seq && alchemyReloadBtn) alchemyReloadBtn.disabled = false;
+    }
+    if (seq !== alchemyState.seq) return;
+
+    const graph = alchemyGraph(docs, { tags: packTags(viewerState.files) });
+    for (const path of unreadable) graph.issues.unshift({ path, pointer: "", rule: "json", message: "Not valid JSON" });
+    Object.assign(alchemyState, { token, graph, selected: null });
+    renderAlchemy();
+  }
+
+  function alchemySeverity(issue) {
+    return PACK_LINT_RULES[issue.rule]?.severity || "error";
+  }
+
+  function renderAlchemy() {
+    const { graph } = alchemyState;
+    const from = viewerState.source?.label || "the open files";
+    const counts = {};
+    for (const n of graph.nodes) counts[n.type] = (counts[n.type] || 0) + 1;
+    const errors = graph.issues.filter((i) => alchemySeverity(i) === "error").length;
+    alchemySummary.textContent = graph.nodes.length
+      ? `${from}: ${Object.entries(counts).map(([t, n]) => `${n} ${t.replace(/^alchemy:/, "")}`).join(", ")}; ` +
+        `${graph.edges.length} reference(s); ${errors} error(s), ${graph.issues.length - errors} warning(s)`
+      : `${from} has no alchemy:* files under an alchemy/ folder.`;
+
+    alchemyIssues.innerHTML = graph.issues.map((i) => {
+      const href = `?${viewerHash(i.path, { pointer: i.pointer || null })}`;
+      return `<li class="${alchemySeverity(i) === "error" ? "errorItem" : "warnItem"}">` +
+        `<a class="lintWhere" href="${escapeHtml(href)}" data-view-link="viewer">${escapeHtml(`${i.path}${i.pointer || ""}`)}</a>` +
+        `${escapeHtml(i.message)} <span class="hint">${escapeHtml(PACK_LINT_RULES[i.rule]?.title || i.rule)}</span></li>`;
+    }).join("");
+
+    drawAlchemyGraph();
+    renderAlchemyDetail();
+  }
+
+  /** Boxes in columns by type, edges as curves between them; ids nothing defines get a dashed box. */
+  function drawAlchemyGraph() {
+    const { graph } = alchemyState;
+    const { w, h, gapX, gapY, pad, head } = ALCHEMY_NODE;
+    alchemyState.boxes = new Map();
+    if (!graph.nodes.length) {
+      alchemyGraphEl.textContent = "";
+      return;
+    }
+
+    const types = [...new Set(graph.nodes.map((n) => n.type))];
+    const columns = [...ALCHEMY_COLUMNS.filter((t) => types.includes(t)), ...types.filter((t) => !ALCHEMY_COLUMNS.includes(t)).sort()];
+    const missing = [...new Set(graph.edges.filter((e) => e.missing).map((e) => e.to))].sort();
+    if (missing.length) columns.push("undefined");
+
+    const rows = new Map(columns.map((c) => [c, 0]));
+    const place = (key, column, label, extra) => {
+      const c = columns.indexOf(column);
+      const r = rows.get(column);
+      rows.set(column, r + 1);
+      alchemyState.boxes.set(key, { x: pad + c * (w + gapX), y: pad + head + r * (h + gapY), label, ...extra });
+    };
+    graph.nodes
+      .map((node, i) => [node, i])
+      .sort(([a], [b]) => a.id.localeCompare(b.id))
+      .forEach(([node, i]) => place(String(i), node.type, node.id, { node }));
+    for (const id of missing) place(`?${id}`, "undefined", id, { missing: true });
+
+    const severityOf = new Map();
+    for (const i of graph.issues) {
+      const s = alchemySeverity(i);
+      if (severityOf.get(i.path) !== "error") severityOf.set(i.path, s);
+    }
+
+    const edges = [];
+    for (const e of graph.edges) {
+      const targets = e.missing
+        ? [`?${e.to}`]
+        : graph.nodes.flatMap((n, i) => (n.id === e.to && (e.kind !== "container" || n.type === "alchemy:container") ? [String(i)] : []));
+      for (const to of targets) edges.push({ ...e, fromKey: String(e.from), toKey: to });
+    }
+
+    const width = pad * 2 + columns.length * w + (columns.length - 1) * gapX;
+    const height = pad * 2 + head + Math.max(...rows.values()) * (h + gapY);
+    const trim = (s) => (s.length > 30 ? `${s.slice(0, 29)}…` : s);
+
+    const colHeads = columns.map((c, i) =>
+      `<text class="alchemy__col" x="${pad + i * (w + gapX)}" y="${pad + 12}">${escapeHtml(c === "undefined" ? "not defined" : c)}</text>`);
+    const paths = edges.map((e) => {
+      const a = alchemyState.boxes.get(e.fromKey);
+      const b = alchemyState.boxes.get(e.toKey);
+      const y1 = a.y + h / 2;
+      const y2 = b.y + h / 2;
+      let d;
+      if (b.x > a.x) d = `M${a.x + w},${y1} C${a.x + w + gapX / 2},${y1} ${b.x - gapX / 2},${y2} ${b.x},${y2}`;
+      else if (b.x < a.x) d = `M${a.x},${y1} C${a.x - gapX / 2},${y1} ${b.x + w + gapX / 2},${y2} ${b.x + w},${y2}`;
+      else d = `M${a.x + w},${y1} C${a.x + w + gapX / 2},${y1} ${b.x + w + gapX / 2},${y2} ${b.x + w},${y2}`;
+      const cls = `alchemy__edge${e.missing ? " is-missing" : ""}${e.kind === "mention" ? " is-mention" : ""}`;
+      return `<path class="${cls}" d="${d}" marker-end="url(#alchemyArrow)" data-from="${escapeHtml(e.fromKey)}" data-to="${escapeHtml(e.toKey)}">` +
+        `<title>${escapeHtml(`${a.label} ${e.pointer} → ${e.to}`)}</title></path>`;
+    });
+    const boxes = [...alchemyState.boxes].map(([key, b]) => {
+      const severity = b.node ? severityOf.get(b.node.path) : null;
+      const cls = `alchemy__node${b.missing ? " is-missing" : ""}${severity ? ` has-${severity}` : ""}`;
+      const tip = b.node ? `${b.label}\n${b.node.path}` : `${b.label} (no file defines it)`;
+      return `<g class="${cls}" data-node="${escapeHtml(key)}" tabindex="0" role="button" aria-label="${escapeHtml(b.label)}">` +
+        `<rect x="${b.x}" y="${b.y}" width="${w}" height="${h}"></rect>` +
+        `<text x="${b.x + 8}" y="${b.y + h / 2 + 4}">${escapeHtml(trim(b.label))}</text><title>${escapeHtml(tip)}</title></g>`;
+    });
+
+    alchemyGraphEl.innerHTML =
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Alchemy id graph">` +
+      `<defs><marker id="alchemyArrow" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="7" markerHeight="7" orient="auto-start-reverse">` +
+      `<path class="alchemy__arrow" d="M0,0 L8,4 L0,8 z"></path></marker></defs>` +
+      colHeads.join("") + paths.join("") + boxes.join("") + `</svg>`;
+    focusAlchemyNode(alchemyState.selected);
+  }
+
+  /** Highlight `key`, its edges and the boxes they join (null clears). */
+  function focusAlchemyNode(key) {
+    const svg = qs("svg", alchemyGraphEl);
+    if (!svg) return;
+    svg.classList.toggle("has-focus", key != null);
+    const related = new Set(key != null ? [key] : []);
+    for (const edge of qsa(".alchemy__edge", svg)) {
+      const hit = key != null && (edge.dataset.from === key || edge.dataset.to === key);
+      edge.classList.toggle("is-related", hit);
+      if (hit) related.add(edge.dataset.from).add(edge.dataset.to);
+    }
+    for (const g of qsa(".alchemy__node", svg)) {
+      g.classList.toggle("is-related", related.has(g.dataset.node));
+      g.classList.toggle("is-selected", g.dataset.node === alchemyState.selected);
+    }
+  }
+
+  function selectAlchemyNode(key) {
+    alchemyState.selected = alchemyState.selected === key ? null : key;
+    focusAlchemyNode(alchemyState.selected);
+    renderAlchemyDetail();
+  }
+
+  /** What the selected box uses, what uses it, and the issues of its file. */
+  function renderAlchemyDetail() {
+    const { graph, selected } = alchemyState;
+    const box = selected != null ? alchemyState.boxes.get(selected) : null;
+    if (!box) {
+      alchemyDetail.textContent = "";
+      return;
+    }
+    const link = (path, pointer, text) =>
+      `<a href="${escapeHtml(`?${viewerHash(path, { pointer: pointer || null })}`)}" data-view-link="viewer">${escapeHtml(text)}</a>`;
+    const idOf = (key) => alchemyState.boxes.get(key)?.label;
+    const edges = graph.edges.map((e) => ({ ...e, fromKey: String(e.from) }));
+    const html = [];
+
+    if (box.missing) {
+      html.push(`<div><code>${escapeHtml(box.label)}</code>: no alchemy file defines this id.</div>`);
+    } else {
+      const { node } = box;
+      html.push(
+        `<div><code>${escapeHtml(node.id)}</code> ${escapeHtml(node.type)}${node.version != null ? `, schema_version ${node.version}` : ""}</div>`,
+        `<div>${link(node.path, null, node.path)}</div>`
+      );
+      const uses = edges.filter((e) => e.fromKey === selected);
+      html.push(`<div class="panel__title">Uses (${uses.length})</div>`);
+      if (uses.length) html.push(`<ul>${uses.map((e) => `<li>${link(node.path, e.pointer, e.pointer)} → <code>${escapeHtml(e.to)}</code>${e.missing ? " (not defined)" : ""}</li>`).join("")}</ul>`);
+    }
+    const id = box.label;
+    const usedBy = edges.filter((e) => e.to === id && (box.missing || e.kind !== "container" || box.node.type === "alchemy:container"));
+    html.push(`<div class="panel__title">Used by (${usedBy.length})</div>`);
+    if (usedBy.length) {
+      html.push(`<ul>${usedBy.map((e) => `<li><code>${escapeHtml(idOf(e.fromKey))}</code> ${link(graph.nodes[e.from].path, e.pointer, `${graph.nodes[e.from].path}${e.pointer}`)}</li>`).join("")}</ul>`);
+    }
+    if (!box.missing) {
+      const own = graph.issues.filter((i) => i.path === box.node.path);
+      if (own.length) html.push(`<ul class="lintList">${own.map((i) => `<li class="${alchemySeverity(i) === "error" ? "errorItem" : "warnItem"}">${escapeHtml(i.message)}</li>`).join("")}</ul>`);
+    }
+    alchemyDetail.innerHTML = html.join("");
+  }
+
+  function bindAlchemy() {
+    if (!alchemyView || !alchemyGraphEl) return;
+
+    alchemyReloadBtn?.addEventListener("click", loadAlchemy);
+
+    const nodeOf = (e) => e.target.closest?.(".alchemy__node");
+    alchemyGraphEl.addEventListener("click", (e) => {
+      const g = nodeOf(e);
+      if (g) selectAlchemyNode(g.dataset.node);
+    });
+    alchemyGraphEl.addEventListener("keydown", (e) => {
+      const g = nodeOf(e);
+      if (!g || (e.key !== "Enter" && e.key !== " ")) return;
+      e.preventDefault();
+      selectAlchemyNode(g.dataset.node);
+    });
+    // hovering previews a box's links; leaving goes back to the selection
+    alchemyGraphEl.addEventListener("pointerover", (e) => {
+      const g = nodeOf(e);
+      if (g) focusAlchemyNode(g.dataset.node);
+    });
+    alchemyGraphEl.addEventListener("pointerleave", () => focusAlchemyNode(alchemyState.selected));
+
+    const loadIfStale = () => {
+      if (document.body.dataset.view === "alchemy" && alchemyState.token !== viewerState.sourceToken) loadAlchemy();
+    };
+    window.addEventListener("viewchange", loadIfStale);
+    loadIfStale();
+  }
+
+  async function init() {
+    loadPrefs();
+
+    if (siteTitle) siteTitle.textContent = CONFIG.SITE_TITLE;
+    if (siteSubtitle) siteSubtitle.textContent = CONFIG.SITE_SUBTITLE;
+    if (repoLink) repoLink.href = CONFIG.REPO_URL;
+
+    themeToggle?.addEventListener("click", toggleTheme);
+    sidebarToggle?.addEventListener("click", toggleSidebar);
+    bindTree();
+    bindCodeView();
+
+    bindSearch();
+    bindLocalPacks();
+
+    // populate file list
+    const indexError = await useSource(repoSource);
+
+    window.addEventListener("hashchange", openPathFromHash);
+    await openPathFromHash();
+
+    if (indexError) {
+      setStatus(`No file list (${CONFIG.FILE_INDEX} missing).`);
+      if (!viewerState.currentPath) {
+        setViewer(null, `Could not load the file list: ${indexError?.message || indexError}\n\nRebuild it with: node tools/cli.js index`);
+      }
+    }
+
+    bindCopyButton();
+    bindImageView();
+    bindSounds();
+    bindModelPreview();
+    bindBlockstate();
+    bindAtlas();
+    bindIssuesPanel();
+    bindLint();
+    applyLintValidity();
+    bindBuilder();
+    bindLang();
+    bindAlchemy();
+  }
+
+  init();
+})();
+
+/* -------------------------- Shell: view routing --------------------------- */
+
+(function AppShell() {
+  const tabs = qsa("[data-view-tab]");
+  // view name -> root element; views whose markup is missing are skipped
+  const VIEWS = new Map([
+    ["viewer", qs("#viewerLayout")],
+    ["editor", qs("#editorView")],
+    ["lint", qs("#lintView")],
+    ["builder", qs("#builderView")],
+    ["lang", qs("#langView")],
+    ["alchemy", qs("#alchemyView")]
+  ].filter(([, el]) => el));
+  if (!VIEWS.has("viewer") || VIEWS.size < 2 || !tabs.length) return;
+
+  // ?view=editor|lint|builder|lang|alchemy selects a view; the hash stays the file path in every view
+  const skipLink = qs(".skip-link");
+
+  function currentView() {
+    const v = new URLSearchParams(location.search).get("view");
+    return VIEWS.has(v) ? v : "viewer";
+  }
+
+  function applyView(view) {
+    document.body.dataset.view = view;
+    for (const [name, el] of VIEWS) el.hidden = name !== view;
+
+    for (const t of tabs) {
+      if (t.dataset.viewTab === view) t.setAttribute("aria-current", "page");
+      else t.removeAttribute("aria-current");
+    }
+    window.dispatchEvent(new CustomEvent("viewchange", { detail: { view } }));
+  }
+
+  function navigate(view, hash) {
+    const url = new URL(location.href);
+    if (view === "viewer") url.searchParams.delete("view");
+    else url.searchParams.set("view", view);
+    const hashChanged = hash != null && hash !== url.hash;
+    if (hash != null) url.hash = hash;
+    history.pushState(null, "", url);
+    applyView(view);
+    // pushState doesn't fire hashchange; the modules open paths from it
+    if (hashChanged) window.dispatchEvent(new HashChangeEvent("hashchange"));
+  }
+
+  for (const t of tabs) {
+    t.addEventListener("click", (e) => {
+      e.preventDefault();
+      navigate(t.dataset.viewTab);
+    });
+  }
+
+  // links between views (lint report <-> viewer) switch without reloading the page
+  document.addEventListener("click", (e) => {
+    const a = e.target.closest?.("a[data-view-link]");
+    if (!a || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+    if (!VIEWS.has(a.dataset.viewLink)) return;
+    e.preventDefault();
+    navigate(a.dataset.viewLink, new URL(a.href, location.href).hash);
+  });
+
+  // the hash is the file path, so the skip link focuses instead of navigating
+  skipLink?.addEventListener("click", (e) => {
+    e.preventDefault();
+    const view = document.body.dataset.view;
+    qs(view === "viewer" ? "#main" : `#${VIEWS.get(view).id}`)?.focus();
+  });
+
+  window.addEventListener("popstate", () => applyView(currentView()));
+  applyView(currentView());
 })();
@@ -0,0 +1,247 @@
+/**
+ * Blockstate and model files for the common block families, laid out the way
+ * the game's own data generator writes them (variant keys, rotations, uvlock).
+ *
+ * Pure data in, data out; loads in the browser (the viewer's block builder)
+ * and as a CommonJS module.
+ *
+ *   BLOCK_FAMILIES -> { stairs: { label, suffix, textures: [{ slot, label, fallback }] }, ... }
+ *   familyTextures(family, blockId, given) -> { slot: texture id } with blanks filled in
+ *   buildBlockFamily(family, blockId, given) -> { id, blockstate, models: [id], files: [{ path, doc }] }
+ *
+ * Block models are written to models/block/, and every family gets an item
+ * definition in items/ (1.21.4+); doors add a flat item model.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BlockFamilies = factory();
+})(globalThis, function () {
+  "use strict";
+
+  const RESOURCE_ID = /^[a-z0-9_.-]+:[a-z0-9_./-]+$/;
+
+  /* -------------------------------- Families -------------------------------- */
+
+  // `fallback` is another slot, or a template: {ns}, {name} (the block) and {base} (name without the suffix)
+  const BLOCK_FAMILIES = {
+    stairs: {
+      label: "Stairs",
+      suffix: "_stairs",
+      textures: [
+        { slot: "side", label: "Side", fallback: "{ns}:block/{base}" },
+        { slot: "top", label: "Top", fallback: "side" },
+        { slot: "bottom", label: "Bottom", fallback: "side" }
+      ]
+    },
+    slab: {
+      label: "Slab",
+      suffix: "_slab",
+      textures: [
+        { slot: "side", label: "Side", fallback: "{ns}:block/{base}" },
+        { slot: "top", label: "Top", fallback: "side" },
+        { slot: "bottom", label: "Bottom", fallback: "side" }
+      ]
+    },
+    door: {
+      label: "Door",
+      suffix: "_door",
+      textures: [
+        { slot: "bottom", label: "Bottom half", fallback: "{ns}:block/{name}_bottom" },
+        { slot: "top", label: "Top half", fallback: "{ns}:block/{name}_top" },
+        { slot: "item", label: "Item", fallback: "{ns}:item/{name}" }
+      ]
+    },
+    fence: {
+      label: "Fence",
+      suffix: "_fence",
+      textures: [{ slot: "texture", label: "Texture", fallback: "{ns}:block/{base}" }]
+    },
+    trapdoor: {
+      label: "Trapdoor",
+      suffix: "_trapdoor",
+      textures: [{ slot: "texture", label: "Texture", fallback: "{ns}:block/{name}" }]
+    },
+    button: {
+      label: "Button",
+      suffix: "_button",
+      textures: [{ slot: "texture", label: "Texture", fallback: "{ns}:block/{base}" }]
+    }
+  };
+
+  const HORIZONTAL = ["east", "north", "south", "west"];
+  // y rotation that turns a model built facing east (stairs, doors) or north (trapdoors, buttons)
+  const FROM_EAST = { east: 0, south: 90, west: 180, north: 270 };
+  const FROM_NORTH = { north: 0, east: 90, south: 180, west: 270 };
+
+  /** "ns:name" (a bare name is minecraft:); throws on anything that isn't a block id. */
+  function parseBlockId(blockId) {
+    const id = String(blockId || "").trim();
+    const full = id.includes(":") ? id : `minecraft:${id}`;
+    if (!RESOURCE_ID.test(full) || full.endsWith("/")) throw new Error(`"${id}" is not a block id (namespace:name, lower case)`);
+    const [ns, name] = full.split(":");
+    return { id: full, ns, name };
+  }
+
+  function familyOf(family) {
+    const def = BLOCK_FAMILIES[family];
+    if (!def) throw new Error(`Unknown block family "${family}"`);
+    return def;
+  }
+
+  /** Texture ids for every slot of `family`; blank or missing entries in `given` get the fallback. */
+  function familyTextures(family, blockId, given = {}) {
+    const def = familyOf(family);
+    const { ns, name } = parseBlockId(blockId);
+    const base = name.endsWith(def.suffix) && name.length > def.suffix.length ? name.slice(0, -def.suffix.length) : name;
+    const out = {};
+    for (const { slot, fallback } of def.textures) {
+      const value = String(given[slot] || "").trim();
+      if (value) out[slot] = value.includes(":") ? value : `minecraft:${value}`;
+      else if (fallback in out) out[slot] = out[fallback];
+      else out[slot] = fallback.replace(/\{(ns|name|base)\}/g, (_, k) => ({ ns, name, base })[k]);
+    }
+    return out;
+  }
+
+  /* ------------------------------- Blockstates ------------------------------ */
+
+  /** A variant entry with the zero rotations and false uvlock left out, as the game writes them. */
+  function variant(model, { x = 0, y = 0, uvlock = false } = {}) {
+    const v = { model };
+    y = ((y % 360) + 360) % 360;
+    if (x) v.x = x;
+    if (y) v.y = y;
+    if (uvlock) v.uvlock = true;
+    return v;
+  }
+
+  /** Variants keyed by every combination of `props` (in the order given), values from `pick(state)`. */
+  function variantsOf(props, pick) {
+    let states = [{}];
+    for (const [prop, values] of props) states = states.flatMap((s) => values.map((v) => ({ ...s, [prop]: v })));
+    const variants = {};
+    for (const state of states) variants[props.map(([p]) => `${p}=${state[p]}`).join(",")] = pick(state);
+    return { variants };
+  }
+
+  const BLOCKSTATES = {
+    stairs: (m) =>
+      variantsOf([["facing", HORIZONTAL], ["half", ["bottom", "top"]], ["shape", ["inner_left", "inner_right", "outer_left", "outer_right", "straight"]]], ({ facing, half, shape }) => {
+        const model = shape === "straight" ? m.stairs : shape.startsWith("inner") ? m.inner : m.outer;
+        let y = FROM_EAST[facing];
+        // the corner pieces are built for the right-hand side; upside down the two sides swap
+        if (half === "bottom" && shape.endsWith("_left")) y -= 90;
+        if (half === "top" && shape.endsWith("_right")) y += 90;
+        const x = half === "top" ? 180 : 0;
+        return variant(model, { x, y, uvlock: !!(x || y % 360) });
+      }),
+
+    slab: (m) =>
+      variantsOf([["type", ["bottom", "double", "top"]]], ({ type }) => variant(m[type])),
+
+    door: (m) =>
+      variantsOf([["facing", HORIZONTAL], ["half", ["lower", "upper"]], ["hinge", ["left", "right"]], ["open", ["false", "true"]]], ({ facing, half, hinge, open }) => {
+        const model = m[`${half === "lower" ? "bottom" : "top"}_${hinge}${open === "true" ? "_open" : ""}`];
+        const swing = open === "true" ? (hinge === "left" ? 90 : -90) : 0;
+        return variant(model, { y: FROM_EAST[facing] + swing });
+      }),
+
+    fence: (m) => ({
+      multipart: [
+        { apply: variant(m.post) },
+        ...["north", "east", "south", "west"].map((side) => ({ when: { [side]: "true" }, apply: variant(m.side, { y: FROM_NORTH[side], uvlock: true }) }))
+      ]
+    }),
+
+    // the non-orientable template: closed trapdoors are not turned, open ones swing toward `facing`
+    trapdoor: (m) =>
+      variantsOf([["facing", HORIZONTAL], ["half", ["bottom", "top"]], ["open", ["false", "true"]]], ({ facing, half, open }) =>
+        open === "true" ? variant(m.open, { y: FROM_NORTH[facing] }) : variant(m[half])
+      ),
+
+    button: (m) =>
+      variantsOf([["face", ["ceiling", "floor", "wall"]], ["facing", HORIZONTAL], ["powered", ["false", "true"]]], ({ face, facing, powered }) => {
+        const model = powered === "true" ? m.pressed : m.button;
+        if (face === "ceiling") return variant(model, { x: 180, y: FROM_NORTH[facing] + 180 });
+        if (face === "wall") return variant(model, { x: 90, y: FROM_NORTH[facing], uvlock: true });
+        return variant(model, { y: FROM_NORTH[facing] });
+      })
+  };
+
+  /* --------------------------------- Models --------------------------------- */
+
+  // model key -> [file name suffix, vanilla parent, texture slots it takes]
+  const MODELS = {
+    stairs: {
+      stairs: ["", "stairs", ["bottom", "top", "side"]],
+      inner: ["_inner", "inner_stairs", ["bottom", "top", "side"]],
+      outer: ["_outer", "outer_stairs", ["bottom", "top", "side"]]
+    },
+    slab: {
+      bottom: ["", "slab", ["bottom", "top", "side"]],
+      top: ["_top", "slab_top", ["bottom", "top", "side"]],
+      double: ["_double", "cube_bottom_top", ["bottom", "top", "side"]]
+    },
+    door: Object.fromEntries(
+      ["bottom", "top"].flatMap((half) =>
+        ["left", "right"].flatMap((hinge) =>
+          ["", "_open"].map((open) => [`${half}_${hinge}${open}`, [`_${half}_${hinge}${open}`, `door_${half}_${hinge}${open}`, ["bottom", "top"]]])
+        )
+      )
+    ),
+    fence: {
+      post: ["_post", "fence_post", ["texture"]],
+      side: ["_side", "fence_side", ["texture"]],
+      inventory: ["_inventory", "fence_inventory", ["texture"]]
+    },
+    trapdoor: {
+      bottom: ["_bottom", "template_trapdoor_bottom", ["texture"]],
+      top: ["_top", "template_trapdoor_top", ["texture"]],
+      open: ["_open", "template_trapdoor_open", ["texture"]]
+    },
+    button: {
+      button: ["", "button", ["texture"]],
+      pressed: ["_pressed", "button_pressed", ["texture"]],
+      inventory: ["_inventory", "button_inventory", ["texture"]]
+    }
+  };
+
+  // the model the item shows; doors are the one family drawn flat from their own texture
+  const ITEM_MODEL = { stairs: "stairs", slab: "bottom", fence: "inventory", trapdoor: "bottom", button: "inventory" };
+
+  /**
+   * Every file a family needs: the blockstate, its block models, the item
+   * definition (and the door's item model). Paths are relative to the pack root.
+   */
+  function buildBlockFamily(family, blockId, given = {}) {
+    familyOf(family);
+    const { id, ns, name } = parseBlockId(blockId);
+    const textures = familyTextures(family, id, given);
+    const bad = Object.entries(textures).find(([, t]) => !RESOURCE_ID.test(t));
+    if (bad) throw new Error(`Texture "${bad[1]}" (${bad[0]}) is not a texture id (namespace:path)`);
+
+    const files = [];
+    const modelIds = {};
+    for (const [key, [suffix, parent, slots]] of Object.entries(MODELS[family])) {
+      const model = `${ns}:block/${name}${suffix}`;
+      modelIds[key] = model;
+      files.push({
+        path: `assets/${ns}/models/block/${name}${suffix}.json`,
+        doc: { parent: `minecraft:block/${parent}`, textures: Object.fromEntries(slots.map((s) => [s, textures[s]])) }
+      });
+    }
+
+    let itemModel = modelIds[ITEM_MODEL[family]];
+    if (family === "door") {
+      itemModel = `${ns}:item/${name}`;
+      files.push({ path: `assets/${ns}/models/item/${name}.json`, doc: { parent: "minecraft:item/generated", textures: { layer0: textures.item } } });
+    }
+    files.push({ path: `assets/${ns}/items/${name}.json`, doc: { model: { type: "minecraft:model", model: itemModel } } });
+
+    const blockstate = `assets/${ns}/blockstates/${name}.json`;
+    files.unshift({ path: blockstate, doc: BLOCKSTATES[family](modelIds) });
+    return { id, blockstate, models: Object.values(modelIds), textures, files };
+  }
+
+  return { BLOCK_FAMILIES, parseBlockId, familyTextures, buildBlockFamily };
+});
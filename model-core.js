@@ -0,0 +1,591 @@
+/**
+ * Block and item model helpers for the viewer's 3D preview: parent chain
+ * resolution, #texture variables, display transforms and a small software
+ * rasterizer; plus blockstate matching (which models a block state gets).
+ *
+ * Rendering is plain JS into an RGBA buffer (orthographic, z-buffered, nearest
+ * texel sampling), so the same code runs in a browser without WebGL, in a
+ * worker or under Node with no GPU. Resource ids are read with schema-core.js,
+ * which has to load first.
+ *
+ *   resolveModel(id, lookup) -> Promise<{ chain, textures, elements, display, builtin, missing, cycle, sources, ... }>
+ *   flattenModel(model) -> { doc, sources, problems }   (the merged model, annotated)
+ *   matchBlockstate(doc, state) -> the variant / multipart entries one block state gets
+ *   modelQuads(model) -> textured faces in model space (pixels, 0-16 is one block)
+ *   renderModel(model, images, { size, context, view, frame }) -> { width, height, data, faces }
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./schema-core.js"));
+  else root.ModelCore = factory(root.SchemaCore);
+})(globalThis, function (SchemaCore) {
+  "use strict";
+
+  const { resourceId } = SchemaCore;
+
+  /* ------------------------------ Parent chain ------------------------------ */
+
+  const MAX_PARENTS = 64;
+  const MAX_VAR_HOPS = 16;
+
+  const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+  /**
+   * Walk a model's parent chain and merge it the way the game does: textures and
+   * display per key (the child wins), elements from the nearest model that has
+   * any, ambientocclusion / gui_light from the nearest model that sets them.
+   *
+   * `lookup(id)` -> { path, doc, vanilla? } | null (may return a promise). A chain
+   * ending at builtin/generated or builtin/entity sets `builtin`; one ending at a
+   * model lookup can't find sets `missing`; a loop sets `cycle` to the repeated id.
+   * `sources` maps each merged key ("textures/all", "display/gui", "elements", ...)
+   * to the id of the model it came from.
+   *
+   * -> { id, chain: [{ id, path, doc, vanilla }] (child first), textures, elements, elementsFrom,
+   *      display, ambientocclusion, gui_light, builtin, missing, cycle, sources }
+   */
+  async function resolveModel(id, lookup) {
+    const chain = [];
+    const seen = new Set();
+    let builtin = null;
+    let missing = null;
+    let cycle = null;
+
+    for (let cur = resourceId(id); cur && chain.length < MAX_PARENTS; ) {
+      if (seen.has(cur)) {
+        cycle = cur;
+        break;
+      }
+      seen.add(cur);
+      const m = /^minecraft:builtin\/(.+)$/.exec(cur);
+      if (m) {
+        builtin = m[1];
+        break;
+      }
+      const found = await lookup(cur);
+      if (!found || !isObject(found.doc)) {
+        missing = cur;
+        break;
+      }
+      chain.push({ id: cur, path: found.path ?? null, doc: found.doc, vanilla: found.vanilla === true });
+      cur = resourceId(found.doc.parent);
+    }
+
+    const model = { id: resourceId(id), chain, textures: {}, elements: null, elementsFrom: null, display: {}, builtin, missing, cycle, sources: {} };
+    for (const { id: from, doc } of [...chain].reverse()) {
+      for (const key of ["textures", "display"]) {
+        if (!isObject(doc[key])) continue;
+        Object.assign(model[key], doc[key]);
+        for (const k of Object.keys(doc[key])) model.sources[`${key}/${k}`] = from;
+      }
+      if (Array.isArray(doc.elements)) {
+        model.elements = doc.elements;
+        model.elementsFrom = model.sources.elements = from;
+      }
+      for (const [key, type] of [["ambientocclusion", "boolean"], ["gui_light", "string"]]) {
+        if (typeof doc[key] !== type) continue;
+        model[key] = doc[key];
+        model.sources[key] = from;
+      }
+    }
+    if (!model.elements && builtin === "generated") {
+      model.elements = generatedElements(model.textures);
+      model.elementsFrom = model.sources.elements = "minecraft:builtin/generated";
+    }
+    return model;
+  }
+
+  /**
+   * Follow a "#var" reference through `textures`:
+   * -> { id, path: ["#a", "#b", ...], undefinedVar, loop }
+   * `id` is null when a variable on the way is undefined (`undefinedVar`) or
+   * the references go round in a circle (`loop`).
+   */
+  function traceTexture(textures, ref) {
+    const path = [];
+    const seen = new Set();
+    while (typeof ref === "string" && ref.startsWith("#")) {
+      const name = ref.slice(1);
+      if (seen.has(name) || path.length >= MAX_VAR_HOPS) return { id: null, path, undefinedVar: null, loop: true };
+      seen.add(name);
+      path.push(ref);
+      if (!Object.prototype.hasOwnProperty.call(textures, name)) return { id: null, path, undefinedVar: name, loop: false };
+      ref = textures[name];
+    }
+    return { id: resourceId(ref), path, undefinedVar: null, loop: false };
+  }
+
+  /** Follow "#var" references through `textures`; the texture id, or null when a variable is undefined or loops. */
+  function resolveTexture(textures, ref) {
+    return traceTexture(textures, ref).id;
+  }
+
+  /**
+   * The merged model as one flat doc (what the game ends up with, defaults
+   * filled in), plus where each key came from and what doesn't resolve:
+   * -> { doc, sources: { "/textures/all": id | "default", ... },
+   *      problems: [{ kind, pointer, pointers?, message }] }
+   * kind: "cycle" | "missing-parent" | "undefined-var" | "var-loop"
+   */
+  function flattenModel(model) {
+    const doc = {};
+    const sources = {};
+    const set = (key, value, from) => {
+      doc[key] = value;
+      sources[`/${key}`] = from;
+    };
+    set("ambientocclusion", model.ambientocclusion ?? true, model.sources.ambientocclusion || "default");
+    set("gui_light", model.gui_light ?? "side", model.sources.gui_light || "default");
+    if (Object.keys(model.textures).length) {
+      doc.textures = { ...model.textures };
+      for (const k of Object.keys(doc.textures)) sources[`/textures/${k}`] = model.sources[`textures/${k}`];
+    }
+    if (model.elements) set("elements", model.elements, model.elementsFrom);
+    if (Object.keys(model.display).length) {
+      doc.display = { ...model.display };
+      for (const k of Object.keys(doc.display)) sources[`/display/${k}`] = model.sources[`display/${k}`];
+    }
+
+    const problems = [];
+    if (model.cycle) problems.push({ kind: "cycle", pointer: "/parent", message: `Parent chain loops back to ${model.cycle}` });
+    if (model.missing) problems.push({ kind: "missing-parent", pointer: "/parent", message: `Parent model ${model.missing} was not found` });
+
+    // one problem per broken variable, listing everything that goes through it
+    const broken = new Map();
+    const checkRef = (ref, pointer, label) => {
+      const t = traceTexture(model.textures, ref);
+      if (!t.loop && !t.undefinedVar) return;
+      const key = t.loop ? `loop:${[...t.path].sort().join()}` : t.undefinedVar;
+      if (!broken.has(key)) broken.set(key, { trace: t, pointers: [], labels: [] });
+      broken.get(key).pointers.push(pointer);
+      broken.get(key).labels.push(label);
+    };
+    for (const [key, value] of Object.entries(model.textures)) checkRef(value, `/textures/${key}`, `textures.${key}`);
+    (model.elements || []).forEach((el, i) => {
+      for (const [face, f] of Object.entries(isObject(el?.faces) ? el.faces : {})) {
+        if (typeof f?.texture === "string") checkRef(f.texture, `/elements/${i}/faces/${face}/texture`, `elements[${i}].${face}`);
+      }
+    });
+    for (const { trace, pointers, labels } of broken.values()) {
+      const used = `(used by ${labels.slice(0, 4).join(", ")}${labels.length > 4 ? `, +${labels.length - 4} more` : ""})`;
+      problems.push(trace.loop
+        ? { kind: "var-loop", pointer: pointers[0], pointers, message: `Texture variables loop: ${trace.path.join(" → ")} ${used}` }
+        : { kind: "undefined-var", pointer: pointers[0], pointers, message: `Texture variable #${trace.undefinedVar} is not defined ${used}` });
+    }
+    return { doc, sources, problems };
+  }
+
+  /**
+   * builtin/generated: one flat sprite per layerN texture, drawn front and back.
+   * The game also extrudes the sprite's pixel edges; those are left out here.
+   */
+  function generatedElements(textures) {
+    const out = [];
+    for (let n = 0; `layer${n}` in textures; n++) {
+      out.push({
+        from: [0, 0, 7.5],
+        to: [16, 16, 8.5],
+        faces: { south: { uv: [0, 0, 16, 16], texture: `#layer${n}` }, north: { uv: [16, 0, 0, 16], texture: `#layer${n}` } }
+      });
+    }
+    return out;
+  }
+
+  /* --------------------------------- Faces ---------------------------------- */
+
+  // corners seen from outside the face, upright: top-left, top-right, bottom-right, bottom-left
+  const FACE_CORNERS = {
+    down: (f, t) => [[f[0], f[1], t[2]], [t[0], f[1], t[2]], [t[0], f[1], f[2]], [f[0], f[1], f[2]]],
+    up: (f, t) => [[f[0], t[1], f[2]], [t[0], t[1], f[2]], [t[0], t[1], t[2]], [f[0], t[1], t[2]]],
+    north: (f, t) => [[t[0], t[1], f[2]], [f[0], t[1], f[2]], [f[0], f[1], f[2]], [t[0], f[1], f[2]]],
+    south: (f, t) => [[f[0], t[1], t[2]], [t[0], t[1], t[2]], [t[0], f[1], t[2]], [f[0], f[1], t[2]]],
+    west: (f, t) => [[f[0], t[1], f[2]], [f[0], t[1], t[2]], [f[0], f[1], t[2]], [f[0], f[1], f[2]]],
+    east: (f, t) => [[t[0], t[1], t[2]], [t[0], t[1], f[2]], [t[0], f[1], f[2]], [t[0], f[1], t[2]]]
+  };
+
+  // uv when a face leaves it out: the element's position projected onto that side
+  const DEFAULT_UV = {
+    down: (f, t) => [f[0], 16 - t[2], t[0], 16 - f[2]],
+    up: (f, t) => [f[0], f[2], t[0], t[2]],
+    north: (f, t) => [16 - t[0], 16 - t[1], 16 - f[0], 16 - f[1]],
+    south: (f, t) => [f[0], 16 - t[1], t[0], 16 - f[1]],
+    west: (f, t) => [f[2], 16 - t[1], t[2], 16 - f[1]],
+    east: (f, t) => [16 - t[2], 16 - t[1], 16 - f[2], 16 - f[1]]
+  };
+
+  // the game's flat per-side shading for elements with shade: true
+  const FACE_SHADE = { up: 1, down: 0.5, north: 0.8, south: 0.8, west: 0.6, east: 0.6 };
+
+  const isVec = (v, n) => Array.isArray(v) && v.length === n && v.every((x) => typeof x === "number" && Number.isFinite(x));
+
+  function rotation(axis, degrees) {
+    const r = (degrees * Math.PI) / 180;
+    const c = Math.cos(r);
+    const s = Math.sin(r);
+    if (axis === "x") return [1, 0, 0, 0, c, -s, 0, s, c];
+    if (axis === "y") return [c, 0, s, 0, 1, 0, -s, 0, c];
+    return [c, -s, 0, s, c, 0, 0, 0, 1];
+  }
+
+  function multiply(a, b) {
+    const out = new Array(9);
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+    return out;
+  }
+
+  const transform = (m, [x, y, z]) => [m[0] * x + m[1] * y + m[2] * z, m[3] * x + m[4] * y + m[5] * z, m[6] * x + m[7] * y + m[8] * z];
+
+  /** Rotation by x, then y, then z degrees as one matrix (the game's display and view rotation order). */
+  function rotationXYZ([x, y, z]) {
+    return multiply(multiply(rotation("x", x), rotation("y", y)), rotation("z", z));
+  }
+
+  /** An element's rotation (angle about axis through origin, optionally rescaled to the block's size). */
+  function elementRotation(rot) {
+    if (!isObject(rot) || !["x", "y", "z"].includes(rot.axis) || typeof rot.angle !== "number" || !rot.angle) return null;
+    const origin = isVec(rot.origin, 3) ? rot.origin : [8, 8, 8];
+    const m = rotation(rot.axis, rot.angle);
+    const k = rot.rescale === true ? 1 / Math.cos((rot.angle * Math.PI) / 180) : 1;
+    const scale = ["x", "y", "z"].map((a) => (a === rot.axis ? 1 : k));
+    return (p) => {
+      const q = transform(m, [p[0] - origin[0], p[1] - origin[1], p[2] - origin[2]]);
+      return [q[0] * scale[0] + origin[0], q[1] * scale[1] + origin[1], q[2] * scale[2] + origin[2]];
+    };
+  }
+
+  /**
+   * Every face of the model's elements in model space, ready to render:
+   * [{ corners: [[x, y, z] ×4], uv: [[u, v] ×4], texture: id | null, ref, shade, element, face }].
+   * `texture` is null when the face's #variable doesn't resolve.
+   */
+  function modelQuads(model) {
+    const quads = [];
+    (Array.isArray(model.elements) ? model.elements : []).forEach((el, element) => {
+      if (!isObject(el) || !isVec(el.from, 3) || !isVec(el.to, 3) || !isObject(el.faces)) return;
+      const rotate = elementRotation(el.rotation);
+      for (const [face, spec] of Object.entries(el.faces)) {
+        if (!FACE_CORNERS[face] || !isObject(spec)) continue;
+        const [u1, v1, u2, v2] = isVec(spec.uv, 4) ? spec.uv : DEFAULT_UV[face](el.from, el.to);
+        let uv = [[u1, v1], [u2, v1], [u2, v2], [u1, v2]];
+        // face rotation turns the texture clockwise on the face
+        const turns = [0, 90, 180, 270].indexOf(spec.rotation ?? 0);
+        if (turns > 0) uv = uv.map((_, i) => uv[(i - turns + 4) % 4]);
+        const corners = FACE_CORNERS[face](el.from, el.to);
+        quads.push({
+          corners: rotate ? corners.map(rotate) : corners,
+          uv,
+          texture: resolveTexture(model.textures || {}, spec.texture),
+          ref: spec.texture ?? null,
+          shade: el.shade === false ? 1 : FACE_SHADE[face],
+          element,
+          face
+        });
+      }
+    });
+    return quads;
+  }
+
+  /* ---------------------------- Display contexts ---------------------------- */
+
+  const DISPLAY_CONTEXTS = [
+    "gui", "ground", "fixed", "head",
+    "thirdperson_righthand", "thirdperson_lefthand", "firstperson_righthand", "firstperson_lefthand"
+  ];
+
+  /**
+   * The transform the game uses for `context`: { rotation, translation, scale, from }.
+   * A missing left-hand transform falls back to the right hand's (drawn mirrored);
+   * `from` is the display key it came from, null when the model has none.
+   */
+  function displayTransform(display, context) {
+    let from = isObject(display) && isObject(display[context]) ? context : null;
+    if (!from && /_lefthand$/.test(context) && isObject(display?.[context.replace("_lefthand", "_righthand")])) {
+      from = context.replace("_lefthand", "_righthand");
+    }
+    const t = from ? display[from] : {};
+    const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+    return {
+      rotation: isVec(t.rotation, 3) ? t.rotation : [0, 0, 0],
+      translation: isVec(t.translation, 3) ? t.translation.map((v) => clamp(v, -80, 80)) : [0, 0, 0],
+      scale: isVec(t.scale, 3) ? t.scale.map((v) => clamp(v, -4, 4)) : [1, 1, 1],
+      from
+    };
+  }
+
+  /* ------------------------------- Rendering -------------------------------- */
+
+  // the game's missing texture: magenta and black checks
+  const MISSING_TEXTURE = (() => {
+    const data = new Uint8ClampedArray(16 * 16 * 4);
+    for (let i = 0; i < 256; i++) {
+      const magenta = ((i & 15) < 8) === (i >> 4 < 8);
+      data.set(magenta ? [248, 0, 248, 255] : [0, 0, 0, 255], i * 4);
+    }
+    return { width: 16, height: 16, data };
+  })();
+
+  const edge = (a, b, x, y) => (b[0] - a[0]) * (y - a[1]) - (b[1] - a[1]) * (x - a[0]);
+
+  /**
+   * Fill one screen-space quad ([x, y, z] corners, [u, v] texels) as two triangles
+   * sharing the 0-2 diagonal; each pixel is drawn once, so translucent texels
+   * don't blend twice along it. Larger z is nearer.
+   */
+  function fillQuad(target, p, uv, image, shade) {
+    const { size, data, depth } = target;
+    const triangles = [[0, 1, 2], [0, 2, 3]]
+      .map(([a, b, c]) => ({ p: [p[a], p[b], p[c]], uv: [uv[a], uv[b], uv[c]], area: edge(p[a], p[b], p[c][0], p[c][1]) }))
+      .filter((t) => t.area);
+    const xs = p.map((q) => q[0]);
+    const ys = p.map((q) => q[1]);
+    const minX = Math.max(0, Math.floor(Math.min(...xs)));
+    const maxX = Math.min(size - 1, Math.ceil(Math.max(...xs)));
+    const minY = Math.max(0, Math.floor(Math.min(...ys)));
+    const maxY = Math.min(size - 1, Math.ceil(Math.max(...ys)));
+    const { width: tw, height: th, data: texels } = image;
+
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const px = x + 0.5;
+        const py = y + 0.5;
+        let hit = null;
+        let w0;
+        let w1;
+        let w2;
+        for (const t of triangles) {
+          w0 = edge(t.p[1], t.p[2], px, py) / t.area;
+          w1 = edge(t.p[2], t.p[0], px, py) / t.area;
+          w2 = 1 - w0 - w1;
+          if (w0 >= 0 && w1 >= 0 && w2 >= 0) {
+            hit = t;
+            break;
+          }
+        }
+        if (!hit) continue;
+        const z = w0 * hit.p[0][2] + w1 * hit.p[1][2] + w2 * hit.p[2][2];
+        const i = y * size + x;
+        // <= so later faces at the same depth (stacked item layers) draw on top
+        if (z < depth[i]) continue;
+
+        const u = w0 * hit.uv[0][0] + w1 * hit.uv[1][0] + w2 * hit.uv[2][0];
+        const v = w0 * hit.uv[0][1] + w1 * hit.uv[1][1] + w2 * hit.uv[2][1];
+        const tx = Math.min(tw - 1, Math.max(0, Math.floor((u / 16) * tw)));
+        const ty = Math.min(th - 1, Math.max(0, Math.floor((v / 16) * th)));
+        const t = (ty * tw + tx) * 4;
+        const alpha = texels[t + 3];
+        if (!alpha) continue;
+
+        const o = i * 4;
+        if (alpha === 255) {
+          data[o] = texels[t] * shade;
+          data[o + 1] = texels[t + 1] * shade;
+          data[o + 2] = texels[t + 2] * shade;
+          data[o + 3] = 255;
+          depth[i] = z;
+        } else {
+          // translucent texels blend over what is there and don't hide what's behind
+          const a = alpha / 255;
+          data[o] = texels[t] * shade * a + data[o] * (1 - a);
+          data[o + 1] = texels[t + 1] * shade * a + data[o + 1] * (1 - a);
+          data[o + 2] = texels[t + 2] * shade * a + data[o + 2] * (1 - a);
+          data[o + 3] = alpha + data[o + 3] * (1 - a);
+        }
+      }
+    }
+  }
+
+  /**
+   * Render a resolved model to a size × size RGBA image.
+   *   images: Map texture id -> { width, height, data } (first frame of animated
+   *           textures); unresolved or absent textures draw as MISSING_TEXTURE
+   *   context: a DISPLAY_CONTEXTS entry, or "none" for the model as authored
+   *   view: { pitch, yaw } camera orbit in degrees (0, 0 looks at the south side)
+   *   frame: model pixels across the image (default 16 for gui, 32 otherwise)
+   * -> { width, height, data, faces (drawn after back-face culling), transform }
+   */
+  function renderModel(model, images, { size = 256, context = "gui", view = {}, frame } = {}) {
+    const target = { size, data: new Uint8ClampedArray(size * size * 4), depth: new Float32Array(size * size).fill(-Infinity) };
+    const display = context === "none" ? null : displayTransform(model.display, context);
+    const leftHand = /_lefthand$/.test(context);
+
+    // translate, rotate, scale about the block's centre; the left hand mirrors the right
+    let m = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    let offset = [0, 0, 0];
+    if (display) {
+      const [rx, ry, rz] = display.rotation;
+      const [tx, ty, tz] = display.translation;
+      const r = rotationXYZ(leftHand ? [rx, -ry, -rz] : [rx, ry, rz]);
+      m = multiply(r, [display.scale[0], 0, 0, 0, display.scale[1], 0, 0, 0, display.scale[2]]);
+      offset = [leftHand ? -tx : tx, ty, tz];
+    }
+    const camera = rotationXYZ([view.pitch || 0, view.yaw || 0, 0]);
+    const units = size / (frame || (context === "gui" ? 16 : 32));
+    // a mirroring transform flips every face's winding
+    const det = m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+
+    const project = (p) => {
+      const d = transform(m, [p[0] - 8, p[1] - 8, p[2] - 8]);
+      const q = transform(camera, [d[0] + offset[0], d[1] + offset[1], d[2] + offset[2]]);
+      return [size / 2 + q[0] * units, size / 2 - q[1] * units, q[2]];
+    };
+
+    let faces = 0;
+    for (const quad of modelQuads(model)) {
+      const p = quad.corners.map(project);
+      const winding = edge(p[0], p[1], p[2][0], p[2][1]);
+      if (!winding || winding > 0 !== det > 0) continue;
+      const image = (quad.texture && images.get(quad.texture)) || MISSING_TEXTURE;
+      fillQuad(target, p, quad.uv, image, quad.shade);
+      faces++;
+    }
+    return { width: size, height: size, data: target.data, faces, transform: display };
+  }
+
+  /* ------------------------------- Blockstates ------------------------------ */
+
+  // the combination list stops here; a block has rarely more than a few hundred states
+  const MAX_COMBINATIONS = 4096;
+
+  /** "facing=north,half=top" -> { facing: "north", half: "top" }; "" -> {}; null when malformed. */
+  function parseVariantKey(key) {
+    const state = {};
+    if (!key.trim()) return state;
+    for (const part of key.split(",")) {
+      const eq = part.indexOf("=");
+      if (eq <= 0) return null;
+      state[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+    }
+    return state;
+  }
+
+  /** Every leaf "prop": "a|b" (or "!a") of a multipart `when`, through OR / AND groups. */
+  function whenConditions(when, out = []) {
+    if (!isObject(when)) return out;
+    for (const group of ["OR", "AND"]) {
+      if (Array.isArray(when[group])) when[group].forEach((w) => whenConditions(w, out));
+    }
+    for (const [prop, cond] of Object.entries(when)) {
+      if (prop === "OR" || prop === "AND") continue;
+      const text = String(cond);
+      const negate = text.startsWith("!");
+      out.push({ prop, values: (negate ? text.slice(1) : text).split("|"), negate });
+    }
+    return out;
+  }
+
+  /** Whether a multipart `when` holds for `state`; no `when` always applies. */
+  function matchWhen(when, state) {
+    if (!isObject(when)) return true;
+    if (Array.isArray(when.OR)) return when.OR.some((w) => matchWhen(w, state));
+    if (Array.isArray(when.AND)) return when.AND.every((w) => matchWhen(w, state));
+    return Object.entries(when).every(([prop, cond]) => {
+      const text = String(cond);
+      const negate = text.startsWith("!");
+      return (negate ? text.slice(1) : text).split("|").includes(state[prop]) !== negate;
+    });
+  }
+
+  /**
+   * The property space a blockstate file mentions: Map prop -> [values] in order
+   * of first appearance. Only values the file names can be known (the block may
+   * have more), except that a property seen only as "true" or "false" gets both.
+   */
+  function blockstateProperties(doc) {
+    const props = new Map();
+    const add = (prop, value) => {
+      if (!props.has(prop)) props.set(prop, []);
+      if (!props.get(prop).includes(value)) props.get(prop).push(value);
+    };
+    if (isObject(doc?.variants)) {
+      for (const key of Object.keys(doc.variants)) {
+        for (const [prop, value] of Object.entries(parseVariantKey(key) || {})) add(prop, value);
+      }
+    }
+    if (Array.isArray(doc?.multipart)) {
+      for (const part of doc.multipart) {
+        for (const c of whenConditions(part?.when)) c.values.forEach((v) => add(c.prop, v));
+      }
+    }
+    for (const [prop, values] of props) {
+      if (values.every((v) => v === "true" || v === "false")) ["true", "false"].forEach((v) => add(prop, v));
+    }
+    return props;
+  }
+
+  /** A variant or apply value as a list of { model, x, y, uvlock, weight, pointer }. */
+  function blockstateModels(value, pointer) {
+    const list = Array.isArray(value) ? value.map((v, i) => [v, `${pointer}/${i}`]) : [[value, pointer]];
+    return list.filter(([v]) => isObject(v)).map(([v, p]) => ({
+      model: typeof v.model === "string" ? v.model : null,
+      x: v.x ?? 0,
+      y: v.y ?? 0,
+      uvlock: v.uvlock === true,
+      weight: typeof v.weight === "number" ? v.weight : 1,
+      pointer: p
+    }));
+  }
+
+  /**
+   * What a blockstate file gives one state:
+   * -> { kind: "variants" | "multipart" | null, matches: [{ key | index, pointer, models }], ambiguous }
+   * Variants: every key whose properties all agree with the state (more than one
+   * is `ambiguous`). Multipart: every part whose `when` holds, all drawn together.
+   */
+  function matchBlockstate(doc, state) {
+    const matches = [];
+    if (isObject(doc?.variants)) {
+      for (const [key, value] of Object.entries(doc.variants)) {
+        const wanted = parseVariantKey(key);
+        if (!wanted || !Object.entries(wanted).every(([prop, v]) => state[prop] === v)) continue;
+        const pointer = `/variants/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`;
+        matches.push({ key, pointer, models: blockstateModels(value, pointer) });
+      }
+      return { kind: "variants", matches, ambiguous: matches.length > 1 };
+    }
+    if (Array.isArray(doc?.multipart)) {
+      doc.multipart.forEach((part, index) => {
+        if (isObject(part) && matchWhen(part.when, state)) matches.push({ index, pointer: `/multipart/${index}`, models: blockstateModels(part.apply, `/multipart/${index}/apply`) });
+      });
+      return { kind: "multipart", matches, ambiguous: false };
+    }
+    return { kind: null, matches, ambiguous: false };
+  }
+
+  /** Every combination of `props` values (up to MAX_COMBINATIONS): { states, total, truncated }. */
+  function blockstateCombinations(props) {
+    const entries = [...props];
+    const total = entries.reduce((n, [, values]) => n * values.length, 1);
+    const states = [];
+    const walk = (i, state) => {
+      if (states.length >= MAX_COMBINATIONS) return;
+      if (i === entries.length) {
+        states.push({ ...state });
+        return;
+      }
+      const [prop, values] = entries[i];
+      for (const v of values) walk(i + 1, { ...state, [prop]: v });
+    };
+    walk(0, {});
+    return { states, total, truncated: total > states.length };
+  }
+
+  /** Combinations that get no model, and (variants) those more than one key matches. */
+  function blockstateCoverage(doc, props = blockstateProperties(doc)) {
+    const { states, total, truncated } = blockstateCombinations(props);
+    const unmatched = [];
+    const ambiguous = [];
+    for (const state of states) {
+      const result = matchBlockstate(doc, state);
+      if (!result.matches.length) unmatched.push(state);
+      else if (result.ambiguous) ambiguous.push({ state, keys: result.matches.map((m) => m.key) });
+    }
+    return { total, checked: states.length, truncated, unmatched, ambiguous };
+  }
+
+  return {
+    DISPLAY_CONTEXTS, MISSING_TEXTURE, resolveModel, traceTexture, resolveTexture, flattenModel,
+    generatedElements, modelQuads, displayTransform, renderModel, parseVariantKey, whenConditions, matchWhen,
+    blockstateProperties, blockstateModels, matchBlockstate, blockstateCombinations, blockstateCoverage
+  };
+});
@@ -0,0 +1,294 @@
+/**
+ * Local pack sources for the repo viewer: an in-browser zip reader and a small
+ * virtual file system over a .zip, a picked folder or a dropped directory; plus
+ * writeZip(files) for downloads.
+ *
+ * Every source has the same shape as the viewer's built-in repo source:
+ *   { id, label, local, list(), readText(path), readBytes(path), url(path), close() }
+ * - list() -> Promise<[{ path, size, type }]>   ("/"-separated, relative to the pack root)
+ * - url(path) -> blob: URL, or null for a zip entry that has not been read yet
+ *
+ * A single top folder shared by every file ("MyPack/pack.mcmeta") is dropped, so
+ * paths look the same as in the repo whichever way the pack was zipped.
+ * Needs Blob and DecompressionStream (current browsers, Node 18+); writeZip compresses
+ * with CompressionStream when there is one.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PackFS = factory();
+})(globalThis, function () {
+  "use strict";
+
+  /* ---------------------------------- Zip ----------------------------------- */
+
+  const EOCD_SIG = 0x06054b50;
+  const CENTRAL_SIG = 0x02014b50;
+  const LOCAL_SIG = 0x04034b50;
+
+  const utf8 = new TextDecoder("utf-8");
+  const utf8Encoder = new TextEncoder();
+
+  /** Central directory of a zip: [{ path, size, compressedSize, method, offset, encrypted }]. */
+  function readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    // the end record is 22 bytes plus a comment of up to 64 KiB
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === EOCD_SIG) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error("Not a zip file (no end of central directory record)");
+
+    const count = view.getUint16(eocd + 10, true);
+    let at = view.getUint32(eocd + 16, true);
+    if (count === 0xffff || at === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+    const entries = [];
+    for (let n = 0; n < count; n++) {
+      if (at + 46 > bytes.length || view.getUint32(at, true) !== CENTRAL_SIG) throw new Error("Corrupt zip central directory");
+      const nameLength = view.getUint16(at + 28, true);
+      const extraLength = view.getUint16(at + 30, true);
+      const commentLength = view.getUint16(at + 32, true);
+      entries.push({
+        path: utf8.decode(bytes.subarray(at + 46, at + 46 + nameLength)).replace(/\\/g, "/"),
+        size: view.getUint32(at + 24, true),
+        compressedSize: view.getUint32(at + 20, true),
+        method: view.getUint16(at + 10, true),
+        offset: view.getUint32(at + 42, true),
+        encrypted: (view.getUint16(at + 8, true) & 1) === 1
+      });
+      at += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  /** Bytes of one entry: stored (0) or deflated (8). */
+  async function readZipEntry(bytes, entry) {
+    if (entry.encrypted) throw new Error(`${entry.path} is encrypted`);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(entry.offset, true) !== LOCAL_SIG) throw new Error(`Corrupt zip entry ${entry.path}`);
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method !== 8) throw new Error(`${entry.path}: unsupported compression method ${entry.method}`);
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * A zip of `files` ([{ path, data: Uint8Array | string }]). Entries are deflated
+   * where CompressionStream exists and it saves space, else stored.
+   */
+  async function writeZip(files, date = new Date()) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const file of files) {
+      const name = utf8Encoder.encode(file.path);
+      const raw = typeof file.data === "string" ? utf8Encoder.encode(file.data) : file.data;
+      const packed = typeof CompressionStream === "function" ? await deflateRaw(raw) : null;
+      const deflated = !!packed && packed.length < raw.length;
+      const body = deflated ? packed : raw;
+      const crc = crc32(raw);
+
+      // the local header and the central record share everything from "version needed" to the name length
+      const head = (size, sig) => {
+        const out = new Uint8Array(size + name.length);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, sig, true);
+        const at = sig === CENTRAL_SIG ? 6 : 4;
+        view.setUint16(at, 20, true);
+        view.setUint16(at + 2, 0x0800, true); // names are UTF-8
+        view.setUint16(at + 4, deflated ? 8 : 0, true);
+        view.setUint16(at + 6, time, true);
+        view.setUint16(at + 8, day, true);
+        view.setUint32(at + 10, crc, true);
+        view.setUint32(at + 14, body.length, true);
+        view.setUint32(at + 18, raw.length, true);
+        view.setUint16(at + 22, name.length, true);
+        out.set(name, size);
+        return { out, view };
+      };
+
+      const local = head(30, LOCAL_SIG).out;
+      const central = head(46, CENTRAL_SIG);
+      central.view.setUint16(4, 20, true);
+      central.view.setUint32(42, offset, true);
+      locals.push(local, body);
+      centrals.push(central.out);
+      offset += local.length + body.length;
+    }
+
+    const directorySize = centrals.reduce((n, c) => n + c.length, 0);
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, EOCD_SIG, true);
+    view.setUint16(8, files.length, true);
+    view.setUint16(10, files.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, offset, true);
+    return new Uint8Array(await new Blob([...locals, ...centrals, end]).arrayBuffer());
+  }
+
+  /* ------------------------------ Local sources ----------------------------- */
+
+  const SKIP_DIRS = new Set([".git", "node_modules", "__MACOSX"]);
+  const SKIP_FILES = new Set([".DS_Store", "Thumbs.db"]);
+  const MIME_TYPES = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", ogg: "audio/ogg", zip: "application/zip" };
+  // zip entries read this recently still have bytes around for url()
+  const RECENT_READS = 8;
+
+  function typeOf(path) {
+    const name = path.slice(path.lastIndexOf("/") + 1);
+    const dot = name.lastIndexOf(".");
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : "file";
+  }
+
+  function isSkipped(path) {
+    const parts = path.split("/");
+    return SKIP_FILES.has(parts[parts.length - 1]) || parts.slice(0, -1).some((p) => SKIP_DIRS.has(p));
+  }
+
+  // top folders that are part of the pack layout, never a wrapper to strip
+  const PACK_DIRS = new Set(["assets", "data"]);
+
+  /** "MyPack/" when every path sits in that one top folder, else "". */
+  function commonRoot(paths) {
+    if (!paths.length) return "";
+    const first = paths[0].split("/")[0];
+    if (PACK_DIRS.has(first)) return "";
+    return paths.every((p) => p.includes("/") && p.split("/")[0] === first) ? `${first}/` : "";
+  }
+
+  /**
+   * A source over `files` ({ path, size, read() -> Promise<Uint8Array>, blob? }).
+   * Junk (.git, __MACOSX, .DS_Store) is dropped and the common top folder stripped.
+   */
+  function createLocalSource(label, files) {
+    const kept = files.filter((f) => f.path && !f.path.endsWith("/") && !isSkipped(f.path));
+    const prefix = commonRoot(kept.map((f) => f.path));
+    const byPath = new Map(kept.map((f) => [f.path.slice(prefix.length), f]));
+    const urls = new Map();
+    const recent = new Map();
+
+    async function readBytes(path) {
+      const file = byPath.get(path);
+      if (!file) throw new Error(`${path} is not in ${label}`);
+      const bytes = await file.read();
+      recent.delete(path);
+      recent.set(path, bytes);
+      if (recent.size > RECENT_READS) recent.delete(recent.keys().next().value);
+      return bytes;
+    }
+
+    return {
+      id: `local:${label}`,
+      label,
+      local: true,
+      async list() {
+        return [...byPath].map(([path, f]) => ({ path, size: f.size, type: typeOf(path) })).sort((a, b) => (a.path < b.path ? -1 : 1));
+      },
+      readBytes,
+      async readText(path) {
+        return utf8.decode(await readBytes(path));
+      },
+      url(path) {
+        if (urls.has(path)) return urls.get(path);
+        const file = byPath.get(path);
+        const blob = file?.blob || (recent.has(path) ? new Blob([recent.get(path)], { type: MIME_TYPES[typeOf(path)] || "text/plain;charset=utf-8" }) : null);
+        if (!blob) return null;
+        const url = URL.createObjectURL(blob);
+        urls.set(path, url);
+        return url;
+      },
+      close() {
+        for (const url of urls.values()) URL.revokeObjectURL(url);
+        urls.clear();
+        recent.clear();
+      }
+    };
+  }
+
+  function fileEntry(path, file) {
+    return { path, size: file.size, blob: file, read: async () => new Uint8Array(await file.arrayBuffer()) };
+  }
+
+  /** A .zip held in memory (ArrayBuffer or Uint8Array); entries are inflated on read. */
+  function fromZip(name, buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const files = readZipDirectory(bytes).map((e) => ({ path: e.path, size: e.size, read: () => readZipEntry(bytes, e) }));
+    return createLocalSource(name.replace(/\.zip$/i, ""), files);
+  }
+
+  /** Files from <input type="file" webkitdirectory>; paths come from webkitRelativePath. */
+  function fromFileList(fileList) {
+    const picked = Array.from(fileList || []);
+    const label = (picked[0]?.webkitRelativePath || "").split("/")[0] || "folder";
+    return createLocalSource(label, picked.map((f) => fileEntry(f.webkitRelativePath || f.name, f)));
+  }
+
+  /** A FileSystemDirectoryHandle from showDirectoryPicker(). */
+  async function fromDirectoryHandle(handle) {
+    const files = [];
+    const walk = async (dir, rel) => {
+      for await (const [name, child] of dir.entries()) {
+        if (child.kind === "directory") {
+          if (!SKIP_DIRS.has(name)) await walk(child, `${rel}${name}/`);
+        } else {
+          files.push(fileEntry(rel + name, await child.getFile()));
+        }
+      }
+    };
+    await walk(handle, "");
+    return createLocalSource(handle.name, files);
+  }
+
+  /** A dropped directory (FileSystemDirectoryEntry from DataTransferItem.webkitGetAsEntry()). */
+  async function fromDirectoryEntry(entry) {
+    const files = [];
+    const readAll = (reader) =>
+      new Promise((resolve, reject) => {
+        const out = [];
+        // readEntries returns the listing in chunks until an empty one
+        const next = () => reader.readEntries((batch) => (batch.length ? (out.push(...batch), next()) : resolve(out)), reject);
+        next();
+      });
+    const walk = async (dir, rel) => {
+      for (const child of await readAll(dir.createReader())) {
+        if (child.isDirectory) {
+          if (!SKIP_DIRS.has(child.name)) await walk(child, `${rel}${child.name}/`);
+        } else {
+          const file = await new Promise((resolve, reject) => child.file(resolve, reject));
+          files.push(fileEntry(rel + child.name, file));
+        }
+      }
+    };
+    await walk(entry, "");
+    return createLocalSource(entry.name, files);
+  }
+
+  return { readZipDirectory, readZipEntry, writeZip, createLocalSource, fromZip, fromFileList, fromDirectoryHandle, fromDirectoryEntry };
+});
@@ -0,0 +1,1992 @@
+/**
+ * schema-core.js
+ * Validation core shared by the browser app (app.js) and the Node CLI (tools/cli.js):
+ * - draft-07 JSON Schema validator and cross-file $ref registry
+ * - random sample documents and one-keyword mutations of them (a self-test for the validator)
+ * - file -> schema mapping (the fileMatch rules from schemas/README.md)
+ * - pack-wide linter with cross-reference checks
+ * - sounds.json events and language file checks (placeholders, § codes, missing keys)
+ * - the ids a pack defines (blocks, items, tags, sounds, alchemy documents) and the alchemy id graph
+ *
+ * No DOM, no fetch, no Node APIs: callers hand in file lists and readers. Loaded as a
+ * plain script it defines `SchemaCore`; under Node it is `require("./schema-core.js")`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SchemaCore = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  "use strict";
+
+  /* --------------------------------- Utils ---------------------------------- */
+
+  function tryJsonParse(text) {
+    try {
+      return { ok: true, value: JSON.parse(text) };
+    } catch (e) {
+      return { ok: false, error: e };
+    }
+  }
+
+  function toArray(x) {
+    return Array.isArray(x) ? x : (x == null ? [] : [x]);
+  }
+
+  /* ----------------------- Draft-07 schema validator ------------------------ */
+
+  /**
+   * JSON Schema (draft-07) validation engine.
+   *
+   * validateJsonSchema(schemaRoot, value, options) -> [{ path, keyword, message }]
+   * - path: JSON pointer into the instance ("" is the document root)
+   * - keyword: the schema keyword that failed (type, required, if, ...)
+   *
+   * oneOf is validated against every branch; a failure carries `branches`
+   * ([{ index, label, errors }]) so callers can show per-branch diagnostics.
+   *
+   * Options:
+   * - resolveRef(root, ref) -> { root, node } | null   (default: local "#/..." pointers)
+   */
+
+  function jsonPointerEscape(segment) {
+    return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+  }
+
+  function jsonPointerUnescape(segment) {
+    return String(segment).replace(/~1/g, "/").replace(/~0/g, "~");
+  }
+
+  function jsonPointerJoin(base, segment) {
+    return `${base}/${jsonPointerEscape(segment)}`;
+  }
+
+  function jsonPointerGet(root, pointer) {
+    const p = String(pointer || "").replace(/^#/, "");
+    if (!p) return root;
+    if (!p.startsWith("/")) return undefined; // plain-name fragments are not pointers
+    let cur = root;
+    for (const part of p.split("/").slice(1).map(jsonPointerUnescape)) {
+      if (cur == null || typeof cur !== "object") return undefined;
+      cur = cur[part];
+    }
+    return cur;
+  }
+
+  /**
+   * Map every JSON pointer in `text` to the 1-based line where it starts (an object
+   * member's line is its key's line). Tolerates invalid JSON: scanning stops at the
+   * first thing it can't read and returns what it has.
+   */
+  function jsonPointerLines(text) {
+    const lines = new Map();
+    const src = String(text);
+    let i = 0;
+    let line = 1;
+
+    const skipWs = () => {
+      for (; i < src.length; i++) {
+        const c = src[i];
+        if (c === "\n") line++;
+        else if (c !== " " && c !== "\t" && c !== "\r") break;
+      }
+    };
+    const readString = () => {
+      const start = ++i;
+      while (i < src.length && src[i] !== '"') i += src[i] === "\\" ? 2 : 1;
+      const raw = src.slice(start, i++);
+      const parsed = tryJsonParse(`"${raw}"`);
+      return parsed.ok ? parsed.value : raw;
+    };
+    const readValue = (pointer, at) => {
+      skipWs();
+      lines.set(pointer, at ?? line);
+      const c = src[i];
+      if (c === "{" || c === "[") {
+        const close = c === "{" ? "}" : "]";
+        i++;
+        for (let index = 0; ; index++) {
+          skipWs();
+          if (src[i] === close) return void i++;
+          if (c === "{") {
+            if (src[i] !== '"') throw new Error("expected key");
+            const keyLine = line;
+            const key = readString();
+            skipWs();
+            if (src[i++] !== ":") throw new Error("expected ':'");
+            readValue(jsonPointerJoin(pointer, key), keyLine);
+          } else {
+            readValue(jsonPointerJoin(pointer, index));
+          }
+          skipWs();
+          if (src[i] === ",") i++;
+          else if (src[i] !== close) throw new Error("expected ',' or close");
+        }
+      }
+      if (c === '"') return void readString();
+      const start = i;
+      while (i < src.length && !/[\s,\]}]/.test(src[i])) i++;
+      if (i === start) throw new Error("expected value");
+    };
+
+    try {
+      readValue("");
+    } catch {
+      // partial map for invalid documents
+    }
+    return lines;
+  }
+
+  function jsonTypeOf(v) {
+    if (v === null) return "null";
+    if (Array.isArray(v)) return "array";
+    return typeof v;
+  }
+
+  function jsonTypeMatches(type, v) {
+    if (type === "integer") return typeof v === "number" && Number.isInteger(v);
+    if (type === "number") return typeof v === "number" && Number.isFinite(v);
+    return jsonTypeOf(v) === type;
+  }
+
+  function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== "object") return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Array.isArray(a)) return a.length === b.length && a.every((x, i) => deepEqual(x, b[i]));
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return ka.length === kb.length && ka.every((k) => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+  }
+
+  const schemaRegexCache = new Map();
+
+  function schemaRegex(source) {
+    if (schemaRegexCache.has(source)) return schemaRegexCache.get(source);
+    let re = null;
+    try {
+      re = new RegExp(source, "u");
+    } catch {
+      try {
+        re = new RegExp(source);
+      } catch {
+        re = null; // invalid pattern: keyword is ignored
+      }
+    }
+    schemaRegexCache.set(source, re);
+    return re;
+  }
+
+  function resolveLocalRef(root, ref) {
+    if (typeof ref !== "string" || !ref.startsWith("#")) return null;
+    const node = jsonPointerGet(root, ref);
+    return node === undefined ? null : { root, node };
+  }
+
+  function createValidationContext(options = {}) {
+    return {
+      resolveRef: options.resolveRef || resolveLocalRef,
+      // node -> set of instance paths currently being validated (ref cycle guard)
+      active: new WeakMap()
+    };
+  }
+
+  function validateJsonSchema(schemaRoot, value, options = {}) {
+    const ctx = createValidationContext(options);
+    const errs = [];
+    validateSchemaNode(ctx, schemaRoot, schemaRoot, value, "", errs);
+    return errs;
+  }
+
+  function schemaError(path, keyword, message) {
+    return { path, keyword, message };
+  }
+
+  function formatSchemaError(e) {
+    return `${e.path || "(root)"}: ${e.message} [${e.keyword}]`;
+  }
+
+  function formatOneOfBranch(b) {
+    if (!b.errors.length) return `#${b.index + 1} ${b.label}: matches`;
+    const first = formatSchemaError(b.errors[0]);
+    const more = b.errors.length > 1 ? ` (+${b.errors.length - 1} more)` : "";
+    return `#${b.index + 1} ${b.label}: ${first}${more}`;
+  }
+
+  function oneOfBranchLabel(ctx, root, branch, index) {
+    const target = branch && typeof branch.$ref === "string" ? ctx.resolveRef(root, branch.$ref) : null;
+    const node = target ? { ...target.node, ...branch } : branch;
+    if (!node || typeof node !== "object") return `option ${index + 1}`;
+    if (node.title) return node.title;
+    if (node.description) return node.description;
+    if (target) return branch.$ref.split("/").pop();
+    if (Array.isArray(node.required) && node.required.length === 1) return node.required[0];
+    if (node.type) return toArray(node.type).join(" | ");
+    return `option ${index + 1}`;
+  }
+
+  function oneOfBranchResults(ctx, root, node, value, path) {
+    return node.oneOf.map((branch, index) => {
+      const errors = [];
+      validateSchemaNode(ctx, root, branch, value, path, errors);
+      return { index, label: oneOfBranchLabel(ctx, root, branch, index), errors };
+    });
+  }
+
+  /**
+   * Pick the oneOf branch that best fits `value`: the first fully valid branch,
+   * otherwise the one with the fewest errors (a type mismatch at the value itself
+   * counts as a poor fit). Used to preselect UI variants for existing data.
+   */
+  function detectOneOfBranch(schemaRoot, node, value, options = {}) {
+    if (!node || !Array.isArray(node.oneOf) || !node.oneOf.length) return 0;
+    if (value === undefined) return 0;
+    const results = oneOfBranchResults(createValidationContext(options), schemaRoot, node, value, "");
+    const valid = results.find((r) => r.errors.length === 0);
+    if (valid) return valid.index;
+    const score = (r) => r.errors.length + (r.errors.some((e) => e.path === "" && e.keyword === "type") ? 1000 : 0);
+    return results.reduce((best, r) => (score(r) < score(best) ? r : best)).index;
+  }
+
+  function isValidAgainst(ctx, root, node, value, path) {
+    const sub = [];
+    validateSchemaNode(ctx, root, node, value, path, sub);
+    return sub.length === 0;
+  }
+
+  function validateSchemaNode(ctx, root, node, value, path, errs) {
+    if (node === true || node == null) return;
+    if (node === false) {
+      errs.push(schemaError(path, "false", "no value is allowed here"));
+      return;
+    }
+    if (typeof node !== "object") return;
+
+    // draft-07: $ref overrides every sibling keyword
+    if (typeof node.$ref === "string") {
+      const target = ctx.resolveRef(root, node.$ref);
+      if (!target) return; // unresolved refs cannot be checked
+      let paths = ctx.active.get(target.node);
+      if (!paths) ctx.active.set(target.node, (paths = new Set()));
+      if (paths.has(path)) return; // same schema on same value: recursive ref
+      paths.add(path);
+      try {
+        validateSchemaNode(ctx, target.root, target.node, value, path, errs);
+      } finally {
+        paths.delete(path);
+      }
+      return;
+    }
+
+    if (node.type !== undefined) {
+      const types = toArray(node.type);
+      if (!types.some((t) => jsonTypeMatches(t, value))) {
+        errs.push(schemaError(path, "type", `must be ${types.join(" or ")}`));
+      }
+    }
+
+    if (Array.isArray(node.enum) && !node.enum.some((x) => deepEqual(x, value))) {
+      errs.push(schemaError(path, "enum", `must be one of ${node.enum.map((x) => JSON.stringify(x)).join(", ")}`));
+    }
+
+    if (Object.prototype.hasOwnProperty.call(node, "const") && !deepEqual(node.const, value)) {
+      errs.push(schemaError(path, "const", `must be ${JSON.stringify(node.const)}`));
+    }
+
+    if (typeof value === "number") validateNumberKeywords(node, value, path, errs);
+    if (typeof value === "string") validateStringKeywords(node, value, path, errs);
+    if (Array.isArray(value)) validateArrayKeywords(ctx, root, node, value, path, errs);
+    else if (value && typeof value === "object") validateObjectKeywords(ctx, root, node, value, path, errs);
+
+    validateApplicators(ctx, root, node, value, path, errs);
+  }
+
+  function validateNumberKeywords(node, value, path, errs) {
+    if (typeof node.multipleOf === "number" && node.multipleOf > 0) {
+      const q = value / node.multipleOf;
+      if (Math.abs(q - Math.round(q)) > 1e-9) errs.push(schemaError(path, "multipleOf", `must be a multiple of ${node.multipleOf}`));
+    }
+    if (typeof node.minimum === "number" && value < node.minimum)
+      errs.push(schemaError(path, "minimum", `must be >= ${node.minimum}`));
+    if (typeof node.maximum === "number" && value > node.maximum)
+      errs.push(schemaError(path, "maximum", `must be <= ${node.maximum}`));
+    if (typeof node.exclusiveMinimum === "number" && value <= node.exclusiveMinimum)
+      errs.push(schemaError(path, "exclusiveMinimum", `must be > ${node.exclusiveMinimum}`));
+    if (typeof node.exclusiveMaximum === "number" && value >= node.exclusiveMaximum)
+      errs.push(schemaError(path, "exclusiveMaximum", `must be < ${node.exclusiveMaximum}`));
+  }
+
+  function validateStringKeywords(node, value, path, errs) {
+    // lengths count code points, not UTF-16 units
+    const len = Array.from(value).length;
+    if (typeof node.minLength === "number" && len < node.minLength)
+      errs.push(schemaError(path, "minLength", `must have at least ${node.minLength} character(s)`));
+    if (typeof node.maxLength === "number" && len > node.maxLength)
+      errs.push(schemaError(path, "maxLength", `must have at most ${node.maxLength} character(s)`));
+    if (typeof node.pattern === "string") {
+      const re = schemaRegex(node.pattern);
+      if (re && !re.test(value)) errs.push(schemaError(path, "pattern", `must match pattern ${node.pattern}`));
+    }
+  }
+
+  function validateArrayKeywords(ctx, root, node, value, path, errs) {
+    if (typeof node.minItems === "number" && value.length < node.minItems)
+      errs.push(schemaError(path, "minItems", `must have at least ${node.minItems} item(s)`));
+    if (typeof node.maxItems === "number" && value.length > node.maxItems)
+      errs.push(schemaError(path, "maxItems", `must have at most ${node.maxItems} item(s)`));
+
+    if (Array.isArray(node.items)) {
+      // tuple form
+      value.forEach((it, i) => {
+        const p = jsonPointerJoin(path, i);
+        if (i < node.items.length) validateSchemaNode(ctx, root, node.items[i], it, p, errs);
+        else if (node.additionalItems === false) errs.push(schemaError(p, "additionalItems", `must have at most ${node.items.length} item(s)`));
+        else if (node.additionalItems !== undefined) validateSchemaNode(ctx, root, node.additionalItems, it, p, errs);
+      });
+    } else if (node.items !== undefined) {
+      value.forEach((it, i) => validateSchemaNode(ctx, root, node.items, it, jsonPointerJoin(path, i), errs));
+    }
+
+    if (node.uniqueItems === true) {
+      for (let i = 0; i < value.length; i++) {
+        const j = value.findIndex((x, k) => k > i && deepEqual(x, value[i]));
+        if (j !== -1) {
+          errs.push(schemaError(path, "uniqueItems", `must not contain duplicate items (#${i} and #${j} are identical)`));
+          break;
+        }
+      }
+    }
+
+    if (node.contains !== undefined && !value.some((it, i) => isValidAgainst(ctx, root, node.contains, it, jsonPointerJoin(path, i)))) {
+      errs.push(schemaError(path, "contains", "must contain at least one valid item"));
+    }
+  }
+
+  function validateObjectKeywords(ctx, root, node, value, path, errs) {
+    const keys = Object.keys(value);
+
+    if (typeof node.minProperties === "number" && keys.length < node.minProperties)
+      errs.push(schemaError(path, "minProperties", `must have at least ${node.minProperties} propert${node.minProperties === 1 ? "y" : "ies"}`));
+    if (typeof node.maxProperties === "number" && keys.length > node.maxProperties)
+      errs.push(schemaError(path, "maxProperties", `must have at most ${node.maxProperties} propert${node.maxProperties === 1 ? "y" : "ies"}`));
+
+    if (Array.isArray(node.required)) {
+      for (const k of node.required) {
+        if (!Object.prototype.hasOwnProperty.call(value, k))
+          errs.push(schemaError(jsonPointerJoin(path, k), "required", `is required`));
+      }
+    }
+
+    const props = node.properties && typeof node.properties === "object" ? node.properties : {};
+    const patterns = node.patternProperties && typeof node.patternProperties === "object"
+      ? Object.entries(node.patternProperties).map(([src, sch]) => [schemaRegex(src), sch]).filter(([re]) => re)
+      : [];
+
+    for (const k of keys) {
+      const p = jsonPointerJoin(path, k);
+      let matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(props, k)) {
+        matched = true;
+        validateSchemaNode(ctx, root, props[k], value[k], p, errs);
+      }
+      for (const [re, sch] of patterns) {
+        if (re.test(k)) {
+          matched = true;
+          validateSchemaNode(ctx, root, sch, value[k], p, errs);
+        }
+      }
+
+      if (!matched && node.additionalProperties !== undefined) {
+        if (node.additionalProperties === false) errs.push(schemaError(p, "additionalProperties", `is not an allowed property`));
+        else validateSchemaNode(ctx, root, node.additionalProperties, value[k], p, errs);
+      }
+
+      if (node.propertyNames !== undefined) {
+        const sub = [];
+        validateSchemaNode(ctx, root, node.propertyNames, k, p, sub);
+        for (const e of sub) errs.push(schemaError(p, "propertyNames", `property name ${JSON.stringify(k)} ${e.message}`));
+      }
+    }
+
+    if (node.dependencies && typeof node.dependencies === "object") {
+      for (const [k, dep] of Object.entries(node.dependencies)) {
+        if (!Object.prototype.hasOwnProperty.call(value, k)) continue;
+        if (Array.isArray(dep)) {
+          for (const d of dep) {
+            if (!Object.prototype.hasOwnProperty.call(value, d))
+              errs.push(schemaError(jsonPointerJoin(path, d), "dependencies", `is required when ${JSON.stringify(k)} is present`));
+          }
+        } else {
+          validateSchemaNode(ctx, root, dep, value, path, errs);
+        }
+      }
+    }
+  }
+
+  function validateApplicators(ctx, root, node, value, path, errs) {
+    if (Array.isArray(node.allOf)) {
+      for (const sub of node.allOf) validateSchemaNode(ctx, root, sub, value, path, errs);
+    }
+
+    if (Array.isArray(node.anyOf) && node.anyOf.length) {
+      if (!node.anyOf.some((sub) => isValidAgainst(ctx, root, sub, value, path)))
+        errs.push(schemaError(path, "anyOf", "must match at least one schema in anyOf"));
+    }
+
+    if (Array.isArray(node.oneOf) && node.oneOf.length) {
+      const results = oneOfBranchResults(ctx, root, node, value, path);
+      const matched = results.filter((r) => r.errors.length === 0);
+      if (matched.length === 0) {
+        errs.push({
+          ...schemaError(path, "oneOf", `matches none of the ${results.length} oneOf branches`),
+          branches: results
+        });
+      } else if (matched.length > 1) {
+        errs.push({
+          ...schemaError(path, "oneOf", `matches more than one oneOf branch (${matched.map((r) => `#${r.index + 1} ${r.label}`).join(", ")})`),
+          branches: matched
+        });
+      }
+    }
+
+    if (node.not !== undefined && isValidAgainst(ctx, root, node.not, value, path)) {
+      errs.push(schemaError(path, "not", "must NOT be valid against the \"not\" schema"));
+    }
+
+    if (node.if !== undefined && (node.then !== undefined || node.else !== undefined)) {
+      const branch = isValidAgainst(ctx, root, node.if, value, path) ? "then" : "else";
+      if (node[branch] !== undefined) {
+        const sub = [];
+        validateSchemaNode(ctx, root, node[branch], value, path, sub);
+        if (sub.length) {
+          errs.push(...sub);
+          errs.push(schemaError(path, "if", `must match "${branch}" schema`));
+        }
+      }
+    }
+  }
+
+  /* ---------------------------- Schema registry ----------------------------- */
+
+  /**
+   * Registry of loaded schema documents keyed by `$id` and by (relative) file name,
+   * so `$ref`s can cross files:
+   *   "https://minecraft.net/schemas/model.schema.json#/definitions/displayTransform"
+   *   "../../model.schema.json#/definitions/face"
+   * Documents without an `$id` get a "schema:///<file name>" base URI.
+   */
+  function createSchemaRegistry() {
+    const docs = new Map(); // absolute uri (no fragment) -> document
+    const names = new Map(); // file name / basename -> document
+    const baseOf = new WeakMap(); // document -> base uri
+    const portableCache = new WeakMap(); // node -> (base -> rewritten copy)
+
+    function absoluteUri(ref, base) {
+      try {
+        return new URL(ref, base).href;
+      } catch {
+        return null;
+      }
+    }
+
+    function stripFragment(uri) {
+      const i = uri.indexOf("#");
+      return i === -1 ? uri : uri.slice(0, i);
+    }
+
+    function add(name, doc) {
+      const fileUri = `schema:///${String(name).replace(/^\/+/, "")}`;
+      const idUri = doc && typeof doc.$id === "string" ? absoluteUri(doc.$id) : null;
+      const base = idUri ? stripFragment(idUri) : fileUri;
+
+      if (doc && typeof doc === "object") baseOf.set(doc, base);
+      docs.set(base, doc);
+      docs.set(fileUri, doc);
+      names.set(name, doc);
+      const short = String(name).split("/").pop();
+      if (!names.has(short)) names.set(short, doc);
+    }
+
+    function lookup(uri) {
+      if (docs.has(uri)) return docs.get(uri);
+      // fall back to a file-name match: ".../model.schema.json" -> "model.schema.json"
+      const path = uri.replace(/^[a-z][a-z0-9+.-]*:\/*/i, "");
+      const candidates = Array.from(names.keys()).sort((a, b) => b.length - a.length);
+      const hit = candidates.find((name) => path === name || path.endsWith(`/${name}`));
+      return hit ? names.get(hit) : undefined;
+    }
+
+    function resolveRef(root, ref) {
+      if (typeof ref !== "string") return null;
+      if (ref.startsWith("#")) return resolveLocalRef(root, ref);
+
+      const abs = absoluteUri(ref, baseOf.get(root) || "schema:///");
+      if (!abs) return null;
+      const doc = lookup(stripFragment(abs));
+      if (doc === undefined) return null;
+
+      const hashAt = abs.indexOf("#");
+      const fragment = hashAt === -1 ? "" : decodeURIComponent(abs.slice(hashAt + 1));
+      const node = jsonPointerGet(doc, fragment);
+      return node === undefined ? null : { root: doc, node };
+    }
+
+    /**
+     * Copy of `node` (taken from document `root`) whose `$ref`s are absolute,
+     * so it can be resolved while a different document is the current root.
+     */
+    function portable(node, root) {
+      const base = baseOf.get(root);
+      if (!base || !node || typeof node !== "object") return node;
+
+      let byBase = portableCache.get(node);
+      if (!byBase) portableCache.set(node, (byBase = new Map()));
+      if (byBase.has(base)) return byBase.get(base);
+
+      const walk = (n) => {
+        if (Array.isArray(n)) return n.map(walk);
+        if (!n || typeof n !== "object") return n;
+        const out = {};
+        for (const [k, v] of Object.entries(n)) {
+          out[k] = k === "$ref" && typeof v === "string" ? (absoluteUri(v, base) || v) : walk(v);
+        }
+        return out;
+      };
+      const copy = walk(node);
+      byBase.set(base, copy);
+      return copy;
+    }
+
+    /** Every `$ref` in `doc` that does not resolve: [{ ref, at }] (`at` = schema pointer). */
+    function unresolvedRefs(doc) {
+      const out = [];
+      const walk = (n, at) => {
+        if (Array.isArray(n)) return n.forEach((x, i) => walk(x, jsonPointerJoin(at, i)));
+        if (!n || typeof n !== "object") return;
+        if (typeof n.$ref === "string" && !resolveRef(doc, n.$ref)) out.push({ ref: n.$ref, at: at || "/" });
+        for (const [k, v] of Object.entries(n)) if (k !== "$ref") walk(v, jsonPointerJoin(at, k));
+      };
+      walk(doc, "");
+      return out;
+    }
+
+    return { add, get: (name) => names.get(name), resolveRef, portable, unresolvedRefs };
+  }
+
+  /* ---------------------------- Sample generator ---------------------------- */
+
+  /**
+   * Random documents for a schema, to check the validator (and the editor)
+   * against the schemas themselves:
+   *
+   * generateSample(schemaRoot, options) -> { value, errors, tries, sites }
+   *   a value built to fit the schema (const/enum, type, pattern, lengths, ranges,
+   *   items, required and some optional properties, one oneOf/anyOf branch, either
+   *   side of if/then/else), rolled again until it validates. `errors` is what the
+   *   validator still reports for the best try (empty when one passed).
+   *   sites: [{ path, parts, choices }] - every value, the schema nodes it was built
+   *   from and the oneOf/anyOf/if choices made at or above it ([{ path, parts }]).
+   * mutateSample(schemaRoot, sample, options) -> [{ path, keyword, description, value, choices }]
+   *   copies of the document with one keyword broken at one site (keywords of
+   *   branches the sample did not end up in are left alone)
+   * fuzzSchema(schemaRoot, options) -> { samples, invalid, mutants, killed, survived }
+   *   both of the above, `count` times: `invalid` holds samples the validator rejects,
+   *   `survived` mutations it accepts. A survivor is `alternative` when one of its
+   *   choices comes out differently on the broken copy (another branch took it);
+   *   any other survivor means the validator missed the broken keyword.
+   *
+   * options: { resolveRef, seed | random, maxDepth, optional (chance of writing an
+   * optional property) }. The same seed gives the same documents.
+   */
+
+  const SAMPLE_TRIES = 25;
+  const SAMPLE_MAX_DEPTH = 6;
+  const SAMPLE_WORDS = ["amber", "oak", "stone", "ember", "frost", "moss", "copper", "dusk", "brine", "glow"];
+  const SAMPLE_TYPES = ["string", "integer", "boolean"];
+  const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i));
+  const LOWER = "abcdefghijklmnopqrstuvwxyz";
+
+  /** Seeded random numbers in [0, 1) (mulberry32); no seed uses the clock. */
+  function createRandom(seed = Date.now()) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randomInt(random, lo, hi) {
+    return lo + Math.floor(random() * (hi - lo + 1));
+  }
+
+  function randomPick(random, list) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  function cloneJson(v) {
+    return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+  }
+
+  const patternTreeCache = new Map();
+
+  /**
+   * A regex source as a tree: { alt: [seq] }, { seq: [node] }, { set: [char] },
+   * { lit }, { rep, min, max }. Covers what schema patterns use (classes, groups,
+   * alternation, quantifiers); anchors are dropped and lookarounds read as groups.
+   */
+  function parsePattern(source) {
+    const s = source;
+    let i = 0;
+    const CLASSES = { d: "0123456789", w: `${LOWER}${LOWER.toUpperCase()}0123456789_`, s: " " };
+
+    const escape = () => {
+      const c = s[i++];
+      if (CLASSES[c]) return [...CLASSES[c]];
+      if (c && CLASSES[c.toLowerCase()]) return PRINTABLE.filter((x) => !CLASSES[c.toLowerCase()].includes(x));
+      return [{ n: "\n", t: "\t", r: "\r" }[c] || c];
+    };
+    const charClass = () => {
+      const negate = s[i] === "^";
+      if (negate) i++;
+      const chars = [];
+      while (i < s.length && s[i] !== "]") {
+        const from = s[i] === "\\" ? (i++, escape()) : [s[i++]];
+        if (from.length === 1 && s[i] === "-" && i + 1 < s.length && s[i + 1] !== "]") {
+          i++;
+          const to = s[i] === "\\" ? (i++, escape()) : [s[i++]];
+          for (let c = from[0].charCodeAt(0); c <= to[0].charCodeAt(0); c++) chars.push(String.fromCharCode(c));
+        } else {
+          chars.push(...from);
+        }
+      }
+      i++;
+      return negate ? PRINTABLE.filter((c) => !chars.includes(c)) : chars;
+    };
+    const atom = () => {
+      const c = s[i++];
+      if (c === "(") {
+        if (s[i] === "?") i += s[i + 1] === "<" && (s[i + 2] === "=" || s[i + 2] === "!") ? 3 : 2;
+        const group = alt();
+        i++;
+        return group;
+      }
+      if (c === "[") return { set: charClass() };
+      if (c === ".") return { set: PRINTABLE };
+      if (c === "\\") {
+        const set = escape();
+        return set.length === 1 ? { lit: set[0] } : { set };
+      }
+      if (c === "^" || c === "$") return null;
+      return { lit: c };
+    };
+    const quantified = (node) => {
+      let min;
+      let max;
+      if (s[i] === "?") [min, max] = [0, 1];
+      else if (s[i] === "*") [min, max] = [0, Infinity];
+      else if (s[i] === "+") [min, max] = [1, Infinity];
+      else if (s[i] === "{" && /^\{\d+(,\d*)?\}/.test(s.slice(i))) {
+        const m = /^\{(\d+)(,(\d*))?\}/.exec(s.slice(i));
+        min = Number(m[1]);
+        max = m[2] ? (m[3] ? Number(m[3]) : Infinity) : min;
+        i += m[0].length - 1;
+      } else return node;
+      i++;
+      if (s[i] === "?") i++; // lazy
+      return { rep: node, min, max };
+    };
+    function seq() {
+      const items = [];
+      while (i < s.length && s[i] !== "|" && s[i] !== ")") {
+        const a = atom();
+        if (a) items.push(quantified(a));
+      }
+      return { seq: items };
+    }
+    function alt() {
+      const options = [seq()];
+      while (s[i] === "|") {
+        i++;
+        options.push(seq());
+      }
+      return { alt: options };
+    }
+    return alt();
+  }
+
+  /** A string matching `source` (mostly); classes with letters lean on lower-case ones so ids stay readable. */
+  function samplePattern(source, random) {
+    if (!patternTreeCache.has(source)) patternTreeCache.set(source, parsePattern(source));
+    const out = [];
+    const walk = (n) => {
+      if (n.alt) walk(randomPick(random, n.alt));
+      else if (n.seq) n.seq.forEach(walk);
+      else if (n.rep) {
+        const count = randomInt(random, n.min, Math.min(n.max, n.min + 6));
+        for (let k = 0; k < count; k++) walk(n.rep);
+      } else if (n.set) {
+        const letters = n.set.filter((c) => LOWER.includes(c));
+        const from = letters.length && random() < 0.85 ? letters : n.set;
+        if (from.length) out.push(randomPick(random, from));
+      } else out.push(n.lit);
+    };
+    walk(patternTreeCache.get(source));
+    return out.join("");
+  }
+
+  function samplerContext(options) {
+    return {
+      resolveRef: options.resolveRef || resolveLocalRef,
+      random: options.random || createRandom(options.seed),
+      maxDepth: options.maxDepth ?? SAMPLE_MAX_DEPTH,
+      optional: options.optional ?? 0.5,
+      sites: new Map() // path -> site
+    };
+  }
+
+  /**
+   * `node` as a flat list of { root, node, guards }: $refs followed, allOf members
+   * spread out. `guards` ([{ path, root, node, expect }]) are the choices a part
+   * hangs on: it only applies where each guard schema validates (or, for an
+   * else side, does not).
+   */
+  function schemaParts(gen, root, node, out = [], guards = [], depth = 0) {
+    if (node === false) out.push({ root, node, guards });
+    if (!node || typeof node !== "object" || depth > 32) return out;
+    if (typeof node.$ref === "string") {
+      const target = gen.resolveRef(root, node.$ref);
+      return target ? schemaParts(gen, target.root, target.node, out, guards, depth + 1) : out;
+    }
+    out.push({ root, node, guards });
+    if (Array.isArray(node.allOf)) for (const sub of node.allOf) schemaParts(gen, root, sub, out, guards, depth + 1);
+    return out;
+  }
+
+  /**
+   * Add one branch of every oneOf/anyOf to `parts`, and one side of every if/then/else
+   * (the "if" side takes the `if` schema too, so the document really meets it).
+   * Returns the parts that held a choice.
+   */
+  function chooseBranches(gen, parts, path) {
+    const chosen = [];
+    for (let k = 0; k < parts.length; k++) {
+      const { root, node, guards } = parts[k];
+      if (!isPlainObject(node)) continue;
+      const when = (sub, expect) => [...guards, { path, root, node: sub, expect }];
+      let chose = false;
+      for (const key of ["oneOf", "anyOf"]) {
+        if (!Array.isArray(node[key]) || !node[key].length) continue;
+        const branch = randomPick(gen.random, node[key]);
+        schemaParts(gen, root, branch, parts, when(branch, true));
+        chose = true;
+      }
+      if (node.if !== undefined && (node.then !== undefined || node.else !== undefined)) {
+        if (gen.random() < 0.5) {
+          schemaParts(gen, root, node.if, parts, when(node.if, true));
+          schemaParts(gen, root, node.then, parts, when(node.if, true));
+        } else {
+          schemaParts(gen, root, node.else, parts, when(node.if, false));
+        }
+        chose = true;
+      }
+      if (chose) chosen.push(parts[k]);
+    }
+    return chosen;
+  }
+
+  function sampleValue(gen, parts0, path, depth, choices) {
+    for (const p of gen.sites.keys()) if (p === path || p.startsWith(`${path}/`)) gen.sites.delete(p);
+    const parts = [...parts0];
+    const chosen = chooseBranches(gen, parts, path);
+    if (chosen.length) choices = [...choices, { path, parts: chosen }];
+    gen.sites.set(path, { path, parts, choices });
+
+    const nodes = parts.map((p) => p.node);
+    if (nodes.includes(false)) return undefined;
+    const pinned = nodes.find((n) => Object.prototype.hasOwnProperty.call(n, "const"));
+    if (pinned) return cloneJson(pinned.const);
+    const enums = nodes.filter((n) => Array.isArray(n.enum));
+    if (enums.length) {
+      const allowed = enums[0].enum.filter((x) => enums.every((n) => n.enum.some((y) => deepEqual(x, y))));
+      if (allowed.length) return cloneJson(randomPick(gen.random, allowed));
+    }
+    // now and then a schema's own default, which should validate too
+    const withDefault = nodes.find((n) => n.default !== undefined);
+    if (withDefault && gen.random() < 0.25) return cloneJson(withDefault.default);
+
+    const type = sampleType(gen, nodes, depth);
+    if (type === "object") return sampleObject(gen, parts, path, depth, choices);
+    if (type === "array") return sampleArray(gen, parts, path, depth, choices);
+    if (type === "string") return sampleString(gen, nodes);
+    if (type === "integer" || type === "number") return sampleNumber(gen, nodes, type === "integer");
+    if (type === "boolean") return gen.random() < 0.5;
+    if (type === "null") return null;
+    return undefined;
+  }
+
+  /** A type every part allows (guessed from the keywords when none says); null when they disagree. */
+  function sampleType(gen, nodes, depth) {
+    let types = null;
+    for (const n of nodes) {
+      if (n.type === undefined) continue;
+      const own = toArray(n.type).flatMap((t) => (t === "number" ? ["number", "integer"] : [t]));
+      types = types ? types.filter((t) => own.includes(t)) : own;
+    }
+    if (!types) {
+      const has = (k) => nodes.some((n) => n[k] !== undefined);
+      if (has("properties") || has("required") || has("additionalProperties") || has("patternProperties")) types = ["object"];
+      else if (has("items") || has("minItems") || has("maxItems")) types = ["array"];
+      else if (has("pattern") || has("minLength") || has("maxLength")) types = ["string"];
+      else if (has("minimum") || has("maximum") || has("multipleOf")) types = ["number"];
+      else types = SAMPLE_TYPES;
+    }
+    types = [...new Set(types)];
+    // deep down, stop nesting when a scalar will do
+    const scalars = types.filter((t) => t !== "object" && t !== "array");
+    if (depth >= gen.maxDepth && scalars.length) types = scalars;
+    return types.length ? randomPick(gen.random, types) : null;
+  }
+
+  function sampleString(gen, nodes) {
+    const min = Math.max(0, ...nodes.map((n) => n.minLength).filter((x) => typeof x === "number"));
+    const max = Math.min(Infinity, ...nodes.map((n) => n.maxLength).filter((x) => typeof x === "number"));
+    const patterns = nodes.map((n) => n.pattern).filter((p) => typeof p === "string" && schemaRegex(p));
+    let s = "";
+    for (let k = 0; k < 10; k++) {
+      if (patterns.length) s = samplePattern(randomPick(gen.random, patterns), gen.random);
+      else {
+        const words = [randomPick(gen.random, SAMPLE_WORDS)];
+        while (words.join("_").length < min || gen.random() < 0.3) words.push(randomPick(gen.random, SAMPLE_WORDS));
+        s = Array.from(words.join("_")).slice(0, max).join("");
+      }
+      const len = Array.from(s).length;
+      if (len >= min && len <= max && patterns.every((p) => schemaRegex(p).test(s))) break;
+    }
+    return s;
+  }
+
+  function sampleNumber(gen, nodes, integer) {
+    let lo = -Infinity;
+    let hi = Infinity;
+    let step = null;
+    const nudge = integer ? 1 : 0.001;
+    for (const n of nodes) {
+      if (typeof n.minimum === "number") lo = Math.max(lo, n.minimum);
+      if (typeof n.maximum === "number") hi = Math.min(hi, n.maximum);
+      if (typeof n.exclusiveMinimum === "number") lo = Math.max(lo, integer ? Math.floor(n.exclusiveMinimum) + 1 : n.exclusiveMinimum + nudge);
+      if (typeof n.exclusiveMaximum === "number") hi = Math.min(hi, integer ? Math.ceil(n.exclusiveMaximum) - 1 : n.exclusiveMaximum - nudge);
+      if (typeof n.multipleOf === "number" && n.multipleOf > 0) step = n.multipleOf;
+    }
+    if (lo === -Infinity && hi === Infinity) [lo, hi] = [0, 100];
+    else if (lo === -Infinity) lo = hi - 100;
+    else if (hi === Infinity) hi = lo + 100;
+
+    if (step) {
+      const k = randomInt(gen.random, Math.ceil(lo / step), Math.max(Math.ceil(lo / step), Math.floor(hi / step)));
+      return Number((k * step).toFixed(10));
+    }
+    if (integer) {
+      lo = Math.ceil(lo);
+      hi = Math.max(lo, Math.floor(hi));
+      // the bounds themselves now and then: that is where validators slip
+      const r = gen.random();
+      return r < 0.1 ? lo : r < 0.2 ? hi : randomInt(gen.random, lo, hi);
+    }
+    const r = gen.random();
+    if (r < 0.1) return lo;
+    if (r < 0.2) return hi;
+    return Math.min(hi, Math.max(lo, Math.round((lo + gen.random() * (hi - lo)) * 1000) / 1000));
+  }
+
+  function sampleArray(gen, parts, path, depth, choices) {
+    const nodes = parts.map((p) => p.node);
+    let min = Math.max(0, ...nodes.map((n) => n.minItems).filter((x) => typeof x === "number"));
+    let max = Math.min(Infinity, ...nodes.map((n) => n.maxItems).filter((x) => typeof x === "number"));
+    const tuple = Math.max(0, ...nodes.map((n) => (Array.isArray(n.items) ? n.items.length : 0)));
+    if (nodes.some((n) => Array.isArray(n.items) && n.additionalItems === false)) max = Math.min(max, tuple);
+    min = Math.min(min, max);
+    const count = randomInt(gen.random, min, Math.min(max, Math.max(min, tuple) + (depth >= gen.maxDepth ? 0 : 3)));
+    const unique = nodes.some((n) => n.uniqueItems === true);
+
+    const itemParts = (i) => {
+      const out = [];
+      for (const { root, node, guards } of parts) {
+        if (Array.isArray(node.items)) {
+          if (i < node.items.length) schemaParts(gen, root, node.items[i], out, guards);
+          else if (node.additionalItems !== undefined) schemaParts(gen, root, node.additionalItems, out, guards);
+        } else if (node.items !== undefined) {
+          schemaParts(gen, root, node.items, out, guards);
+        }
+      }
+      return out;
+    };
+
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      let item;
+      for (let k = 0; k < 5; k++) {
+        item = sampleValue(gen, itemParts(i), jsonPointerJoin(path, i), depth + 1, choices);
+        if (!unique || !out.some((x) => deepEqual(x, item))) break;
+      }
+      if (item === undefined) break;
+      out.push(item);
+    }
+    return out;
+  }
+
+  /** Schema parts for property `key`; null when some part forbids it. */
+  function propertyParts(gen, parts, key) {
+    const out = [];
+    for (const { root, node, guards } of parts) {
+      let matched = false;
+      if (isPlainObject(node.properties) && Object.prototype.hasOwnProperty.call(node.properties, key)) {
+        matched = true;
+        schemaParts(gen, root, node.properties[key], out, guards);
+      }
+      for (const [src, sub] of Object.entries(isPlainObject(node.patternProperties) ? node.patternProperties : {})) {
+        if (schemaRegex(src)?.test(key)) {
+          matched = true;
+          schemaParts(gen, root, sub, out, guards);
+        }
+      }
+      if (!matched && node.additionalProperties !== undefined) {
+        if (node.additionalProperties === false) return null;
+        schemaParts(gen, root, node.additionalProperties, out, guards);
+      }
+    }
+    return out;
+  }
+
+  /** A key for a map-like object: from propertyNames, a patternProperties pattern, or a word. */
+  function sampleKey(gen, parts) {
+    const names = parts.flatMap(({ root, node }) => (node.propertyNames !== undefined ? schemaParts(gen, root, node.propertyNames) : []));
+    if (names.length) {
+      const nodes = names.map((p) => p.node).filter(isPlainObject);
+      const listed = nodes.find((n) => Array.isArray(n.enum));
+      return listed ? String(randomPick(gen.random, listed.enum)) : sampleString(gen, nodes);
+    }
+    const patterns = parts.flatMap(({ node }) => Object.keys(isPlainObject(node.patternProperties) ? node.patternProperties : {}));
+    if (parts.some(({ node }) => isPlainObject(node.additionalProperties))) {
+      if (!patterns.length || gen.random() < 0.5) return sampleString(gen, []);
+    }
+    return patterns.length ? samplePattern(randomPick(gen.random, patterns), gen.random) : null;
+  }
+
+  function sampleObject(gen, parts, path, depth, choices) {
+    const nodes = parts.map((p) => p.node);
+    const required = new Set(nodes.flatMap((n) => (Array.isArray(n.required) ? n.required : [])));
+    const named = [...new Set(nodes.flatMap((n) => (isPlainObject(n.properties) ? Object.keys(n.properties) : [])))];
+    const deep = depth >= gen.maxDepth;
+    const keys = named.filter((k) => required.has(k) || (!deep && gen.random() < gen.optional));
+    for (const k of required) if (!keys.includes(k)) keys.push(k);
+
+    const minProps = Math.max(0, ...nodes.map((n) => n.minProperties).filter((x) => typeof x === "number"));
+    if (!named.length || keys.length < minProps) {
+      // a map: keys come from propertyNames / patternProperties / additionalProperties
+      const want = Math.max(minProps, randomInt(gen.random, deep ? 0 : 1, deep ? 0 : 3));
+      for (let k = 0; keys.length < want && k < want * 3; k++) {
+        const key = sampleKey(gen, parts);
+        if (key == null) break;
+        if (!keys.includes(key)) keys.push(key);
+      }
+    }
+
+    const out = {};
+    const add = (k) => {
+      const sub = propertyParts(gen, parts, k);
+      if (!sub) return;
+      const v = sampleValue(gen, sub, jsonPointerJoin(path, k), depth + 1, choices);
+      if (v !== undefined) out[k] = v;
+    };
+    keys.forEach(add);
+    for (const n of nodes) {
+      if (!isPlainObject(n.dependencies)) continue;
+      for (const [k, dep] of Object.entries(n.dependencies)) {
+        if (k in out && Array.isArray(dep)) dep.filter((d) => !(d in out)).forEach(add);
+      }
+    }
+    return out;
+  }
+
+  function generateSample(schemaRoot, options = {}) {
+    const gen = samplerContext(options);
+    const tries = options.tries ?? SAMPLE_TRIES;
+    let best = null;
+    let t = 0;
+    while (t < tries && !(best && !best.errors.length)) {
+      t++;
+      gen.sites = new Map();
+      const value = sampleValue(gen, schemaParts(gen, schemaRoot, schemaRoot), "", 0, []);
+      const errors = validateJsonSchema(schemaRoot, value, { resolveRef: gen.resolveRef });
+      if (!best || errors.length < best.errors.length) best = { value, errors, sites: [...gen.sites.values()] };
+    }
+    return { ...best, tries: t };
+  }
+
+  function withValueAt(doc, pointer, next) {
+    if (!pointer) return next;
+    const copy = cloneJson(doc);
+    const keys = pointer.split("/").slice(1).map(jsonPointerUnescape);
+    const last = keys.pop();
+    const parent = keys.reduce((cur, k) => cur[k], copy);
+    parent[last] = next;
+    return copy;
+  }
+
+  /** [keyword, description, broken value] for one site; each breaks one keyword of the schema nodes in force there. */
+  function siteMutations(parts, value) {
+    const nodes = parts.map((p) => p.node).filter(isPlainObject);
+    const out = [];
+    const show = (v) => JSON.stringify(v);
+
+    const typed = nodes.filter((n) => n.type !== undefined);
+    if (typed.length) {
+      const allowed = (v) => typed.every((n) => toArray(n.type).some((t) => jsonTypeMatches(t, v)));
+      const wrong = [1.5, "text", 1, true, null, [], {}].find((v) => !allowed(v));
+      if (wrong !== undefined) out.push(["type", `${show(wrong)} where ${toArray(typed[0].type).join(" or ")} is expected`, wrong]);
+    }
+
+    const listed = nodes.filter((n) => Array.isArray(n.enum) || Object.prototype.hasOwnProperty.call(n, "const"));
+    if (listed.length && ["string", "number", "boolean"].includes(typeof value)) {
+      const known = listed.flatMap((n) => (Array.isArray(n.enum) ? n.enum : [n.const]));
+      let other = typeof value === "boolean" ? !value : typeof value === "number" ? value + 1 : `${value}_unknown`;
+      while (typeof other === "number" && known.includes(other)) other++;
+      if (!known.some((k) => deepEqual(k, other))) out.push([listed[0].enum ? "enum" : "const", `${show(other)} is not a listed value`, other]);
+    }
+
+    for (const n of nodes) {
+      if (typeof value === "number") {
+        if (typeof n.minimum === "number") out.push(["minimum", `${n.minimum - 1} is below the minimum ${n.minimum}`, n.minimum - 1]);
+        if (typeof n.maximum === "number") out.push(["maximum", `${n.maximum + 1} is above the maximum ${n.maximum}`, n.maximum + 1]);
+        if (typeof n.exclusiveMinimum === "number") out.push(["exclusiveMinimum", `${n.exclusiveMinimum} is not above ${n.exclusiveMinimum}`, n.exclusiveMinimum]);
+        if (typeof n.exclusiveMaximum === "number") out.push(["exclusiveMaximum", `${n.exclusiveMaximum} is not below ${n.exclusiveMaximum}`, n.exclusiveMaximum]);
+        if (typeof n.multipleOf === "number" && n.multipleOf > 0) out.push(["multipleOf", `${value + n.multipleOf / 2} is not a multiple of ${n.multipleOf}`, value + n.multipleOf / 2]);
+      }
+      if (typeof value === "string") {
+        const chars = Array.from(value);
+        if (typeof n.minLength === "number" && n.minLength > 0) out.push(["minLength", `${n.minLength - 1} character(s), at least ${n.minLength} needed`, chars.slice(0, n.minLength - 1).join("")]);
+        if (typeof n.maxLength === "number") out.push(["maxLength", `${n.maxLength + 1} character(s), at most ${n.maxLength} allowed`, value.padEnd(n.maxLength + 1, "a")]);
+        const re = typeof n.pattern === "string" ? schemaRegex(n.pattern) : null;
+        const miss = re && ["", " ", "Not Valid!", `${value} !`, "#"].find((c) => !re.test(c));
+        if (miss !== undefined && miss !== null) out.push(["pattern", `${show(miss)} does not match ${n.pattern}`, miss]);
+      }
+      if (Array.isArray(value)) {
+        if (typeof n.minItems === "number" && n.minItems > 0) out.push(["minItems", `${n.minItems - 1} item(s), at least ${n.minItems} needed`, value.slice(0, n.minItems - 1)]);
+        if (typeof n.maxItems === "number" && value.length) {
+          const longer = Array.from({ length: n.maxItems + 1 }, (_, i) => cloneJson(value[i % value.length]));
+          out.push(["maxItems", `${n.maxItems + 1} item(s), at most ${n.maxItems} allowed`, longer]);
+        }
+        if (n.uniqueItems === true && value.length) out.push(["uniqueItems", `item #0 repeated`, [...value, cloneJson(value[0])]]);
+      }
+      if (isPlainObject(value)) {
+        for (const k of Array.isArray(n.required) ? n.required : []) {
+          if (!(k in value)) continue;
+          const rest = { ...value };
+          delete rest[k];
+          out.push(["required", `required ${show(k)} left out`, rest]);
+        }
+        const extra = "unexpected_property";
+        const covered = (isPlainObject(n.properties) && extra in n.properties) ||
+          Object.keys(isPlainObject(n.patternProperties) ? n.patternProperties : {}).some((src) => schemaRegex(src)?.test(extra));
+        if (n.additionalProperties === false && !covered && !(extra in value)) out.push(["additionalProperties", `extra property ${show(extra)}`, { ...value, [extra]: 1 }]);
+      }
+    }
+
+    // one entry per keyword: several parts often repeat the same bound
+    const seen = new Set();
+    return out.filter(([keyword, description]) => !seen.has(keyword + description) && seen.add(keyword + description));
+  }
+
+  function mutateSample(schemaRoot, sample, options = {}) {
+    const random = options.random || createRandom(options.seed);
+    const ctx = createValidationContext(options);
+    // a branch the sample did not end up in (two if sides pinning different consts) binds nothing
+    const holds = (g) => isValidAgainst(ctx, g.root, g.node, jsonPointerGet(sample.value, g.path), g.path) === g.expect;
+    let out = [];
+    for (const site of sample.sites || []) {
+      const current = jsonPointerGet(sample.value, site.path);
+      if (current === undefined) continue;
+      const parts = site.parts.filter((p) => p.guards.every(holds));
+      for (const [keyword, description, next] of siteMutations(parts, current)) {
+        out.push({ path: site.path, keyword, description, value: withValueAt(sample.value, site.path, next), choices: site.choices });
+      }
+    }
+    if (typeof options.limit === "number" && out.length > options.limit) {
+      for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+      }
+      out = out.slice(0, options.limit);
+    }
+    return out;
+  }
+
+  /** Which oneOf/anyOf branches and `if`s of a choice point accept `doc` there. */
+  function choiceOutcome(ctx, choice, doc) {
+    const value = jsonPointerGet(doc, choice.path);
+    return choice.parts
+      .flatMap(({ root, node }) => [
+        ...["oneOf", "anyOf"].flatMap((k) => (Array.isArray(node[k]) ? node[k] : [])),
+        ...(node.if !== undefined ? [node.if] : [])
+      ].map((sub) => (isValidAgainst(ctx, root, sub, value, choice.path) ? 1 : 0)))
+      .join("");
+  }
+
+  function fuzzSchema(schemaRoot, { resolveRef = resolveLocalRef, seed, random, count = 20, mutations = 10, ...rest } = {}) {
+    random = random || createRandom(seed);
+    const report = { samples: [], invalid: [], mutants: 0, killed: 0, survived: [] };
+    for (let i = 0; i < count; i++) {
+      const sample = generateSample(schemaRoot, { ...rest, resolveRef, random });
+      if (sample.errors.length) {
+        report.invalid.push({ value: sample.value, errors: sample.errors });
+        continue;
+      }
+      report.samples.push(sample.value);
+      for (const m of mutateSample(schemaRoot, sample, { resolveRef, random, limit: mutations })) {
+        report.mutants++;
+        if (validateJsonSchema(schemaRoot, m.value, { resolveRef }).length) {
+          report.killed++;
+          continue;
+        }
+        const ctx = createValidationContext({ resolveRef });
+        const alternative = m.choices.some((c) => choiceOutcome(ctx, c, sample.value) !== choiceOutcome(ctx, c, m.value));
+        report.survived.push({ ...m, alternative });
+      }
+    }
+    return report;
+  }
+
+  /* ------------------------- File -> schema mapping ------------------------- */
+
+  /**
+   * Which schema (path relative to schemas/) validates which pack file.
+   * Mirrors the fileMatch tables in schemas/README.md and schemas/models/README.md;
+   * `path` is the template used to name new documents ({namespace}, {name}).
+   */
+  const SCHEMA_FILE_MATCH = [
+    { fileMatch: ["**/pack.mcmeta"], schema: "pack.mcmeta.schema.json", path: "pack.mcmeta" },
+    { fileMatch: ["**/blockstates/*.json"], schema: "blockstate.schema.json", path: "assets/{namespace}/blockstates/{name}.json", name: "example_block" },
+    { fileMatch: ["**/models/**/*.json"], schema: "model.schema.json", path: "assets/{namespace}/models/block/{name}.json", name: "example_block" },
+    { fileMatch: ["**/sounds.json"], schema: "sounds.schema.json", path: "assets/{namespace}/sounds.json" },
+    { fileMatch: ["**/atlases/*.json"], schema: "atlas.schema.json", path: "assets/{namespace}/atlases/{name}.json", name: "blocks" },
+    { fileMatch: ["**/particles/*.json"], schema: "particle.schema.json", path: "assets/{namespace}/particles/{name}.json", name: "example_particle" },
+    { fileMatch: ["**/lang/*.json"], schema: "language.schema.json", path: "assets/{namespace}/lang/{name}.json", name: "en_us" },
+    { fileMatch: ["**/post_effect/*.json"], schema: "post_effect.schema.json", path: "assets/{namespace}/post_effect/{name}.json", name: "example_effect" },
+    { fileMatch: ["**/regional_compliancies.json"], schema: "regional_compliancies.schema.json", path: "assets/{namespace}/regional_compliancies.json" }
+  ];
+
+  /**
+   * Specialised model schemas, chosen from the model's `parent` (namespace stripped).
+   * `fileMatch` (schemas/models/README.md) is only consulted for models without a parent.
+   */
+  const MODEL_PARENT_SCHEMAS = [
+    { parent: /^block\/button(_pressed|_inventory)?$/, fileMatch: ["**/models/block/*_button*.json"], schema: "models/block/button.schema.json", name: "example_button" },
+    { parent: /^block\/(tinted_)?cross$/, fileMatch: ["**/models/block/cross.json", "**/models/block/*_cross.json"], schema: "models/block/cross.schema.json", name: "example_plant" },
+    { parent: /^block\/cube$/, schema: "models/block/cube.schema.json" },
+    { parent: /^block\/cube_all$/, schema: "models/block/cube_all.schema.json" },
+    { parent: /^block\/cube_bottom_top$/, schema: "models/block/cube_bottom_top.schema.json" },
+    { parent: /^block\/cube_column(_horizontal)?$/, schema: "models/block/cube_column.schema.json", name: "example_log" },
+    { parent: /^block\/door_(bottom|top)_(left|right)(_open)?$/, fileMatch: ["**/models/block/*_door*.json"], schema: "models/block/door.schema.json", name: "example_door_bottom_left" },
+    { parent: /^block\/fence_(post|side|inventory)$/, fileMatch: ["**/models/block/*_fence*.json", "!**/models/block/*_fence_gate*.json"], schema: "models/block/fence.schema.json", name: "example_fence_post" },
+    { parent: /^block\/template_fence_gate(_wall)?(_open)?$/, fileMatch: ["**/models/block/*_fence_gate*.json"], schema: "models/block/fence_gate.schema.json", name: "example_fence_gate" },
+    { parent: /^block\/pressure_plate_(up|down)$/, fileMatch: ["**/models/block/*_pressure_plate*.json"], schema: "models/block/pressure_plate.schema.json", name: "example_pressure_plate" },
+    { parent: /^block\/slab(_top)?$/, fileMatch: ["**/models/block/*_slab*.json"], schema: "models/block/slab.schema.json", name: "example_slab" },
+    { parent: /^block\/(inner_|outer_)?stairs$/, fileMatch: ["**/models/block/*_stairs*.json"], schema: "models/block/stairs.schema.json", name: "example_stairs" },
+    { parent: /^block\/template_(orientable_)?trapdoor_(bottom|top|open)$/, fileMatch: ["**/models/block/*_trapdoor*.json"], schema: "models/block/trapdoor.schema.json", name: "example_trapdoor_bottom" },
+    { parent: /^(item|builtin)\/generated$/, fileMatch: ["**/models/item/generated.json"], schema: "models/item/generated.schema.json", folder: "item", name: "example_item" },
+    { parent: /^item\/handheld(_rod)?$/, fileMatch: ["**/models/item/handheld*.json", "**/models/item/*_sword.json", "**/models/item/*_axe.json", "**/models/item/*_pickaxe.json", "**/models/item/*_shovel.json", "**/models/item/*_hoe.json"], schema: "models/item/handheld.schema.json", folder: "item", name: "example_sword" },
+    // item models that just show a block model
+    { parent: /^block\//, schema: "models/item/block_item.schema.json", folder: "item", onlyIn: "item", name: "example_block" }
+  ];
+
+  /** Documents typed by their own "type" field, wherever they live. */
+  const SCHEMA_TYPE_MATCH = {
+    "alchemy:alcohol": { schema: "alchemy/alchemy_alcohol.schema.json", path: "alchemy/alcohol/{name}.json" },
+    "alchemy:container": { schema: "alchemy/alchemy_container.schema.json", path: "alchemy/container/{name}.json" },
+    "alchemy:equipment": { schema: "alchemy/alchemy_equipment.schema.json", path: "alchemy/equipment/{name}.json" }
+  };
+
+  const globRegexCache = new Map();
+
+  function globToRegExp(glob) {
+    if (globRegexCache.has(glob)) return globRegexCache.get(glob);
+    let src = "";
+    for (let i = 0; i < glob.length; i++) {
+      const c = glob[i];
+      if (c === "*" && glob[i + 1] === "*") {
+        // "**/" matches zero or more directories
+        if (glob[i + 2] === "/") {
+          src += "(?:.*/)?";
+          i += 2;
+        } else {
+          src += ".*";
+          i += 1;
+        }
+      } else if (c === "*") src += "[^/]*";
+      else if (c === "?") src += "[^/]";
+      else src += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+    const re = new RegExp(`^${src}$`);
+    globRegexCache.set(glob, re);
+    return re;
+  }
+
+  function matchesFileGlobs(path, globs) {
+    const p = String(path || "").replace(/\\/g, "/").replace(/^\.?\/+/, "");
+    const positive = globs.filter((g) => !g.startsWith("!"));
+    const negative = globs.filter((g) => g.startsWith("!")).map((g) => g.slice(1));
+    return positive.some((g) => globToRegExp(g).test(p)) && !negative.some((g) => globToRegExp(g).test(p));
+  }
+
+  function stripNamespace(id) {
+    return String(id || "").replace(/^minecraft:/, "");
+  }
+
+  function modelFolderOf(path) {
+    const m = /(?:^|\/)models\/([^/]+)\//.exec(String(path || "").replace(/\\/g, "/"));
+    return m ? m[1] : null;
+  }
+
+  function isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+  }
+
+  /** Guess the format of a document with no usable path (pasted text, bare file names). */
+  function sniffSchemaFor(doc) {
+    if (!isPlainObject(doc)) return null;
+    if (isPlainObject(doc.pack)) return SCHEMA_FILE_MATCH[0];
+    if (doc.variants || doc.multipart) return SCHEMA_FILE_MATCH.find((r) => r.schema === "blockstate.schema.json");
+    if (typeof doc.parent === "string" || Array.isArray(doc.elements) || isPlainObject(doc.textures))
+      return SCHEMA_FILE_MATCH.find((r) => r.schema === "model.schema.json");
+    if (Array.isArray(doc.sources)) return SCHEMA_FILE_MATCH.find((r) => r.schema === "atlas.schema.json");
+    if (Array.isArray(doc.passes)) return SCHEMA_FILE_MATCH.find((r) => r.schema === "post_effect.schema.json");
+    if (Array.isArray(doc.textures)) return SCHEMA_FILE_MATCH.find((r) => r.schema === "particle.schema.json");
+    return null;
+  }
+
+  /**
+   * Pick the schema for a pack file: { schema, reason, rule } or null.
+   * `doc` (parsed JSON, optional) refines the choice: a "type" discriminator picks
+   * the alchemy schemas, and a model's `parent` picks the specialised models/* schema.
+   * `sniff: false` skips guessing from content when the path maps to nothing.
+   * Schema files themselves (*.schema.json) never map to a pack schema.
+   */
+  function schemaForFile(path, doc, { sniff = true } = {}) {
+    if (/\.schema\.json$/i.test(path || "")) return null;
+    if (isPlainObject(doc) && typeof doc.type === "string" && SCHEMA_TYPE_MATCH[doc.type]) {
+      const rule = SCHEMA_TYPE_MATCH[doc.type];
+      return { schema: rule.schema, reason: `"type": "${doc.type}"`, rule };
+    }
+
+    let rule = SCHEMA_FILE_MATCH.find((r) => path && matchesFileGlobs(path, r.fileMatch));
+    let reason = rule ? `matches ${rule.fileMatch.join(", ")}` : null;
+    if (!rule && sniff) {
+      rule = sniffSchemaFor(doc);
+      reason = rule ? "detected from content" : null;
+    }
+    if (!rule) return null;
+
+    if (rule.schema === "model.schema.json" && isPlainObject(doc) && typeof doc.parent === "string") {
+      const parent = stripNamespace(doc.parent);
+      const folder = modelFolderOf(path);
+      const special = MODEL_PARENT_SCHEMAS.find((m) => m.parent.test(parent) && (!m.onlyIn || m.onlyIn === folder));
+      if (special) return { schema: special.schema, reason: `parent ${doc.parent}`, rule: special };
+    } else if (rule.schema === "model.schema.json" && path && !(isPlainObject(doc) && "parent" in doc)) {
+      const special = MODEL_PARENT_SCHEMAS.find((m) => m.fileMatch && matchesFileGlobs(path, m.fileMatch));
+      if (special) {
+        const glob = special.fileMatch.find((g) => !g.startsWith("!") && globToRegExp(g).test(path.replace(/\\/g, "/")));
+        return { schema: special.schema, reason: `matches ${glob}`, rule: special };
+      }
+    }
+    return { schema: rule.schema, reason, rule };
+  }
+
+  /**
+   * Suggested pack path for a new document of `schemaName`, following the same
+   * mapping: "blockstate.schema.json" -> "assets/minecraft/blockstates/example_block.json".
+   * `name` (file name without extension) and `namespace` override the defaults.
+   */
+  function suggestFilePath(schemaName, { name, namespace, doc } = {}) {
+    const typed = Object.values(SCHEMA_TYPE_MATCH).find((r) => r.schema === schemaName);
+    const special = MODEL_PARENT_SCHEMAS.find((m) => m.schema === schemaName);
+    const base = SCHEMA_FILE_MATCH.find((r) => r.schema === schemaName);
+
+    let template = null;
+    let fallbackName = "example";
+    if (typed) template = typed.path;
+    else if (special) {
+      template = `assets/{namespace}/models/${special.folder || "block"}/{name}.json`;
+      fallbackName = special.name || schemaName.split("/").pop().replace(/\.schema\.json$/, "");
+    } else if (base) {
+      template = base.path;
+      fallbackName = base.name || fallbackName;
+    }
+    if (!template) {
+      const n = String(schemaName).split("/").pop().replace(/\.schema\.json$/i, ".json");
+      return n === schemaName ? "output.json" : n;
+    }
+
+    // namespaced ids inside the document ("id": "brewery:amber_ale") name typed documents
+    const [idNs, idPath] = isPlainObject(doc) && typeof doc.id === "string" && doc.id.includes(":") ? doc.id.split(":") : [];
+    return template
+      .replace("{namespace}", namespace || idNs || "minecraft")
+      .replace("{name}", name || idPath || fallbackName);
+  }
+
+  /* ------------------------------ Pack linter ------------------------------- */
+
+  /**
+   * Resource-pack-wide linter: validates every mapped file against its schema and
+   * checks references across files.
+   *
+   * lintPack({ files, readText, registry }) -> Promise<report>
+   * - files: every path in the pack (folder-relative; a leading "<pack dir>/" is fine)
+   * - readText(path): resolves the file's text (only JSON / .mcmeta files are read)
+   * - registry: createSchemaRegistry() holding the schemas named by schemaForFile
+   *
+   * report = { files, linted, validated, vanillaRefs, issues: [{ path, pointer, rule, severity, message, ref? }] }
+   * (validated: the paths checked against a schema; linted is their count)
+   * References into the minecraft namespace that the pack does not ship are assumed
+   * to come from the game (counted in vanillaRefs) unless `assumeVanilla` is false;
+   * `vanillaModels` ({ "minecraft:block/cube": doc }, as in vanilla-models.json) lets
+   * the #variable check follow parents the pack doesn't ship;
+   * `references: false` runs only the JSON / schema checks.
+   */
+  const PACK_LINT_RULES = {
+    "json": { title: "Unreadable JSON", severity: "error" },
+    "schema": { title: "Schema violations", severity: "error" },
+    "no-schema": { title: "Files without a schema", severity: "info" },
+    "missing-model": { title: "Missing models", severity: "error" },
+    "parent-cycle": { title: "Model parent cycles", severity: "error" },
+    "missing-texture": { title: "Missing textures", severity: "error" },
+    "undefined-texture-var": { title: "Undefined #texture variables", severity: "error" },
+    "missing-sound": { title: "Missing sound files", severity: "error" },
+    "missing-sound-event": { title: "Missing sound events", severity: "error" },
+    "missing-container": { title: "Undefined alchemy containers", severity: "error" },
+    "duplicate-alchemy-id": { title: "Duplicate alchemy ids", severity: "error" },
+    "missing-alchemy-tag": { title: "Undefined tags in alchemy files", severity: "warning" },
+    "unused-container": { title: "Unused alchemy containers", severity: "warning" },
+    "schema-version": { title: "Mixed alchemy schema versions", severity: "warning" }
+  };
+
+  const PACK_TEXT_FILE = /\.(json|mcmeta)$/i;
+  // schema files and tooling folders that sit next to a pack are not pack content
+  const PACK_IGNORED = /(?:^|\/)(?:\.git|node_modules)\/|\.schema\.json$/i;
+  // data/<ns>/..., the data pack half of a pack
+  const DATA_DIR = /(?:^|\/)data\/[^/]+\//;
+  // data/<ns>/tags/<registry>/<path>.json -> tag <ns>:<path>
+  const TAG_JSON = /(?:^|\/)data\/([^/]+)\/tags\/[^/]+\/(.+)\.json$/;
+
+  /** "block/stone" -> "minecraft:block/stone"; "#all" and non-strings -> null. */
+  function resourceId(ref, namespace = "minecraft") {
+    if (typeof ref !== "string" || !ref || ref.startsWith("#")) return null;
+    return ref.includes(":") ? ref : `${namespace}:${ref}`;
+  }
+
+  /** ("ns:block/x", "models", ".json") -> "assets/ns/models/block/x.json"; bare ids are minecraft:. */
+  function resourcePath(id, folder, ext) {
+    const [ns, rest] = resourceId(id).split(":");
+    return `assets/${ns}/${folder}/${rest}${ext}`;
+  }
+
+  /** "pack/assets/ns/models/block/x.json" -> { namespace: "ns", kind: "models", rest: "block/x.json" } */
+  function packResourcePath(path) {
+    const m = /(?:^|\/)assets\/([^/]+)\/([^/]+)\/(.+)$/.exec(String(path || "").replace(/\\/g, "/"));
+    return m ? { namespace: m[1], kind: m[2], rest: m[3] } : null;
+  }
+
+  /** Group lint issues by "rule" (report order of PACK_LINT_RULES) or by "path". */
+  function groupLintIssues(issues, by = "rule") {
+    const groups = new Map();
+    if (by === "rule") for (const rule of Object.keys(PACK_LINT_RULES)) groups.set(rule, []);
+    for (const issue of issues) {
+      const key = issue[by];
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(issue);
+    }
+    for (const [key, list] of groups) if (!list.length) groups.delete(key);
+    return groups;
+  }
+
+  async function lintPack({ files, readText, registry, assumeVanilla = true, vanillaModels = null, references = true, onProgress } = {}) {
+    files = files.filter((p) => !PACK_IGNORED.test(p));
+    const issues = [];
+    const report = { files: files.length, linted: 0, validated: [], vanillaRefs: 0, issues };
+    const issue = (path, pointer, rule, message, ref) => {
+      issues.push({ path, pointer, rule, severity: PACK_LINT_RULES[rule].severity, message, ...(ref ? { ref } : {}) });
+    };
+
+    // index what the pack ships: "ns:kind:path" for assets, plus sounds.json / alchemy documents
+    const assets = new Set();
+    for (const path of files) {
+      const res = packResourcePath(path);
+      if (res) assets.add(`${res.namespace}:${res.kind}:${res.rest}`);
+    }
+    const has = (kind, id, ext) => {
+      const [ns, p] = id.split(":");
+      return assets.has(`${ns}:${kind}:${p}${ext}`);
+    };
+
+    // a reference the pack doesn't satisfy: error, or assumed vanilla
+    const missing = (id) => {
+      if (assumeVanilla && id.startsWith("minecraft:")) {
+        report.vanillaRefs++;
+        return false;
+      }
+      return true;
+    };
+
+    const docs = new Map(); // path -> parsed JSON
+    const textFiles = files.filter((p) => PACK_TEXT_FILE.test(p));
+    for (let i = 0; i < textFiles.length; i++) {
+      const path = textFiles[i];
+      onProgress?.(i, textFiles.length, path);
+      let parsed;
+      try {
+        parsed = tryJsonParse(await readText(path));
+      } catch (e) {
+        issue(path, "", "json", `Could not read the file (${e?.message || e})`);
+        continue;
+      }
+      if (!parsed.ok) {
+        issue(path, "", "json", `Not valid JSON: ${parsed.error?.message || parsed.error}`);
+        continue;
+      }
+      docs.set(path, parsed.value);
+    }
+
+    // 1. every file against its mapped schema
+    for (const [path, doc] of docs) {
+      const match = schemaForFile(path, doc, { sniff: false });
+      const schema = match && registry?.get(match.schema);
+      if (!schema) {
+        if (match || packResourcePath(path)) issue(path, "", "no-schema", match ? `Schema ${match.schema} is not loaded` : "No schema maps to this file");
+        continue;
+      }
+      report.linted++;
+      report.validated.push(path);
+      for (const e of validateJsonSchema(schema, doc, { resolveRef: registry.resolveRef })) {
+        issue(path, e.path, "schema", `${e.message} [${e.keyword}] (${match.schema})`);
+      }
+    }
+
+    if (!references) {
+      onProgress?.(textFiles.length, textFiles.length, null);
+      return report;
+    }
+
+    // 2. models: parents, textures and #variables
+    const models = new Map(); // "ns:block/x" -> { path, doc }
+    for (const [path, doc] of docs) {
+      const res = packResourcePath(path);
+      if (res && res.kind === "models" && /\.json$/i.test(res.rest) && isPlainObject(doc)) {
+        models.set(`${res.namespace}:${res.rest.replace(/\.json$/i, "")}`, { path, doc });
+      }
+    }
+    const isBuiltin = (id) => /^minecraft:builtin\//.test(id);
+    const parentIds = new Set([...models.values()].map((m) => resourceId(m.doc.parent)).filter(Boolean));
+
+    // pack models first, then the vanilla parents (path: null)
+    const modelById = (id) => models.get(id) || (isPlainObject(vanillaModels?.[id]) ? { path: null, id, doc: vanillaModels[id] } : null);
+
+    // child -> root; `complete` is false when the chain reaches a model neither the pack nor vanillaModels has
+    function modelChain(id) {
+      const chain = [];
+      const seen = new Set();
+      let cur = id;
+      while (cur) {
+        if (seen.has(cur)) return { chain, complete: false, cycle: cur };
+        seen.add(cur);
+        const m = modelById(cur);
+        if (!m) return { chain, complete: isBuiltin(cur) };
+        chain.push(m);
+        cur = resourceId(m.doc.parent);
+      }
+      return { chain, complete: true };
+    }
+
+    for (const [id, { path, doc }] of models) {
+      const parent = resourceId(doc.parent);
+      if (parent && !isBuiltin(parent) && !models.has(parent) && missing(parent)) {
+        issue(path, "/parent", "missing-model", `Parent model ${parent} does not exist`, parent);
+      }
+
+      const { chain, complete, cycle } = modelChain(id);
+      if (cycle && cycle === id) issue(path, "/parent", "parent-cycle", `Parent chain loops back to ${id}`);
+
+      if (isPlainObject(doc.textures)) {
+        for (const [key, value] of Object.entries(doc.textures)) {
+          const tex = resourceId(value);
+          if (tex && !has("textures", tex, ".png") && missing(tex)) {
+            issue(path, jsonPointerJoin("/textures", key), "missing-texture", `Texture ${tex} does not exist`, tex);
+          }
+        }
+      }
+
+      // #vars can only be checked on leaf models whose whole chain is known;
+      // models used as a parent are templates whose variables the children fill in
+      if (!complete || parentIds.has(id)) continue;
+      const textures = {};
+      for (const m of [...chain].reverse()) if (isPlainObject(m.doc.textures)) Object.assign(textures, m.doc.textures);
+      const owner = chain.find((m) => Array.isArray(m.doc.elements));
+
+      const resolveVar = (ref) => {
+        for (let hops = 0; typeof ref === "string" && ref.startsWith("#") && hops < 16; hops++) ref = textures[ref.slice(1)];
+        return typeof ref === "string" && !ref.startsWith("#") ? ref : null;
+      };
+      const checkVar = (ref, pointer, where) => {
+        if (typeof ref !== "string" || !ref.startsWith("#") || resolveVar(ref)) return;
+        issue(path, pointer, "undefined-texture-var", `Texture variable ${ref} is not defined${where}`);
+      };
+
+      for (const [key, value] of Object.entries(textures)) {
+        const local = isPlainObject(doc.textures) && key in doc.textures;
+        checkVar(value, local ? jsonPointerJoin("/textures", key) : "/parent", local ? "" : ` (textures.${key} inherited)`);
+      }
+      if (owner) {
+        const inherited = owner.doc !== doc;
+        owner.doc.elements.forEach((el, i) => {
+          for (const [face, f] of Object.entries(isPlainObject(el?.faces) ? el.faces : {})) {
+            const pointer = inherited ? "/parent" : `/elements/${i}/faces/${face}/texture`;
+            checkVar(f?.texture, pointer, inherited ? ` (used by ${owner.path || owner.id})` : "");
+          }
+        });
+      }
+    }
+
+    // 3. blockstates -> models
+    for (const [path, doc] of docs) {
+      const res = packResourcePath(path);
+      if (!res || res.kind !== "blockstates" || !isPlainObject(doc)) continue;
+      const refs = [];
+      if (isPlainObject(doc.variants)) {
+        for (const [key, v] of Object.entries(doc.variants)) {
+          const base = jsonPointerJoin("/variants", key);
+          if (Array.isArray(v)) v.forEach((e, i) => refs.push([e?.model, `${base}/${i}/model`]));
+          else refs.push([v?.model, `${base}/model`]);
+        }
+      }
+      toArray(doc.multipart).forEach((part, p) => {
+        const apply = part?.apply;
+        if (Array.isArray(apply)) apply.forEach((e, i) => refs.push([e?.model, `/multipart/${p}/apply/${i}/model`]));
+        else refs.push([apply?.model, `/multipart/${p}/apply/model`]);
+      });
+      for (const [model, pointer] of refs) {
+        const id = resourceId(model);
+        if (id && !models.has(id) && missing(id)) issue(path, pointer, "missing-model", `Model ${id} does not exist`, id);
+      }
+    }
+
+    // 4. sounds.json -> .ogg files and other events
+    const soundEvents = new Set();
+    const soundDocs = [];
+    for (const [path, doc] of docs) {
+      const m = /(?:^|\/)assets\/([^/]+)\/sounds\.json$/.exec(path);
+      if (m && isPlainObject(doc)) soundDocs.push([path, doc]);
+      if (m && isPlainObject(doc)) for (const event of Object.keys(doc)) soundEvents.add(`${m[1]}:${event}`);
+    }
+    for (const [path, doc] of soundDocs) {
+      for (const [event, def] of Object.entries(doc)) {
+        toArray(def?.sounds).forEach((s, i) => {
+          const entry = typeof s === "string" ? { name: s } : s;
+          const id = resourceId(entry?.name);
+          if (!id) return;
+          const pointer = `${jsonPointerJoin("", event)}/sounds/${i}${typeof s === "string" ? "" : "/name"}`;
+          if (entry.type === "event") {
+            if (!soundEvents.has(id) && missing(id)) issue(path, pointer, "missing-sound-event", `Sound event ${id} is not defined`, id);
+          } else if (!has("sounds", id, ".ogg") && missing(id)) {
+            issue(path, pointer, "missing-sound", `Sound file ${id}.ogg does not exist`, id);
+          }
+        });
+      }
+    }
+
+    // 5. alchemy: ids, containers, tags and schema versions
+    for (const i of alchemyGraph([...docs], { tags: packTags(files), external: (id) => !missing(id) }).issues) {
+      issue(i.path, i.pointer, i.rule, i.message, i.ref);
+    }
+
+    onProgress?.(textFiles.length, textFiles.length, null);
+    return report;
+  }
+
+  /* ------------------------------ Sound events ------------------------------ */
+
+  const SOUNDS_JSON = /(?:^|\/)assets\/([^/]+)\/sounds\.json$/;
+
+  /**
+   * The sound events of one or more sounds.json documents ([[path, doc]]),
+   * keyed "namespace:event". Entry defaults follow sounds.schema.json; names
+   * without a namespace are minecraft: ones, as in the game.
+   *
+   * -> Map id -> { id, path, pointer, replace, subtitle,
+   *                entries: [{ name, id, type: "file" | "event", volume, pitch, weight, stream, pointer }] }
+   */
+  function soundEventTable(soundDocs) {
+    const table = new Map();
+    for (const [path, doc] of soundDocs) {
+      const m = SOUNDS_JSON.exec(path);
+      if (!m || !isPlainObject(doc)) continue;
+      for (const [event, def] of Object.entries(doc)) {
+        const pointer = jsonPointerJoin("", event);
+        const entries = [];
+        toArray(def?.sounds).forEach((s, i) => {
+          const e = typeof s === "string" ? { name: s } : isPlainObject(s) ? s : {};
+          const id = resourceId(e.name);
+          if (!id) return;
+          entries.push({
+            name: e.name,
+            id,
+            type: e.type === "event" ? "event" : "file",
+            volume: typeof e.volume === "number" ? e.volume : 1,
+            pitch: typeof e.pitch === "number" ? e.pitch : 1,
+            weight: Number.isInteger(e.weight) && e.weight > 0 ? e.weight : 1,
+            stream: e.stream === true,
+            pointer: `${pointer}/sounds/${i}`
+          });
+        });
+        const id = `${m[1]}:${event}`;
+        table.set(id, {
+          id,
+          path,
+          pointer,
+          replace: def?.replace === true,
+          subtitle: typeof def?.subtitle === "string" ? def.subtitle : null,
+          entries
+        });
+      }
+    }
+    return table;
+  }
+
+  /**
+   * How much an entry weighs in a random pick. The game weighs a type "event"
+   * entry with the referenced event's total weight, not its own; events outside
+   * the table (vanilla ones) count with the entry's weight, cycles with 0.
+   */
+  function soundEntryWeight(table, entry, stack, cycles) {
+    if (entry.type !== "event") return entry.weight;
+    const target = table.get(entry.id);
+    if (!target) return entry.weight;
+    if (stack.includes(entry.id)) {
+      cycles?.add(entry.id);
+      return 0;
+    }
+    return target.entries.reduce((n, e) => n + soundEntryWeight(table, e, [...stack, entry.id], cycles), 0);
+  }
+
+  /**
+   * Every sound file event `id` can play and how likely it is.
+   * -> { outcomes: [{ id, probability, volume, pitch, stream, via } | { event, probability, via, unresolved: true }],
+   *      unresolved: [event ids outside the table], cycles: [event ids] }
+   * `via` is the chain of events that led to the outcome, starting with `id`.
+   */
+  function expandSoundEvent(table, id) {
+    const outcomes = [];
+    const unresolved = new Set();
+    const cycles = new Set();
+    const walk = (eventId, probability, via) => {
+      const entries = table.get(eventId)?.entries || [];
+      const weights = entries.map((e) => soundEntryWeight(table, e, via, cycles));
+      const sum = weights.reduce((a, b) => a + b, 0);
+      entries.forEach((e, i) => {
+        if (!sum || !weights[i]) return;
+        const p = (probability * weights[i]) / sum;
+        if (e.type !== "event") outcomes.push({ id: e.id, probability: p, volume: e.volume, pitch: e.pitch, stream: e.stream, via });
+        else if (!table.has(e.id)) {
+          unresolved.add(e.id);
+          outcomes.push({ event: e.id, probability: p, via, unresolved: true });
+        } else walk(e.id, p, [...via, e.id]);
+      });
+    };
+    if (table.has(id)) walk(id, 1, [id]);
+    return { outcomes, unresolved: [...unresolved], cycles: [...cycles] };
+  }
+
+  /** One random pick, as the game makes it (same outcome shape as expandSoundEvent); null when nothing can play. */
+  function pickSound(table, id, random = Math.random) {
+    let via = [id];
+    let event = table.get(id);
+    // a cycle weighs 0, so this only guards against very deep chains
+    for (let depth = 0; event && depth < 64; depth++) {
+      const weights = event.entries.map((e) => soundEntryWeight(table, e, via));
+      const sum = weights.reduce((a, b) => a + b, 0);
+      if (!sum) return null;
+      let r = random() * sum;
+      let i = 0;
+      for (; i < weights.length - 1; i++) {
+        r -= weights[i];
+        if (r < 0) break;
+      }
+      while (!weights[i]) i--; // float rounding past the last non-zero weight
+      const e = event.entries[i];
+      if (e.type !== "event") return { id: e.id, volume: e.volume, pitch: e.pitch, stream: e.stream, via };
+      if (!table.has(e.id)) return { event: e.id, via, unresolved: true };
+      via = [...via, e.id];
+      event = table.get(e.id);
+    }
+    return null;
+  }
+
+  /* ----------------------------- Language files ----------------------------- */
+
+  const LANG_JSON = /^(.*?\/)?assets\/([^/]+)\/lang\/([^/]+)\.json$/;
+  const LANG_REFERENCE = "en_us";
+
+  /**
+   * Format arguments a translation uses, as the game reads them: "%s" takes the
+   * next argument, "%2$s" the second, "%%" is a literal percent sign. Any other
+   * letter makes the game show the raw string, so it is `invalid`; a "%" before
+   * anything else ("50% off", "100%") is plain text.
+   * -> { args: [argument numbers, sorted, no repeats], invalid: ["%d", ...] }
+   */
+  function langPlaceholders(text) {
+    const args = new Set();
+    const invalid = [];
+    let next = 1;
+    for (const m of String(text).matchAll(/%(?:(\d+)\$)?([A-Za-z%]|$)/g)) {
+      if (!m[2] || (m[2] === "%" && !m[1])) continue;
+      if (m[2] !== "s") invalid.push(m[0]);
+      else args.add(m[1] ? Number(m[1]) : next++);
+    }
+    return { args: [...args].sort((a, b) => a - b), invalid };
+  }
+
+  /** "§" formatting codes in order of use, lower-cased ("§aHi §L!" -> ["a", "l"]). */
+  function langFormatCodes(text) {
+    return Array.from(String(text).matchAll(/§(.)/g), (m) => m[1].toLowerCase());
+  }
+
+  /**
+   * Compare every locale with the reference one (en_us).
+   * `locales`: Map locale -> Map key -> value (namespaces already merged).
+   * -> [{ locale, key, kind, message }]; kind: "missing" | "extra" | "placeholders"
+   *    | "invalid-placeholder" | "format-codes". Without the reference locale only
+   *    each file's own placeholders are checked.
+   */
+  function diffLocales(locales, reference = LANG_REFERENCE) {
+    const issues = [];
+    const ref = locales.get(reference);
+    for (const [locale, entries] of locales) {
+      for (const [key, value] of entries) {
+        const own = langPlaceholders(value);
+        if (own.invalid.length) {
+          issues.push({ locale, key, kind: "invalid-placeholder", message: `${own.invalid.join(", ")} is not a format the game understands (only %s, %n$s and %%)` });
+        }
+        if (!ref || locale === reference) continue;
+        if (!ref.has(key)) {
+          issues.push({ locale, key, kind: "extra", message: `Not in ${reference}` });
+          continue;
+        }
+        const want = langPlaceholders(ref.get(key)).args.join(",");
+        if (own.args.join(",") !== want) {
+          issues.push({ locale, key, kind: "placeholders", message: `Uses arguments [${own.args.join(", ")}], ${reference} uses [${want.split(",").filter(Boolean).join(", ")}]` });
+        }
+        const codes = langFormatCodes(value).sort().join("");
+        const refCodes = langFormatCodes(ref.get(key)).sort().join("");
+        if (codes !== refCodes) {
+          const show = (c) => (c ? [...c].map((x) => `§${x}`).join(" ") : "none");
+          issues.push({ locale, key, kind: "format-codes", message: `§ codes ${show(codes)}, ${reference} has ${show(refCodes)}` });
+        }
+      }
+      if (!ref || locale === reference) continue;
+      for (const key of ref.keys()) {
+        if (!entries.has(key)) issues.push({ locale, key, kind: "missing", message: `Missing (${reference} has it)` });
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Translation keys pack content needs: block.<ns>.<name> for every blockstate,
+   * item.<ns>.<name> for item definitions that aren't a block's, and every
+   * string field ending in "_key" of alchemy documents.
+   * `docs`: [[path, doc]]; only alchemy documents need a doc (null is fine otherwise).
+   * -> Map key -> { path, pointer }
+   */
+  function neededTranslationKeys(docs) {
+    const needed = new Map();
+    const need = (key, path, pointer = "") => {
+      if (!needed.has(key)) needed.set(key, { path, pointer });
+    };
+    const blocks = new Set();
+    const items = [];
+    for (const [path, doc] of docs) {
+      const res = packResourcePath(path);
+      const name = res && /^(.+)\.json$/.exec(res.rest)?.[1];
+      if (name && res.kind === "blockstates") {
+        blocks.add(`${res.namespace}.${name.replace(/\//g, ".")}`);
+        need(`block.${res.namespace}.${name.replace(/\//g, ".")}`, path);
+      } else if (name && res.kind === "items") {
+        items.push([`${res.namespace}.${name.replace(/\//g, ".")}`, path]);
+      } else if (isPlainObject(doc) && typeof doc.type === "string" && doc.type.startsWith("alchemy:")) {
+        const walk = (value, pointer) => {
+          if (Array.isArray(value)) value.forEach((v, i) => walk(v, `${pointer}/${i}`));
+          else if (isPlainObject(value)) {
+            for (const [k, v] of Object.entries(value)) {
+              const at = jsonPointerJoin(pointer, k);
+              if (/_key$/.test(k) && typeof v === "string" && v) need(v, path, at);
+              else walk(v, at);
+            }
+          }
+        };
+        walk(doc, "");
+      }
+    }
+    // a block's item is named by the block
+    for (const [id, path] of items) if (!blocks.has(id)) need(`item.${id}`, path);
+    return needed;
+  }
+
+  /* --------------------------------- Pack ids -------------------------------- */
+
+  // where alchemy documents live (suggestFilePath puts them under alchemy/<type>/)
+  const ALCHEMY_JSON = /(?:^|\/)alchemy\/.+\.json$/;
+
+  /**
+   * Ids a pack defines, by kind: "block" (blockstates), "item" (item definitions
+   * and item models), "tag" (data/<ns>/tags/<registry>/), "sound" (sounds.json
+   * events) and one kind per alchemy document type ("alchemy:container", ...).
+   * `docs`: [[path, doc]]; only sounds.json and alchemy files need a doc.
+   * -> Map kind -> Set of "ns:path" ids
+   */
+  function packIdIndex(docs) {
+    const ids = new Map();
+    const add = (kind, id) => {
+      if (!ids.has(kind)) ids.set(kind, new Set());
+      ids.get(kind).add(id);
+    };
+    for (const [path, doc] of docs) {
+      const res = packResourcePath(path);
+      const name = res && /^(.+)\.json$/.exec(res.rest)?.[1];
+      const tag = TAG_JSON.exec(path);
+      const sounds = SOUNDS_JSON.exec(path);
+      if (name && res.kind === "blockstates") add("block", `${res.namespace}:${name}`);
+      else if (name && res.kind === "items") add("item", `${res.namespace}:${name}`);
+      else if (name && res.kind === "models" && name.startsWith("item/")) add("item", `${res.namespace}:${name.slice(5)}`);
+      else if (tag) add("tag", `${tag[1]}:${tag[2]}`);
+      else if (sounds && isPlainObject(doc)) for (const event of Object.keys(doc)) add("sound", `${sounds[1]}:${event}`);
+      else if (isPlainObject(doc) && typeof doc.type === "string" && doc.type.startsWith("alchemy:") && typeof doc.id === "string") add(doc.type, doc.id);
+    }
+    return ids;
+  }
+
+  /**
+   * Tag ids the pack's data/<ns>/tags/ files define, or null when the pack has no
+   * data/ folder: a resource pack ships no tags, so its tag references can't be checked.
+   */
+  function packTags(files) {
+    if (!files.some((p) => DATA_DIR.test(p))) return null;
+    const tags = new Set();
+    for (const path of files) {
+      const m = TAG_JSON.exec(path);
+      if (m) tags.add(`${m[1]}:${m[2]}`);
+    }
+    return tags;
+  }
+
+  /* -------------------------------- Alchemy ids ------------------------------- */
+
+  // string fields that name alchemy containers: the schemas have alcohol.container; container(s)/container_id(s)
+  // fields from extensions count too (interaction.returns_container is a boolean, so it never matches)
+  const CONTAINER_FIELD = /(?:^|_)containers?(?:_ids?)?$/;
+  // fields that name item or block tags
+  const TAG_FIELD = /_tags$/;
+
+  /**
+   * The id graph of a pack's alchemy documents, and what is wrong with it:
+   * duplicate ids, container and tag references nothing defines, containers
+   * nothing uses and schema_version values that differ from the rest of their type.
+   * `docs`: [[path, doc]]; documents without an "alchemy:*" type and a string id are skipped.
+   * `tags`: Set of tag ids the pack ships (null skips the tag check);
+   * `external(id)`: true for ids assumed to come from outside the pack (vanilla).
+   * -> { nodes: [{ id, type, path, version }],
+   *      edges: [{ from, to, pointer, kind, missing }]  (from: node index, to: id;
+   *             kind: "container" for container fields, "mention" for any other string naming an alchemy id),
+   *      issues: [{ path, pointer, rule, message, ref? }] }
+   */
+  function alchemyGraph(docs, { tags = null, external = (id) => id.startsWith("minecraft:") } = {}) {
+    const nodes = [];
+    const bodies = [];
+    for (const [path, doc] of docs) {
+      if (!isPlainObject(doc) || typeof doc.type !== "string" || !doc.type.startsWith("alchemy:") || typeof doc.id !== "string") continue;
+      nodes.push({ id: doc.id, type: doc.type, path, version: Number.isInteger(doc.schema_version) ? doc.schema_version : null });
+      bodies.push(doc);
+    }
+    const byId = new Map(); // id -> [node index]
+    nodes.forEach((n, i) => {
+      if (!byId.has(n.id)) byId.set(n.id, []);
+      byId.get(n.id).push(i);
+    });
+
+    const edges = [];
+    const issues = [];
+    const issue = (path, pointer, rule, message, ref) => issues.push({ path, pointer, rule, message, ...(ref ? { ref } : {}) });
+
+    for (const [id, list] of byId) {
+      if (list.length < 2) continue;
+      for (const i of list) {
+        const others = list.filter((j) => j !== i).map((j) => nodes[j].path);
+        issue(nodes[i].path, "/id", "duplicate-alchemy-id", `${id} is also defined by ${others.join(", ")}`, id);
+      }
+    }
+
+    nodes.forEach((node, from) => {
+      const walk = (value, pointer, key) => {
+        if (Array.isArray(value)) return value.forEach((v, i) => walk(v, `${pointer}/${i}`, key));
+        if (isPlainObject(value)) {
+          for (const [k, v] of Object.entries(value)) walk(v, jsonPointerJoin(pointer, k), k);
+          return;
+        }
+        if (typeof value !== "string" || pointer === "/id" || pointer === "/type") return;
+        if (CONTAINER_FIELD.test(key)) {
+          const found = (byId.get(value) || []).some((j) => nodes[j].type === "alchemy:container");
+          edges.push({ from, to: value, pointer, kind: "container", missing: !found });
+          if (!found) issue(node.path, pointer, "missing-container", `Container ${value} is not defined by any alchemy:container file`, value);
+        } else if (TAG_FIELD.test(key)) {
+          if (tags && !tags.has(value) && !external(value)) {
+            issue(node.path, pointer, "missing-alchemy-tag", `Tag ${value} is not defined by any data/*/tags/ file`, value);
+          }
+        } else if (value !== node.id && byId.has(value)) {
+          edges.push({ from, to: value, pointer, kind: "mention", missing: false });
+        }
+      };
+      walk(bodies[from], "", "");
+    });
+
+    const used = new Set(edges.filter((e) => nodes[e.from].id !== e.to).map((e) => e.to));
+    for (const n of nodes) {
+      if (n.type === "alchemy:container" && !used.has(n.id)) issue(n.path, "/id", "unused-container", `No alchemy file uses container ${n.id}`);
+    }
+
+    // the version most files of a type use (the newer one on a tie) is taken as intended
+    const versions = new Map(); // type -> Map version -> count
+    for (const n of nodes) {
+      if (n.version == null) continue;
+      if (!versions.has(n.type)) versions.set(n.type, new Map());
+      const counts = versions.get(n.type);
+      counts.set(n.version, (counts.get(n.version) || 0) + 1);
+    }
+    for (const n of nodes) {
+      const counts = versions.get(n.type);
+      if (n.version == null || !counts || counts.size < 2) continue;
+      const [common] = [...counts].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+      if (n.version !== common) issue(n.path, "/schema_version", "schema-version", `schema_version ${n.version}, but most ${n.type} files use ${common}`);
+    }
+
+    return { nodes, edges, issues };
+  }
+
+  return {
+    tryJsonParse, toArray, isPlainObject, deepEqual, jsonPointerEscape, jsonPointerUnescape,
+    jsonPointerJoin, jsonPointerGet, jsonPointerLines, jsonTypeOf, schemaRegex, validateJsonSchema, formatSchemaError,
+    formatOneOfBranch, oneOfBranchLabel, detectOneOfBranch, createSchemaRegistry, SCHEMA_FILE_MATCH,
+    MODEL_PARENT_SCHEMAS, SCHEMA_TYPE_MATCH, globToRegExp, matchesFileGlobs, schemaForFile,
+    suggestFilePath, PACK_LINT_RULES, resourceId, resourcePath, packResourcePath, groupLintIssues, lintPack,
+    SOUNDS_JSON, soundEventTable, soundEntryWeight, expandSoundEvent, pickSound,
+    LANG_JSON, LANG_REFERENCE, langPlaceholders, langFormatCodes, diffLocales, neededTranslationKeys,
+    ALCHEMY_JSON, packIdIndex, packTags, alchemyGraph, createRandom, samplePattern, generateSample, mutateSample, fuzzSchema
+  };
+});
@@ -0,0 +1,169 @@
+/**
+ * Full-text content search for the repo viewer.
+ *
+ * Runs as a Web Worker started by app.js; the index holds each file's text,
+ * line offsets and (for JSON) key/value token ranges. Also loads as a CommonJS
+ * module so the index can be used from Node.
+ *
+ * Messages:
+ *   -> { type: "reset" }
+ *   -> { type: "add", files: [{ path, text }] }
+ *   -> { type: "search", id, query, regex, caseSensitive, scope, limit }
+ *        scope: "all" | "keys" | "values" (keys/values only search JSON files)
+ *   <- { type: "added", count }
+ *   <- { type: "results", id, results: [{ path, matches }], total, truncated, error }
+ *        match: { line, column, snippet, from, to }   (from/to index into snippet)
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else {
+    const api = factory();
+    const index = api.createSearchIndex();
+    root.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === "reset") index.reset();
+      else if (msg.type === "add") root.postMessage({ type: "added", count: index.add(msg.files) });
+      else if (msg.type === "search") root.postMessage({ type: "results", id: msg.id, ...index.search(msg) });
+    };
+  }
+})(globalThis, function () {
+  "use strict";
+
+  const JSON_FILE = /\.(json|mcmeta)$/i;
+  const SNIPPET_CHARS = 160;
+  const DEFAULT_LIMIT = 1000;
+
+  /**
+   * String and literal token ranges of JSON-ish text: [{ start, end, key, quoted }].
+   * A plain scan, so it still works on invalid JSON; a string is a key when
+   * the next non-space character is ":". `start`/`end` exclude the quotes.
+   */
+  function jsonTokens(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const c = text[i];
+      if (c === '"') {
+        const start = ++i;
+        while (i < text.length && text[i] !== '"' && text[i] !== "\n") i += text[i] === "\\" ? 2 : 1;
+        const end = Math.min(i, text.length);
+        i++;
+        let j = i;
+        while (j < text.length && /\s/.test(text[j])) j++;
+        tokens.push({ start, end, key: text[j] === ":", quoted: true });
+      } else if (/[-0-9a-z]/i.test(c)) {
+        const start = i;
+        while (i < text.length && /[-+.0-9a-z]/i.test(text[i])) i++;
+        tokens.push({ start, end: i, key: false, quoted: false });
+      } else {
+        i++;
+      }
+    }
+    return tokens;
+  }
+
+  /** Offsets where each line starts. */
+  function lineStarts(text) {
+    const out = [0];
+    for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) out.push(i + 1);
+    return out;
+  }
+
+  /** Last index in sorted `arr` whose value (via `get`) is <= n. */
+  function floorIndex(arr, n, get = (x) => x) {
+    let lo = 0;
+    let hi = arr.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (get(arr[mid]) <= n) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /** The line around a match, cut to SNIPPET_CHARS with the match kept in view. */
+  function snippetFor(line, from, to) {
+    if (line.length <= SNIPPET_CHARS) return { snippet: line, from, to };
+    const start = Math.max(0, Math.min(from - 40, line.length - SNIPPET_CHARS));
+    const end = Math.min(line.length, start + SNIPPET_CHARS);
+    const pre = start > 0 ? "…" : "";
+    return {
+      snippet: pre + line.slice(start, end) + (end < line.length ? "…" : ""),
+      from: from - start + pre.length,
+      to: Math.min(to, end) - start + pre.length
+    };
+  }
+
+  function createSearchIndex() {
+    const files = new Map(); // path -> { text, lines, tokens }
+
+    function reset() {
+      files.clear();
+    }
+
+    function add(list) {
+      for (const { path, text } of list || []) {
+        if (typeof path !== "string" || typeof text !== "string") continue;
+        files.set(path, { text, lines: lineStarts(text), tokens: JSON_FILE.test(path) ? jsonTokens(text) : null });
+      }
+      return files.size;
+    }
+
+    function search({ query, regex = false, caseSensitive = false, scope = "all", limit = DEFAULT_LIMIT } = {}) {
+      if (!query) return { results: [], total: 0, truncated: false };
+      let re;
+      try {
+        re = new RegExp(regex ? query : escapeRegExp(query), caseSensitive ? "gm" : "gim");
+      } catch (e) {
+        return { results: [], total: 0, truncated: false, error: e.message };
+      }
+
+      const results = [];
+      let total = 0;
+      for (const [path, file] of files) {
+        if (scope !== "all" && !file.tokens) continue;
+        const matches = [];
+        re.lastIndex = 0;
+        for (let m = re.exec(file.text); m; m = re.exec(file.text)) {
+          if (!m[0].length) {
+            re.lastIndex++;
+            continue;
+          }
+          const start = m.index;
+          const end = start + m[0].length;
+          if (scope !== "all") {
+            // the surrounding quotes may be part of the match
+            const t = file.tokens[floorIndex(file.tokens, start + 1, (x) => x.start)];
+            const slack = t?.quoted ? 1 : 0;
+            if (!t || start < t.start - slack || end > t.end + slack || t.key !== (scope === "keys")) continue;
+          }
+
+          const li = floorIndex(file.lines, start);
+          const lineStart = file.lines[li];
+          const lineEnd = li + 1 < file.lines.length ? file.lines[li + 1] - 1 : file.text.length;
+          const lineText = file.text.slice(lineStart, lineEnd).replace(/\r$/, "");
+          const col = start - lineStart;
+          matches.push({ line: li + 1, column: col + 1, ...snippetFor(lineText, col, Math.min(end, lineEnd) - lineStart) });
+
+          if (++total >= limit) break;
+        }
+        if (matches.length) results.push({ path, matches });
+        if (total >= limit) return { results, total, truncated: true };
+      }
+      return { results, total, truncated: false };
+    }
+
+    return { reset, add, search, get size() { return files.size; } };
+  }
+
+  return { createSearchIndex, jsonTokens };
+});
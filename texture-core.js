@@ -0,0 +1,402 @@
+/**
+ * Texture helpers shared by the viewer's image preview, model rendering and the
+ * atlas report: a small PNG decoder, `.png.mcmeta` animation timing and atlas
+ * source evaluation.
+ *
+ * Pure JS on raw RGBA pixels, so it runs the same in a browser, a worker or
+ * Node 18+ (needs DecompressionStream and Blob for the zlib stream).
+ *
+ *   decodePng(bytes) -> Promise<{ width, height, data: Uint8ClampedArray (RGBA) }>
+ *   animationLayout(animation, width, height) -> frame size, frame list and timing
+ *   frameAt(layout, tick) -> { position, next, progress }   (20 ticks per second)
+ *   atlasSprites(atlas, textureIds) -> the sprites an atlas file's sources add, and where from
+ *   stitchAtlas([{ id, width, height }]) -> a packed sheet layout
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TextureCore = factory();
+})(globalThis, function () {
+  "use strict";
+
+  /* ---------------------------------- PNG ----------------------------------- */
+
+  const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+  const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // by colour type
+  // Adam7 passes: first column, first row, column step, row step
+  const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+  async function inflate(chunks) {
+    const stream = new Blob(chunks).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+  }
+
+  /** Undo one scanline's filter in place; `prev` is the previous (already unfiltered) line. */
+  function unfilter(filter, line, prev, bpp) {
+    for (let i = 0; i < line.length; i++) {
+      const left = i >= bpp ? line[i - bpp] : 0;
+      const up = prev[i];
+      const upLeft = i >= bpp ? prev[i - bpp] : 0;
+      switch (filter) {
+        case 0: break;
+        case 1: line[i] += left; break;
+        case 2: line[i] += up; break;
+        case 3: line[i] += (left + up) >> 1; break;
+        case 4: line[i] += paeth(left, up, upLeft); break;
+        default: throw new Error(`Corrupt PNG (scanline filter ${filter})`);
+      }
+    }
+  }
+
+  /**
+   * Decode a PNG (any colour type, bit depth 1-16, optionally interlaced) to RGBA.
+   * Ancillary chunks other than tRNS are ignored, so no gamma or colour correction.
+   */
+  async function decodePng(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error("Not a PNG file");
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+    for (let at = 8; at + 8 <= bytes.length; ) {
+      const length = view.getUint32(at);
+      const type = String.fromCharCode(...bytes.subarray(at + 4, at + 8));
+      const data = bytes.subarray(at + 8, at + 8 + length);
+      if (type === "IHDR") {
+        header = { width: view.getUint32(at + 8), height: view.getUint32(at + 12), depth: data[8], color: data[9], interlace: data[12] };
+      } else if (type === "PLTE") palette = data;
+      else if (type === "tRNS") transparency = data;
+      else if (type === "IDAT") idat.push(data);
+      else if (type === "IEND") break;
+      at += 12 + length;
+    }
+    if (!header) throw new Error("Corrupt PNG (no IHDR chunk)");
+
+    const { width, height, depth, color, interlace } = header;
+    const channels = CHANNELS[color];
+    if (!channels || ![1, 2, 4, 8, 16].includes(depth)) throw new Error(`Unsupported PNG (colour type ${color}, bit depth ${depth})`);
+    if (color === 3 && !palette) throw new Error("Corrupt PNG (indexed colour without a palette)");
+
+    const raw = await inflate(idat);
+    const out = new Uint8ClampedArray(width * height * 4);
+    const bitsPerPixel = channels * depth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const maxSample = 2 ** depth - 1;
+    const key = (i) => (transparency[i] << 8) | transparency[i + 1]; // tRNS colour key (16-bit big endian)
+
+    const sample = (line, i) => {
+      if (depth === 8) return line[i];
+      if (depth === 16) return (line[2 * i] << 8) | line[2 * i + 1];
+      const bit = i * depth;
+      return (line[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+    };
+    const to8 = (v) => (depth === 8 ? v : depth === 16 ? v >> 8 : Math.round((v * 255) / maxSample));
+
+    const writePixel = (line, x, o) => {
+      const s = (c) => sample(line, x * channels + c);
+      if (color === 3) {
+        const i = s(0);
+        out[o] = palette[i * 3];
+        out[o + 1] = palette[i * 3 + 1];
+        out[o + 2] = palette[i * 3 + 2];
+        out[o + 3] = transparency && i < transparency.length ? transparency[i] : 255;
+      } else if (color === 0 || color === 4) {
+        const g = s(0);
+        out[o] = out[o + 1] = out[o + 2] = to8(g);
+        out[o + 3] = color === 4 ? to8(s(1)) : transparency && g === key(0) ? 0 : 255;
+      } else {
+        const [r, g, b] = [s(0), s(1), s(2)];
+        out[o] = to8(r);
+        out[o + 1] = to8(g);
+        out[o + 2] = to8(b);
+        out[o + 3] = color === 6 ? to8(s(3)) : transparency && r === key(0) && g === key(2) && b === key(4) ? 0 : 255;
+      }
+    };
+
+    let pos = 0;
+    for (const [x0, y0, dx, dy] of interlace ? ADAM7 : [[0, 0, 1, 1]]) {
+      const passWidth = Math.ceil((width - x0) / dx);
+      const passHeight = Math.ceil((height - y0) / dy);
+      if (passWidth <= 0 || passHeight <= 0) continue;
+      const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+      let prev = new Uint8Array(stride);
+      for (let y = 0; y < passHeight; y++) {
+        if (pos + 1 + stride > raw.length) throw new Error("Corrupt PNG (image data too short)");
+        const filter = raw[pos];
+        const line = raw.slice(pos + 1, pos + 1 + stride);
+        pos += 1 + stride;
+        unfilter(filter, line, prev, bpp);
+        for (let x = 0; x < passWidth; x++) writePixel(line, x, ((y0 + y * dy) * width + x0 + x * dx) * 4);
+        prev = line;
+      }
+    }
+    return { width, height, data: out };
+  }
+
+  /* ------------------------------- Animation -------------------------------- */
+
+  /**
+   * Frame layout and timing of a `.png.mcmeta` "animation" object for a
+   * width × height image, following the game's rules: frames are square
+   * (the shorter side) unless width/height say otherwise, and are numbered
+   * left to right, top to bottom.
+   *
+   * -> { frameWidth, frameHeight, columns, count, frames: [{ index, time }],
+   *      frametime, interpolate, totalTime, problems: [string] }
+   */
+  function animationLayout(animation, width, height) {
+    const a = animation && typeof animation === "object" ? animation : {};
+    let frameWidth;
+    let frameHeight;
+    if (a.width > 0) {
+      frameWidth = a.width;
+      frameHeight = a.height > 0 ? a.height : height;
+    } else if (a.height > 0) {
+      frameWidth = width;
+      frameHeight = a.height;
+    } else {
+      frameWidth = frameHeight = Math.min(width, height);
+    }
+
+    const problems = [];
+    if (width % frameWidth || height % frameHeight) {
+      problems.push(`${width}×${height} is not a whole number of ${frameWidth}×${frameHeight} frames`);
+    }
+    const columns = Math.max(1, Math.floor(width / frameWidth));
+    const count = columns * Math.floor(height / frameHeight);
+    const frametime = a.frametime > 0 ? Math.floor(a.frametime) : 1;
+
+    const frames = [];
+    if (Array.isArray(a.frames) && a.frames.length) {
+      a.frames.forEach((f, i) => {
+        const index = typeof f === "number" ? f : f?.index;
+        const time = f && typeof f === "object" && f.time > 0 ? Math.floor(f.time) : frametime;
+        if (!Number.isInteger(index) || index < 0 || index >= count) {
+          problems.push(`frames[${i}] is frame ${index}, but the image has ${count} (0-${count - 1})`);
+          return;
+        }
+        frames.push({ index, time });
+      });
+    } else {
+      for (let index = 0; index < count; index++) frames.push({ index, time: frametime });
+    }
+
+    return {
+      frameWidth,
+      frameHeight,
+      columns,
+      count,
+      frames,
+      frametime,
+      interpolate: a.interpolate === true,
+      totalTime: frames.reduce((n, f) => n + f.time, 0),
+      problems
+    };
+  }
+
+  /** The frames entry showing at `tick` (position), the one after it, and progress 0..1 through it. */
+  function frameAt(layout, tick) {
+    const { frames, totalTime } = layout;
+    if (!frames.length) return { position: 0, next: 0, progress: 0 };
+    let t = ((Math.floor(tick) % totalTime) + totalTime) % totalTime;
+    for (let i = 0; i < frames.length; i++) {
+      if (t < frames[i].time) return { position: i, next: (i + 1) % frames.length, progress: t / frames[i].time };
+      t -= frames[i].time;
+    }
+    return { position: 0, next: Math.min(1, frames.length - 1), progress: 0 };
+  }
+
+  /** RGBA pixels of a w × h rectangle of `image` at x0, y0 (which must lie inside it). */
+  function cropPixels(image, x0, y0, w, h) {
+    const out = new Uint8ClampedArray(w * h * 4);
+    for (let y = 0; y < h; y++) {
+      const from = ((y0 + y) * image.width + x0) * 4;
+      out.set(image.data.subarray(from, from + w * 4), y * w * 4);
+    }
+    return out;
+  }
+
+  /** RGBA pixels of frame `index` (image frame number, not a frames[] position). */
+  function framePixels(image, layout, index) {
+    const { frameWidth: w, frameHeight: h, columns } = layout;
+    return cropPixels(image, (index % columns) * w, Math.floor(index / columns) * h, w, h);
+  }
+
+  /** The game's interpolation: colour channels move from `a` toward `b`, alpha stays `a`'s. */
+  function blendPixels(a, b, progress) {
+    const out = new Uint8ClampedArray(a.length);
+    for (let i = 0; i < a.length; i += 4) {
+      out[i] = a[i] + (b[i] - a[i]) * progress;
+      out[i + 1] = a[i + 1] + (b[i + 1] - a[i + 1]) * progress;
+      out[i + 2] = a[i + 2] + (b[i + 2] - a[i + 2]) * progress;
+      out[i + 3] = a[i + 3];
+    }
+    return out;
+  }
+
+  /* --------------------------------- Atlases -------------------------------- */
+
+  const withNamespace = (id) => (String(id).includes(":") ? String(id) : `minecraft:${id}`);
+
+  /** A filter pattern as the game tests it (find(), so it may match any part of the id); null when the regex is invalid. */
+  function filterRegex(pattern) {
+    try {
+      return new RegExp(pattern);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * The sprites an atlas file's sources add, in order: each source adds sprites
+   * (one with an id already present replaces it) or, for filter, removes the
+   * ones added so far. `textures` are the texture ids that exist, relative to
+   * textures/ without ".png" ("ns:block/stone").
+   *
+   * -> { sprites: [{ id, texture, source, type, replaced?, region?, palette? }],
+   *      removed: [{ id, source, by }], problems: [{ pointer, message }] }
+   * region: the unstitch rectangle { x, y, width, height, divisorX, divisorY };
+   * palette: { key, to } texture ids of a paletted permutation.
+   */
+  function atlasSprites(doc, textures) {
+    const all = [...new Set(textures)].sort();
+    const exists = new Set(all);
+    const sprites = new Map();
+    const removed = [];
+    const problems = [];
+    const sources = doc && Array.isArray(doc.sources) ? doc.sources : null;
+    if (!sources) return { sprites: [], removed, problems: [{ pointer: "/sources", message: "sources is not a list, so the atlas adds nothing" }] };
+
+    sources.forEach((source, i) => {
+      const pointer = `/sources/${i}`;
+      const type = String(source?.type || "").replace(/^minecraft:/, "");
+      const problem = (message, at = "") => problems.push({ pointer: pointer + at, message });
+      const add = (id, entry) => {
+        const prev = sprites.get(id);
+        sprites.set(id, { id, ...entry, source: i, type, ...(prev ? { replaced: prev.source } : {}) });
+      };
+      const single = (resource, at) => {
+        const texture = withNamespace(resource);
+        if (!exists.has(texture)) {
+          problem(`${texture} is not in this pack${texture.startsWith("minecraft:") ? " (fine if it is a vanilla texture)" : ", so the game skips it"}`, at);
+        }
+        return exists.has(texture) ? texture : null;
+      };
+
+      if (type === "directory" || type === "namespace") {
+        const prefix = typeof source.prefix === "string" ? source.prefix : "";
+        const dir = type === "directory" ? String(source.source ?? "").replace(/\/+$/, "") : "";
+        const from = dir ? `${dir}/` : "";
+        let count = 0;
+        for (const texture of all) {
+          const [ns, path] = texture.split(":");
+          if (type === "namespace" ? ns !== source.namespace : !path.startsWith(from)) continue;
+          add(`${ns}:${prefix}${path.slice(from.length)}`, { texture });
+          count++;
+        }
+        if (!count) problem(type === "directory" ? `No textures under textures/${from} in any namespace` : `No textures in namespace ${source.namespace}`);
+      } else if (type === "single") {
+        const texture = single(source.resource, "/resource");
+        if (texture) add(withNamespace(source.sprite ?? source.resource), { texture });
+      } else if (type === "filter") {
+        // the game takes { namespace, path } regexes; a plain string is read as the path
+        const pattern = typeof source.pattern === "string" ? { path: source.pattern } : source.pattern || {};
+        const ns = pattern.namespace == null ? null : filterRegex(pattern.namespace);
+        const path = pattern.path == null ? null : filterRegex(pattern.path);
+        if ((pattern.namespace != null && !ns) || (pattern.path != null && !path)) return problem("pattern is not a valid regular expression", "/pattern");
+        for (const id of [...sprites.keys()]) {
+          const [n, p] = id.split(":");
+          if ((!ns || ns.test(n)) && (!path || path.test(p))) {
+            removed.push({ id, source: sprites.get(id).source, by: i });
+            sprites.delete(id);
+          }
+        }
+      } else if (type === "unstitch") {
+        const texture = single(source.resource, "/resource");
+        const divisorX = source.divisor_x > 0 ? source.divisor_x : 1;
+        const divisorY = source.divisor_y > 0 ? source.divisor_y : 1;
+        if (texture) {
+          (Array.isArray(source.regions) ? source.regions : []).forEach((r) => {
+            add(withNamespace(r.sprite), { texture, region: { x: r.x, y: r.y, width: r.width, height: r.height, divisorX, divisorY } });
+          });
+        }
+      } else if (type === "paletted_permutations") {
+        const permutations = source.permutations && typeof source.permutations === "object" ? Object.entries(source.permutations) : [];
+        if (!Array.isArray(source.textures) || !permutations.length) {
+          return problem("The game reads textures, palette_key and permutations; without them this source adds nothing");
+        }
+        const key = single(source.palette_key, "/palette_key");
+        source.textures.forEach((t, n) => {
+          const texture = single(t, `/textures/${n}`);
+          if (!texture || !key) return;
+          for (const [suffix, to] of permutations) add(`${texture}_${suffix}`, { texture, palette: { key, to: withNamespace(to) } });
+        });
+      } else {
+        problem(`Unknown source type "${source?.type}"`, "/type");
+      }
+    });
+    return { sprites: [...sprites.values()], removed, problems };
+  }
+
+  /**
+   * Pack sprites ({ id, width, height }) into an atlas: tallest first along
+   * shelves, in a power-of-two sized sheet like the game's.
+   * -> { width, height, placements: [{ id, x, y, width, height }] }
+   */
+  function stitchAtlas(entries) {
+    const sorted = [...entries].sort((a, b) => b.height - a.height || b.width - a.width || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    const area = sorted.reduce((n, e) => n + e.width * e.height, 0);
+    const widest = sorted.reduce((n, e) => Math.max(n, e.width), 1);
+    let width = 1;
+    while (width < Math.max(widest, Math.ceil(Math.sqrt(area)))) width *= 2;
+
+    const placements = [];
+    let x = 0;
+    let y = 0;
+    let row = 0;
+    for (const e of sorted) {
+      if (x + e.width > width) {
+        y += row;
+        x = row = 0;
+      }
+      placements.push({ id: e.id, x, y, width: e.width, height: e.height });
+      x += e.width;
+      row = Math.max(row, e.height);
+    }
+    let height = 1;
+    while (height < y + row) height *= 2;
+    return { width, height, placements };
+  }
+
+  /**
+   * The game's paletted permutation: every colour of `image` found in the `key`
+   * palette image becomes the `palette` colour at the same position; alpha is kept.
+   */
+  function palettePermute(image, key, palette) {
+    const rgb = (d, i) => (d[i] << 16) | (d[i + 1] << 8) | d[i + 2];
+    const map = new Map();
+    const n = Math.min(key.data.length, palette.data.length);
+    for (let i = 0; i < n; i += 4) if (!map.has(rgb(key.data, i))) map.set(rgb(key.data, i), i);
+    const out = new Uint8ClampedArray(image.data);
+    for (let i = 0; i < out.length; i += 4) {
+      const at = out[i + 3] ? map.get(rgb(out, i)) : undefined;
+      if (at === undefined) continue;
+      out[i] = palette.data[at];
+      out[i + 1] = palette.data[at + 1];
+      out[i + 2] = palette.data[at + 2];
+    }
+    return { width: image.width, height: image.height, data: out };
+  }
+
+  return { decodePng, animationLayout, frameAt, cropPixels, framePixels, blendPixels, atlasSprites, stitchAtlas, palettePermute };
+});
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Pack tooling for the command line (Node 18+, no dependencies).
+ *
+ *   node tools/cli.js validate <pack root> [options]
+ *   node tools/cli.js index [repo root] [options]
+ *   node tools/cli.js fuzz [schema ...] [options]
+ *
+ * validate: checks every file under the pack root against schemas/ using the
+ * fileMatch rules (schema-core.js), plus the linter's cross-file reference checks.
+ *   --format text|json|junit   report format (default: text)
+ *   --output <file>            write the report to a file instead of stdout
+ *   --schemas <dir>            schema directory with manifest.json (default: ./schemas next to tools/)
+ *   --schema-only              skip the cross-file reference checks
+ *   --strict-vanilla           report missing minecraft: references instead of assuming vanilla
+ *
+ * index: rebuilds files.json, the file list the repo viewer loads (path, size, type,
+ * sha256), from the working tree. Inside a git checkout it lists tracked and
+ * untracked-but-not-ignored files; elsewhere every file outside .git/node_modules.
+ *   --output <file>            where to write (default: <repo root>/files.json)
+ *   --check                    don't write; exit 1 when the index is out of date
+ *
+ * fuzz: a self-test of the validator against the schemas. Random documents built
+ * from each schema (names as in schemas/manifest.json; default: all of them) must
+ * validate, and copies with one keyword broken must not, unless a oneOf/anyOf or
+ * if/then choice above the broken value lets another branch accept it.
+ *   --count <n>                documents per schema (default: 20)
+ *   --seed <n>                 random seed; the same seed gives the same documents (default: the clock)
+ *   --samples <dir>            also write one valid document per schema, at the path the pack would use
+ *   --format text|json         report format (default: text)
+ *   --output <file>            write the report to a file instead of stdout
+ *   --schemas <dir>            as for validate
+ *
+ * Exit codes: 0 ok, 1 errors found (index out of date, fuzz disagreement), 2 bad usage or unreadable input.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+const {
+  createSchemaRegistry, lintPack, groupLintIssues, PACK_LINT_RULES, tryJsonParse, toArray, formatSchemaError,
+  fuzzSchema, createRandom, suggestFilePath, schemaForFile
+} = require("../schema-core.js");
+
+const REPO_ROOT = path.join(__dirname, "..");
+const DEFAULT_SCHEMAS = path.join(REPO_ROOT, "schemas");
+const VANILLA_MODELS = path.join(REPO_ROOT, "vanilla-models.json");
+const FILE_INDEX = "files.json";
+const SKIP_DIRS = new Set([".git", "node_modules"]);
+const FORMATS = ["text", "json", "junit"];
+
+class UsageError extends Error {}
+
+/* ------------------------------ Arguments --------------------------------- */
+
+function parseArgs(argv) {
+  const args = { command: null, positional: [], format: "text", output: null, schemas: DEFAULT_SCHEMAS, references: true, assumeVanilla: true };
+  const takeValue = (i, flag) => {
+    if (i + 1 >= argv.length) throw new UsageError(`${flag} needs a value`);
+    return argv[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--format") args.format = takeValue(i++, a);
+    else if (a === "--output" || a === "-o") args.output = takeValue(i++, a);
+    else if (a === "--schemas") args.schemas = takeValue(i++, a);
+    else if (a === "--schema-only") args.references = false;
+    else if (a === "--strict-vanilla") args.assumeVanilla = false;
+    else if (a === "--check") args.check = true;
+    else if (a === "--count") args.count = positiveInt(takeValue(i++, a), a);
+    else if (a === "--seed") args.seed = positiveInt(takeValue(i++, a), a, 0);
+    else if (a === "--samples") args.samples = takeValue(i++, a);
+    else if (a === "--help" || a === "-h") args.command = "help";
+    else if (a.startsWith("-")) throw new UsageError(`Unknown option ${a}`);
+    else if (!args.command) args.command = a;
+    else args.positional.push(a);
+  }
+  if (!FORMATS.includes(args.format)) throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  return args;
+}
+
+function positiveInt(value, flag, min = 1) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new UsageError(`${flag} needs a whole number >= ${min}`);
+  return n;
+}
+
+function usage() {
+  const header = fs.readFileSync(__filename, "utf8").match(/\/\*\*([\s\S]*?)\*\//)[1];
+  return header.replace(/^ \* ?/gm, "").trim() + "\n";
+}
+
+/* ------------------------------ File system ------------------------------- */
+
+/** Every file below `root` as a "/"-separated path relative to it. */
+function walkFiles(root) {
+  const out = [];
+  const walk = (dir, rel) => {
+    for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (e.isDirectory()) {
+        if (!SKIP_DIRS.has(e.name)) walk(path.join(dir, e.name), rel + e.name + "/");
+      } else if (e.isFile()) {
+        out.push(rel + e.name);
+      }
+    }
+  };
+  walk(root, "");
+  return out.sort();
+}
+
+/** Working-tree files as git sees them (tracked + untracked, minus ignored); null outside a checkout. */
+function gitFiles(root) {
+  try {
+    const out = execFileSync("git", ["ls-files", "-z", "--cached", "--others", "--exclude-standard"], {
+      cwd: root,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"]
+    });
+    // deleted-but-still-tracked files are listed too
+    return out.split("\0").filter((p) => p && fs.existsSync(path.join(root, p))).sort();
+  } catch {
+    return null;
+  }
+}
+
+/** Schema names listed in `dir`/manifest.json. */
+function manifestSchemas(dir) {
+  const manifestPath = path.join(dir, "manifest.json");
+  const manifest = tryJsonParse(fs.readFileSync(manifestPath, "utf8"));
+  if (!manifest.ok) throw new UsageError(`${manifestPath} is not valid JSON: ${manifest.error.message}`);
+  return toArray(manifest.value.schemas);
+}
+
+function loadSchemas(dir) {
+  const registry = createSchemaRegistry();
+  for (const name of manifestSchemas(dir)) {
+    const parsed = tryJsonParse(fs.readFileSync(path.join(dir, name), "utf8"));
+    if (!parsed.ok) throw new UsageError(`Schema ${name} is not valid JSON: ${parsed.error.message}`);
+    registry.add(name, parsed.value);
+  }
+  return registry;
+}
+
+/** The bundled vanilla parent models ({ id: doc }); the linter follows them to check #texture variables. */
+function loadVanillaModels() {
+  const parsed = tryJsonParse(fs.readFileSync(VANILLA_MODELS, "utf8"));
+  if (!parsed.ok) throw new UsageError(`${VANILLA_MODELS} is not valid JSON: ${parsed.error.message}`);
+  return parsed.value.models;
+}
+
+/* ------------------------------- Reports ---------------------------------- */
+
+function formatText(report, root) {
+  const lines = [];
+  for (const [file, issues] of groupLintIssues(report.issues, "path")) {
+    lines.push(file);
+    for (const i of issues) lines.push(`  ${i.severity.padEnd(7)} ${i.pointer || "(file)"}  ${i.message}  [${i.rule}]`);
+    lines.push("");
+  }
+  const counts = countBySeverity(report.issues);
+  lines.push(
+    `${root}: ${report.files} files, ${report.linted} validated, ` +
+    `${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} note(s)` +
+    (report.vanillaRefs ? `, ${report.vanillaRefs} minecraft: reference(s) assumed vanilla` : "")
+  );
+  return lines.join("\n") + "\n";
+}
+
+function formatJson(report, root) {
+  return JSON.stringify({ root, ...report, counts: countBySeverity(report.issues) }, null, 2) + "\n";
+}
+
+function xmlEscape(s) {
+  return String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+/** JUnit XML: one test case per validated file (or file with issues), one <failure> per file with errors. */
+function formatJunit(report, root) {
+  const byPath = groupLintIssues(report.issues, "path");
+  const cases = [...new Set([...report.validated, ...byPath.keys()])].sort();
+  const failures = cases.filter((p) => (byPath.get(p) || []).some((i) => i.severity === "error")).length;
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="pack-validate" tests="${cases.length}" failures="${failures}">`,
+    `  <testsuite name="${xmlEscape(root)}" tests="${cases.length}" failures="${failures}">`
+  ];
+  for (const file of cases) {
+    const issues = byPath.get(file) || [];
+    const errors = issues.filter((i) => i.severity === "error");
+    xml.push(`    <testcase classname="pack" name="${xmlEscape(file)}">`);
+    if (errors.length) {
+      const rules = [...new Set(errors.map((i) => i.rule))];
+      const body = errors.map((i) => `${i.pointer || "(file)"}: ${i.message} [${i.rule}]`).join("\n");
+      xml.push(`      <failure message="${xmlEscape(`${errors.length} error(s): ${rules.map((r) => PACK_LINT_RULES[r]?.title || r).join(", ")}`)}" type="${xmlEscape(rules.join(" "))}">${xmlEscape(body)}</failure>`);
+    }
+    const notes = issues.filter((i) => i.severity !== "error");
+    if (notes.length) xml.push(`      <system-out>${xmlEscape(notes.map((i) => i.message).join("\n"))}</system-out>`);
+    xml.push("    </testcase>");
+  }
+  xml.push("  </testsuite>", "</testsuites>");
+  return xml.join("\n") + "\n";
+}
+
+function countBySeverity(issues) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const i of issues) counts[i.severity in counts ? i.severity : "info"]++;
+  return counts;
+}
+
+/* ------------------------------- Commands --------------------------------- */
+
+async function validateCommand(args) {
+  const root = args.positional[0];
+  if (!root) throw new UsageError("validate needs a pack root");
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) throw new UsageError(`${root} is not a directory`);
+
+  const registry = loadSchemas(args.schemas);
+  const files = walkFiles(root);
+  const report = await lintPack({
+    files,
+    readText: async (p) => fs.readFileSync(path.join(root, p), "utf8"),
+    registry,
+    references: args.references,
+    assumeVanilla: args.assumeVanilla,
+    vanillaModels: loadVanillaModels()
+  });
+
+  const text =
+    args.format === "json" ? formatJson(report, root) :
+    args.format === "junit" ? formatJunit(report, root) :
+    formatText(report, root);
+
+  if (args.output) fs.writeFileSync(args.output, text);
+  else process.stdout.write(text);
+
+  return report.issues.some((i) => i.severity === "error") ? 1 : 0;
+}
+
+/** files.json entries: { path, size, type, hash }; type is the lower-case extension. */
+function buildFileIndex(root, exclude = []) {
+  const files = (gitFiles(root) || walkFiles(root)).filter((p) => !exclude.includes(p));
+  return files.map((p) => {
+    const buf = fs.readFileSync(path.join(root, p));
+    const ext = path.posix.extname(p).slice(1).toLowerCase();
+    return {
+      path: p,
+      size: buf.length,
+      type: ext || "file",
+      hash: crypto.createHash("sha256").update(buf).digest("hex")
+    };
+  });
+}
+
+async function indexCommand(args) {
+  const root = args.positional[0] || REPO_ROOT;
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) throw new UsageError(`${root} is not a directory`);
+  const target = args.output || path.join(root, FILE_INDEX);
+
+  // the index never lists itself
+  const self = path.relative(root, target).split(path.sep).join("/");
+  const index = {
+    $comment: "Generated by `node tools/cli.js index`; the repo viewer's file list. Do not edit by hand.",
+    files: buildFileIndex(root, [self])
+  };
+  const text = JSON.stringify(index, null, 2) + "\n";
+
+  if (args.check) {
+    const current = fs.existsSync(target) ? fs.readFileSync(target, "utf8") : null;
+    if (current === text) return 0;
+    process.stderr.write(`${target} is out of date; run node tools/cli.js index\n`);
+    return 1;
+  }
+  fs.writeFileSync(target, text);
+  process.stdout.write(`${target}: ${index.files.length} files\n`);
+  return 0;
+}
+
+/** Text report for fuzz: per schema, the samples that failed and the mutants that were accepted. */
+function formatFuzzText(results, seed) {
+  const lines = [];
+  const total = { samples: 0, invalid: 0, mutants: 0, branch: 0, accepted: 0 };
+  for (const r of results) {
+    const branch = r.survived.filter((m) => m.alternative).length;
+    const accepted = r.survived.length - branch;
+    Object.assign(total, {
+      samples: total.samples + r.samples + r.invalid.length,
+      invalid: total.invalid + r.invalid.length,
+      mutants: total.mutants + r.mutants,
+      branch: total.branch + branch,
+      accepted: total.accepted + accepted
+    });
+    lines.push(`${r.schema}: ${r.samples} valid, ${r.invalid.length} invalid; ${r.killed}/${r.mutants} mutants rejected` +
+      (branch ? `, ${branch} accepted by another branch` : "") + (r.written ? `; sample ${r.written}` : ""));
+    for (const i of r.invalid) lines.push(`  invalid  ${i.errors.slice(0, 3).map(formatSchemaError).join("; ")}${i.errors.length > 3 ? ` (+${i.errors.length - 3} more)` : ""}`);
+    for (const m of r.survived.filter((x) => !x.alternative)) lines.push(`  accepted ${m.path || "(root)"}  ${m.description}  [${m.keyword}]`);
+    if (r.mapped) lines.push(`  note     the sample would be read as ${r.mapped}`);
+  }
+  lines.push(
+    "",
+    `${results.length} schema(s), seed ${seed}: ${total.samples} documents, ${total.invalid} invalid; ` +
+    `${total.mutants} mutants, ${total.accepted} accepted (${total.branch} more by another oneOf/anyOf/if branch)`
+  );
+  return lines.join("\n") + "\n";
+}
+
+async function fuzzCommand(args) {
+  if (args.format === "junit") throw new UsageError("fuzz reports as text or json");
+  const registry = loadSchemas(args.schemas);
+  const known = manifestSchemas(args.schemas);
+  const names = args.positional.length ? args.positional : known;
+  const unknown = names.filter((n) => !known.includes(n));
+  if (unknown.length) throw new UsageError(`Not in ${path.join(args.schemas, "manifest.json")}: ${unknown.join(", ")}`);
+  const seed = args.seed ?? Date.now() % 2 ** 32;
+
+  const results = names.map((schema) => {
+    // every schema starts from the seed, so one schema on its own gives the documents it got in a full run
+    const r = fuzzSchema(registry.get(schema), { resolveRef: registry.resolveRef, random: createRandom(seed), count: args.count || 20 });
+    return { schema, ...r, samples: r.samples.length, documents: r.samples };
+  });
+
+  if (args.samples) {
+    for (const r of results) {
+      // a sample the pack would read with another schema (a model whose parent picks a models/* schema) comes last
+      const doc = r.documents.find((d) => schemaForFile(suggestFilePath(r.schema, { doc: d }), d)?.schema === r.schema) ?? r.documents[0];
+      if (doc === undefined) continue;
+      r.written = suggestFilePath(r.schema, { doc });
+      const mapped = schemaForFile(r.written, doc)?.schema;
+      if (mapped !== r.schema) r.mapped = mapped || "no schema";
+      const target = path.join(args.samples, r.written);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, JSON.stringify(doc, null, 2) + "\n");
+    }
+  }
+
+  const text = args.format === "json"
+    ? JSON.stringify({
+      seed,
+      schemas: results.map(({ documents, survived, ...r }) => ({
+        ...r,
+        survived: survived.map(({ path: at, keyword, description, alternative }) => ({ path: at, keyword, description, alternative }))
+      }))
+    }, null, 2) + "\n"
+    : formatFuzzText(results, seed);
+  if (args.output) fs.writeFileSync(args.output, text);
+  else process.stdout.write(text);
+
+  return results.some((r) => r.invalid.length || r.survived.some((m) => !m.alternative)) ? 1 : 0;
+}
+
+const COMMANDS = { validate: validateCommand, index: indexCommand, fuzz: fuzzCommand };
+
+async function main(argv) {
+  try {
+    const args = parseArgs(argv);
+    if (!args.command || args.command === "help") {
+      process.stdout.write(usage());
+      return args.command ? 0 : 2;
+    }
+    const run = COMMANDS[args.command];
+    if (!run) throw new UsageError(`Unknown command ${args.command}`);
+    return await run(args);
+  } catch (e) {
+    process.stderr.write(`${e instanceof UsageError ? "" : "error: "}${e?.message || e}\n`);
+    if (!(e instanceof UsageError) && e?.code !== "ENOENT") process.stderr.write(`${e?.stack || ""}\n`);
+    return 2;
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+
+module.exports = { main, walkFiles, loadSchemas, buildFileIndex, formatText, formatJson, formatJunit };
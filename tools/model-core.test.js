@@ -0,0 +1,165 @@
+"use strict";
+
+/**
+ * Headless check of the model preview (Node 18+, no dependencies, no GPU):
+ *
+ *   node --test tools/model-core.test.js
+ *
+ * Pack models are resolved through resolveModel with a lookup over the pack and
+ * then the bundled vanilla parents (vanilla-models.json), the way the viewer
+ * does, then drawn with renderModel in the gui, first person and ground display
+ * contexts.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { resolveModel, renderModel } = require("../model-core.js");
+const { models: VANILLA } = require("../vanilla-models.json");
+
+const SIZE = 64;
+
+// a pack that ships its own parents: a cube template with block display transforms, and a flat item template
+const PACK = {
+  "test:block/template": {
+    display: {
+      gui: { rotation: [30, 225, 0], translation: [0, 0, 0], scale: [0.625, 0.625, 0.625] },
+      ground: { rotation: [0, 0, 0], translation: [0, 3, 0], scale: [0.25, 0.25, 0.25] },
+      firstperson_righthand: { rotation: [0, 45, 0], translation: [0, 0, 0], scale: [0.4, 0.4, 0.4] }
+    },
+    elements: [{
+      from: [0, 0, 0],
+      to: [16, 16, 16],
+      faces: Object.fromEntries(["down", "up", "north", "south", "west", "east"].map((f) => [f, { texture: "#all", cullface: f }]))
+    }]
+  },
+  "test:block/marble": { parent: "test:block/template", textures: { all: "test:block/marble" } },
+  "test:item/template": {
+    parent: "builtin/generated",
+    display: {
+      ground: { rotation: [0, 0, 0], translation: [0, 2, 0], scale: [0.5, 0.5, 0.5] },
+      firstperson_righthand: { rotation: [0, -90, 25], translation: [1.13, 3.2, 1.13], scale: [0.68, 0.68, 0.68] }
+    }
+  },
+  "test:item/cup": { parent: "test:item/template", textures: { layer0: "test:item/cup" } },
+  "test:block/orphan": { parent: "test:block/nowhere" },
+  "test:block/loop_a": { parent: "test:block/loop_b" },
+  "test:block/loop_b": { parent: "test:block/loop_a" },
+
+  // the same textures on vanilla parents
+  "test:block/marble_tiles": { parent: "minecraft:block/cube_all", textures: { all: "test:block/marble" } },
+  "test:block/marble_stairs": {
+    parent: "minecraft:block/stairs",
+    textures: { bottom: "test:block/marble", top: "test:block/marble", side: "test:block/marble" }
+  },
+  "test:item/bowl": { parent: "minecraft:item/generated", textures: { layer0: "test:item/cup" } }
+};
+
+const lookup = (id) => (PACK[id] ? { path: id, doc: PACK[id] } : VANILLA[id] ? { path: id, doc: VANILLA[id], vanilla: true } : null);
+
+/** 16×16 grey texture; `checker` clears every other pixel, like an item sprite with a transparent background. */
+function texture(checker) {
+  const data = new Uint8ClampedArray(16 * 16 * 4);
+  for (let i = 0; i < 16 * 16; i++) {
+    data.set([128, 128, 128, checker && ((i % 16) + Math.floor(i / 16)) % 2 ? 0 : 255], i * 4);
+  }
+  return { width: 16, height: 16, data };
+}
+
+const IMAGES = new Map([
+  ["test:block/marble", texture(false)],
+  ["test:item/cup", texture(true)]
+]);
+
+function render(model, context, view) {
+  const image = renderModel(model, IMAGES, { size: SIZE, context, view });
+  let opaque = 0;
+  for (let i = 3; i < image.data.length; i += 4) if (image.data[i] === 255) opaque++;
+  return { faces: image.faces, opaque };
+}
+
+async function resolved(id) {
+  const model = await resolveModel(id, lookup);
+  assert.strictEqual(model.missing, null, `${id}: parent not found`);
+  assert.strictEqual(model.cycle, null, `${id}: parent loop`);
+  return model;
+}
+
+test("a block resolves through a parent chain inside the pack and renders in every context", async () => {
+  const model = await resolved("test:block/marble");
+  assert.deepStrictEqual(model.chain.map((c) => c.id), ["test:block/marble", "test:block/template"]);
+
+  // the gui view shows three sides of the cube and covers most of the image, but not all of it
+  const gui = render(model, "gui");
+  assert.strictEqual(gui.faces, 3);
+  assert.ok(gui.opaque > SIZE * SIZE * 0.5 && gui.opaque < SIZE * SIZE * 0.8, `gui: ${gui.opaque} opaque pixels`);
+
+  const hand = render(model, "firstperson_righthand");
+  assert.strictEqual(hand.faces, 2);
+  assert.ok(hand.opaque > 0, "first person: nothing drawn");
+
+  // dropped on the ground the block is shrunk to a quarter: one face towards the camera
+  const ground = render(model, "ground");
+  assert.strictEqual(ground.faces, 1);
+  assert.strictEqual(ground.opaque, (SIZE / 8) ** 2);
+});
+
+test("an item on builtin/generated keeps its transparent pixels", async () => {
+  const model = await resolved("test:item/cup");
+  assert.strictEqual(model.builtin, "generated");
+
+  // half the checkerboard is transparent: the gui sprite fills exactly half the image
+  const gui = render(model, "gui");
+  assert.strictEqual(gui.faces, 1);
+  assert.strictEqual(gui.opaque, (SIZE * SIZE) / 2);
+
+  // held in first person the sprite is edge-on to the default camera; turned, it shows
+  assert.strictEqual(render(model, "firstperson_righthand").faces, 0);
+  const turned = render(model, "firstperson_righthand", { yaw: 90 });
+  assert.strictEqual(turned.faces, 1);
+  assert.ok(turned.opaque > 0, "first person: nothing drawn");
+
+  const ground = render(model, "ground");
+  assert.strictEqual(ground.faces, 1);
+  assert.ok(ground.opaque > 0 && ground.opaque < gui.opaque, `ground: ${ground.opaque} opaque pixels`);
+});
+
+test("a missing parent and a parent loop stop the chain", async () => {
+  const orphan = await resolveModel("test:block/orphan", lookup);
+  assert.strictEqual(orphan.missing, "test:block/nowhere");
+  assert.deepStrictEqual(orphan.chain.map((c) => c.id), ["test:block/orphan"]);
+
+  const loop = await resolveModel("test:block/loop_a", lookup);
+  assert.strictEqual(loop.cycle, "test:block/loop_a");
+  assert.strictEqual(render(loop, "gui").faces, 0);
+});
+
+test("a cube_all block resolves through the vanilla parents and renders like the pack's own cube", async () => {
+  const model = await resolved("test:block/marble_tiles");
+  assert.deepStrictEqual(model.chain.map((c) => c.id), ["test:block/marble_tiles", "minecraft:block/cube_all", "minecraft:block/cube", "minecraft:block/block"]);
+  assert.deepStrictEqual(model.chain.map((c) => c.vanilla), [false, true, true, true]);
+
+  const own = await resolved("test:block/marble");
+  for (const context of ["gui", "firstperson_righthand", "ground"]) {
+    assert.deepStrictEqual(render(model, context), render(own, context), context);
+  }
+});
+
+test("stairs draw more faces than a cube, over less area", async () => {
+  const model = await resolved("test:block/marble_stairs");
+  const cube = render(await resolved("test:block/marble_tiles"), "gui");
+  const gui = render(model, "gui");
+  assert.strictEqual(gui.faces, 6);
+  assert.ok(gui.opaque > 0 && gui.opaque < cube.opaque, `gui: ${gui.opaque} opaque pixels`);
+  assert.strictEqual(render(model, "firstperson_righthand").faces, 4);
+  assert.strictEqual(render(model, "ground").faces, 2);
+});
+
+test("an item/generated sprite renders like the pack's own flat item", async () => {
+  const model = await resolved("test:item/bowl");
+  assert.strictEqual(model.builtin, "generated");
+
+  const own = await resolved("test:item/cup");
+  for (const context of ["gui", "firstperson_righthand", "ground"]) {
+    assert.deepStrictEqual(render(model, context), render(own, context), context);
+  }
+});
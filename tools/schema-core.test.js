@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * Headless check of the translation checks (Node 18+, no dependencies):
+ *
+ *   node --test tools/schema-core.test.js
+ *
+ * Language file values go through langPlaceholders and diffLocales, the way
+ * the viewer's translations view reads them.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { langPlaceholders, diffLocales } = require("../schema-core.js");
+
+test("%s takes the next argument and %n$s a numbered one", () => {
+  assert.deepStrictEqual(langPlaceholders("%s picked up %s"), { args: [1, 2], invalid: [] });
+  assert.deepStrictEqual(langPlaceholders("%2$s von %1$s"), { args: [1, 2], invalid: [] });
+  assert.deepStrictEqual(langPlaceholders("%1$s and %1$s again"), { args: [1], invalid: [] });
+});
+
+test("other format letters are invalid: the game shows the raw string", () => {
+  assert.deepStrictEqual(langPlaceholders("%d items"), { args: [], invalid: ["%d"] });
+  assert.deepStrictEqual(langPlaceholders("%1$d of %s"), { args: [1], invalid: ["%1$d"] });
+});
+
+test("a % that starts no placeholder is plain text", () => {
+  assert.deepStrictEqual(langPlaceholders("50% off"), { args: [], invalid: [] });
+  assert.deepStrictEqual(langPlaceholders("100%"), { args: [], invalid: [] });
+  assert.deepStrictEqual(langPlaceholders("100%% sure, %s"), { args: [1], invalid: [] });
+});
+
+test("diffLocales reports invalid placeholders and argument mismatches, not plain percent signs", () => {
+  const locales = new Map([
+    ["en_us", new Map([["sale", "50% off %s"], ["count", "%s items"]])],
+    ["de_de", new Map([["sale", "50% Rabatt auf %s"], ["count", "%d Gegenstände"]])]
+  ]);
+  assert.deepStrictEqual(diffLocales(locales).map((i) => [i.locale, i.key, i.kind]), [
+    ["de_de", "count", "invalid-placeholder"],
+    ["de_de", "count", "placeholders"]
+  ]);
+});
@@ -0,0 +1,48 @@
+"use strict";
+
+/**
+ * Headless check of atlas source evaluation (Node 18+, no dependencies):
+ *
+ *   node --test tools/texture-core.test.js
+ *
+ * Atlas documents are run through atlasSprites over a fixed list of pack
+ * textures, the way the viewer's atlas report does.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { atlasSprites } = require("../texture-core.js");
+
+const TEXTURES = ["test:block/marble", "test:block/marble_top", "test:item/cup", "test:item/block/cheese", "other:block/stone"];
+
+const spriteIds = (doc) => atlasSprites(doc, TEXTURES).sprites.map((s) => s.id).sort();
+
+const everything = [
+  { type: "directory", source: "block", prefix: "block/" },
+  { type: "directory", source: "item", prefix: "item/" }
+];
+
+test("a filter pattern only has to match part of the id, as the game's find() does", () => {
+  const result = atlasSprites({ sources: [...everything, { type: "filter", pattern: { path: "block/" } }] }, TEXTURES);
+  // item/block/cheese has "block/" in it too
+  assert.deepStrictEqual(result.sprites.map((s) => s.id), ["test:item/cup"]);
+  assert.deepStrictEqual(result.removed.map((r) => r.by), [2, 2, 2, 2]);
+  assert.deepStrictEqual(result.problems, []);
+});
+
+test("anchors and the namespace pattern narrow a filter down", () => {
+  assert.deepStrictEqual(
+    spriteIds({ sources: [...everything, { type: "filter", pattern: { path: "^block/marble$" } }] }),
+    ["other:block/stone", "test:block/marble_top", "test:item/block/cheese", "test:item/cup"]
+  );
+  assert.deepStrictEqual(
+    spriteIds({ sources: [...everything, { type: "filter", pattern: { namespace: "oth", path: "stone" } }] }),
+    ["test:block/marble", "test:block/marble_top", "test:item/block/cheese", "test:item/cup"]
+  );
+});
+
+test("an invalid filter pattern removes nothing and is reported", () => {
+  const result = atlasSprites({ sources: [...everything, { type: "filter", pattern: { path: "block/(" } }] }, TEXTURES);
+  assert.strictEqual(result.sprites.length, TEXTURES.length);
+  assert.deepStrictEqual(result.problems, [{ pointer: "/sources/2/pattern", message: "pattern is not a valid regular expression" }]);
+});